@@ -23,6 +23,14 @@ import {ZamaEthereumConfig} from "@fhevm/solidity/config/ZamaConfig.sol";
  * - Share notes via re-encrypted keys (FHE.allow to recipient)
  * - Encrypted categories (euint8) with FHE comparison
  * - IPFS content storage with on-chain encrypted key handles
+ * - Titles may be client-encrypted blobs; updateNote rewrites title and key together
+ * - Per-note revision history (CID + key handles) for viewing and restoring old versions
+ * - Read or edit permission per share; editors publish new content via publishNote
+ * - Optional expiry per share, enforced by the shared getters and publishNote
+ * - Named recipient groups: one transaction shares with every member, and
+ *   membership changes follow the notes already shared with the group
+ * - Share inbox: shares arrive as invitations the recipient accepts or declines,
+ *   and recipients can block senders
  */
 contract CipherNotes is ZamaEthereumConfig {
     
@@ -39,10 +47,37 @@ contract CipherNotes is ZamaEthereumConfig {
         euint64 keyChunk3;
         euint64 keyChunk4;
         bool isDeleted;
+        bool isPurged;
+    }
+    
+    // One content version: old CIDs stay on IPFS and old key handles stay decryptable by the owner
+    struct Revision {
+        bytes ipfsCid;
+        euint64 keyChunk1;
+        euint64 keyChunk2;
+        euint64 keyChunk3;
+        euint64 keyChunk4;
+        uint256 createdAt;
+    }
+    
+    // Named recipient list; a deleted group keeps its id with an empty name
+    struct Group {
+        string name;
+        address[] members;
+    }
+    
+    // How a note was shared with a group, applied to members added later
+    struct GroupShare {
+        uint8 permission;
+        uint256 expiresAt;
     }
     
     // ===================== STATE =====================
     
+    // Share permission levels
+    uint8 public constant PERMISSION_READ = 0;
+    uint8 public constant PERMISSION_EDIT = 1;
+    
     // User's own notes
     mapping(address => Note[]) private userNotes;
     mapping(address => uint256) public noteCount;
@@ -50,12 +85,40 @@ contract CipherNotes is ZamaEthereumConfig {
     // Sharing: noteOwner => noteId => recipient => encrypted key chunks
     mapping(address => mapping(uint256 => mapping(address => bytes32[4]))) private sharedNoteKeys;
     
+    // Permission per share: owner => noteId => recipient => PERMISSION_*
+    mapping(address => mapping(uint256 => mapping(address => uint8))) public sharePermissions;
+    
+    // Expiry per share: owner => noteId => recipient => unix timestamp (0 = never)
+    mapping(address => mapping(uint256 => mapping(address => uint256))) public shareExpiries;
+    
     // Track who a note is shared with
     mapping(address => mapping(uint256 => address[])) private sharedWithList;
     
     // Track notes shared WITH a user (owner => noteId pairs)
     mapping(address => SharedNoteRef[]) private receivedNotes;
     
+    // 1-based positions for swap-and-pop removal (0 = not in list)
+    // owner => noteId => recipient => index in sharedWithList
+    mapping(address => mapping(uint256 => mapping(address => uint256))) private sharedWithIndex;
+    // recipient => owner => noteId => index in receivedNotes (non-zero = accepted)
+    mapping(address => mapping(address => mapping(uint256 => uint256))) private receivedNoteIndex;
+    
+    // Invitations not yet accepted, and their 1-based positions
+    mapping(address => SharedNoteRef[]) private pendingShares;
+    mapping(address => mapping(address => mapping(uint256 => uint256))) private pendingShareIndex;
+    // recipient => sender => invitations from that sender still pending
+    mapping(address => mapping(address => uint256)) private pendingSharesFrom;
+    
+    // recipient => sender => blocked, plus the list for display
+    mapping(address => mapping(address => bool)) public blockedSenders;
+    mapping(address => address[]) private blockedList;
+    mapping(address => mapping(address => uint256)) private blockedIndex;
+    
+    // Bounds the invitations one sender can leave in someone else's inbox, so a
+    // spammer cannot crowd out everyone else (and blockSender clears theirs).
+    // Above MAX_GROUP_NOTES so a new group member receives every group note.
+    uint256 public constant MAX_PENDING_PER_SENDER = 32;
+    
     struct SharedNoteRef {
         address owner;
         uint256 noteId;
@@ -67,14 +130,64 @@ contract CipherNotes is ZamaEthereumConfig {
     // Category names (per user, plaintext for display)
     mapping(address => string[8]) public categoryNames;
     
+    // Content history: owner => noteId => revisions, oldest first (last = current content)
+    mapping(address => mapping(uint256 => Revision[])) private noteRevisions;
+    // Revisions cleared per purgeNote call, so purging a long history stays within block gas
+    uint256 public constant MAX_PURGED_REVISIONS = 64;
+    
+    // Category colors as 0xRRGGBB (0 = app default) and display order of the 8 slots
+    mapping(address => uint24[8]) private categoryColors;
+    mapping(address => uint8[8]) private categoryOrder;
+    
+    // Recipient groups: owner => groups (group id = index)
+    mapping(address => Group[]) private groups;
+    // owner => groupId => member => 1-based index in members (0 = not a member)
+    mapping(address => mapping(uint256 => mapping(address => uint256))) private groupMemberIndex;
+    // owner => groupId => note ids shared with the group
+    mapping(address => mapping(uint256 => uint256[])) private groupNotes;
+    // owner => groupId => noteId => share settings (permission + expiry)
+    mapping(address => mapping(uint256 => mapping(uint256 => GroupShare))) private groupShares;
+    // owner => groupId => noteId => already in groupNotes
+    mapping(address => mapping(uint256 => mapping(uint256 => bool))) private isGroupNote;
+    
+    // Which shares were created through groups, so removing a member only revokes those:
+    // owner => noteId => recipient => number of groups holding the share (0 = individual share)
+    mapping(address => mapping(uint256 => mapping(address => uint256))) private shareGroupCount;
+    // owner => groupId => noteId => member => shareEpoch + 1 while the group holds that share
+    mapping(address => mapping(uint256 => mapping(uint256 => mapping(address => uint256)))) private groupHeldShare;
+    // owner => noteId => recipient => bumped when the share is dropped, so holds on the old share lapse
+    mapping(address => mapping(uint256 => mapping(address => uint256))) private shareEpoch;
+    
+    // Upper bounds so group loops stay within block gas
+    uint256 public constant MAX_GROUP_MEMBERS = 32;
+    // addGroupMember grants every group note (4 ACL grants each) in one transaction
+    uint256 public constant MAX_GROUP_NOTES = 24;
+    
     // ===================== EVENTS =====================
     
     event NoteCreated(address indexed owner, uint256 noteId, string title);
     event NoteUpdated(address indexed owner, uint256 noteId);
     event NoteDeleted(address indexed owner, uint256 noteId);
+    event NoteRestored(address indexed owner, uint256 noteId);
+    event NotePurged(address indexed owner, uint256 noteId);
     event NoteShared(address indexed owner, uint256 noteId, address indexed recipient);
     event NoteUnshared(address indexed owner, uint256 noteId, address indexed recipient);
+    event SharedKeysUpdated(address indexed owner, uint256 noteId, address indexed recipient);
+    event SharePermissionSet(address indexed owner, uint256 noteId, address indexed recipient, uint8 permission);
+    event NoteEdited(address indexed owner, uint256 noteId, address indexed editor);
+    event ShareExpirySet(address indexed owner, uint256 noteId, address indexed recipient, uint256 expiresAt);
+    event GroupCreated(address indexed owner, uint256 groupId, string name);
+    event GroupRenamed(address indexed owner, uint256 groupId, string name);
+    event GroupDeleted(address indexed owner, uint256 groupId);
+    event GroupMemberAdded(address indexed owner, uint256 groupId, address indexed member);
+    event GroupMemberRemoved(address indexed owner, uint256 groupId, address indexed member);
+    event NoteSharedWithGroup(address indexed owner, uint256 noteId, uint256 groupId);
+    event ShareAccepted(address indexed owner, uint256 noteId, address indexed recipient);
+    event ShareDeclined(address indexed owner, uint256 noteId, address indexed recipient);
+    event SenderBlocked(address indexed recipient, address indexed sender);
+    event SenderUnblocked(address indexed recipient, address indexed sender);
     event CategorySet(address indexed owner, uint256 noteId);
+    event CategoriesUpdated(address indexed owner);
     
     // ===================== CORE NOTE FUNCTIONS =====================
     
@@ -109,6 +222,8 @@ contract CipherNotes is ZamaEthereumConfig {
         _processKeyChunk3(note, keyChunk3, inputProof);
         _processKeyChunk4(note, keyChunk4, inputProof);
         
+        _recordRevision(msg.sender, note);
+        
         noteCount[msg.sender]++;
         emit NoteCreated(msg.sender, noteId, title);
         return noteId;
@@ -167,10 +282,47 @@ contract CipherNotes is ZamaEthereumConfig {
         externalEuint64 keyChunk4,
         bytes calldata inputProof
     ) external {
+        Note storage note = _editableNote(noteId);
+        _setContent(note, ipfsCid, keyChunk1, keyChunk2, keyChunk3, keyChunk4, inputProof);
+        emit NoteUpdated(msg.sender, noteId);
+    }
+    
+    /**
+     * @notice Update title and content together (new title + new CID + new key)
+     * @dev Encrypted titles are sealed with the note's AES key, which changes on
+     *      every content save, so the title has to be replaced in the same transaction
+     */
+    function updateNote(
+        uint256 noteId,
+        string calldata title,
+        bytes calldata ipfsCid,
+        externalEuint64 keyChunk1,
+        externalEuint64 keyChunk2,
+        externalEuint64 keyChunk3,
+        externalEuint64 keyChunk4,
+        bytes calldata inputProof
+    ) external {
+        Note storage note = _editableNote(noteId);
+        note.title = title;
+        _setContent(note, ipfsCid, keyChunk1, keyChunk2, keyChunk3, keyChunk4, inputProof);
+        emit NoteUpdated(msg.sender, noteId);
+    }
+    
+    function _editableNote(uint256 noteId) internal view returns (Note storage note) {
         require(noteId < userNotes[msg.sender].length, "Not found");
-        Note storage note = userNotes[msg.sender][noteId];
+        note = userNotes[msg.sender][noteId];
         require(!note.isDeleted, "Deleted");
-        
+    }
+    
+    function _setContent(
+        Note storage note,
+        bytes calldata ipfsCid,
+        externalEuint64 keyChunk1,
+        externalEuint64 keyChunk2,
+        externalEuint64 keyChunk3,
+        externalEuint64 keyChunk4,
+        bytes calldata inputProof
+    ) internal {
         note.ipfsCid = ipfsCid;
         note.updatedAt = block.timestamp;
         
@@ -179,7 +331,98 @@ contract CipherNotes is ZamaEthereumConfig {
         _processKeyChunk3(note, keyChunk3, inputProof);
         _processKeyChunk4(note, keyChunk4, inputProof);
         
-        emit NoteUpdated(msg.sender, noteId);
+        _recordRevision(msg.sender, note);
+    }
+    
+    /**
+     * @dev Append the note's current CID and key handles to its history
+     */
+    function _recordRevision(address owner, Note storage note) internal {
+        noteRevisions[owner][note.id].push(Revision({
+            ipfsCid: note.ipfsCid,
+            keyChunk1: note.keyChunk1,
+            keyChunk2: note.keyChunk2,
+            keyChunk3: note.keyChunk3,
+            keyChunk4: note.keyChunk4,
+            createdAt: block.timestamp
+        }));
+    }
+    
+    /**
+     * @notice Publish new content as the owner or an edit-grantee
+     * @dev One fresh set of key chunks is granted to the owner and every current
+     *      recipient in the same transaction, so nobody is left holding a stale key.
+     *      The key chunks must be encrypted by the caller (input proofs are bound to msg.sender).
+     */
+    function publishNote(
+        address owner,
+        uint256 noteId,
+        string calldata title,
+        bytes calldata ipfsCid,
+        externalEuint64 keyChunk1,
+        externalEuint64 keyChunk2,
+        externalEuint64 keyChunk3,
+        externalEuint64 keyChunk4,
+        bytes calldata inputProof
+    ) external {
+        Note storage note = _publishableNote(owner, noteId);
+        
+        note.title = title;
+        note.ipfsCid = ipfsCid;
+        note.updatedAt = block.timestamp;
+        note.keyChunk1 = FHE.fromExternal(keyChunk1, inputProof);
+        note.keyChunk2 = FHE.fromExternal(keyChunk2, inputProof);
+        note.keyChunk3 = FHE.fromExternal(keyChunk3, inputProof);
+        note.keyChunk4 = FHE.fromExternal(keyChunk4, inputProof);
+        
+        _grantNoteKey(owner, note);
+        _recordRevision(owner, note);
+        
+        emit NoteUpdated(owner, noteId);
+        if (msg.sender != owner) emit NoteEdited(owner, noteId, msg.sender);
+    }
+    
+    function _publishableNote(address owner, uint256 noteId) internal view returns (Note storage note) {
+        require(noteId < userNotes[owner].length, "Not found");
+        require(
+            msg.sender == owner ||
+                (_hasLiveShare(owner, noteId, msg.sender) &&
+                    sharePermissions[owner][noteId][msg.sender] == PERMISSION_EDIT),
+            "No edit access"
+        );
+        note = userNotes[owner][noteId];
+        require(!note.isDeleted, "Deleted");
+    }
+    
+    /**
+     * @dev Allow the note's current key chunks to the owner and every recipient.
+     *      Expired recipients are skipped and keep their old handles, so the new
+     *      content stays out of reach even via raw storage reads.
+     */
+    function _grantNoteKey(address owner, Note storage note) internal {
+        euint64[4] memory chunks = [note.keyChunk1, note.keyChunk2, note.keyChunk3, note.keyChunk4];
+        address[] storage recipients = sharedWithList[owner][note.id];
+        
+        for (uint256 c = 0; c < 4; c++) {
+            FHE.allowThis(chunks[c]);
+            FHE.allow(chunks[c], owner);
+            for (uint256 i = 0; i < recipients.length; i++) {
+                if (_isExpired(owner, note.id, recipients[i])) continue;
+                FHE.allow(chunks[c], recipients[i]);
+            }
+        }
+        
+        bytes32[4] memory handles = [
+            FHE.toBytes32(chunks[0]),
+            FHE.toBytes32(chunks[1]),
+            FHE.toBytes32(chunks[2]),
+            FHE.toBytes32(chunks[3])
+        ];
+        for (uint256 i = 0; i < recipients.length; i++) {
+            if (_isExpired(owner, note.id, recipients[i])) continue;
+            sharedNoteKeys[owner][note.id][recipients[i]] = handles;
+            emit SharedKeysUpdated(owner, note.id, recipients[i]);
+        }
     }
     
     /**
@@ -202,20 +445,70 @@ contract CipherNotes is ZamaEthereumConfig {
         require(noteId < userNotes[msg.sender].length, "Not found");
         Note storage note = userNotes[msg.sender][noteId];
         require(note.isDeleted, "Not deleted");
+        require(!note.isPurged, "Purged");
         
         note.isDeleted = false;
         noteCount[msg.sender]++;
+        emit NoteRestored(msg.sender, noteId);
+    }
+    
+    /**
+     * @notice Permanently purge a deleted note
+     * @dev Clears title, CID, key handles and category, and revokes every share.
+     *      History is cleared MAX_PURGED_REVISIONS revisions per call, newest first:
+     *      call again while getRevisionTimestamps is not empty.
+     *      The slot stays in userNotes so note ids remain stable.
+     */
+    function purgeNote(uint256 noteId) external {
+        require(noteId < userNotes[msg.sender].length, "Not found");
+        Note storage note = userNotes[msg.sender][noteId];
+        require(note.isDeleted, "Not deleted");
+        Revision[] storage revisions = noteRevisions[msg.sender][noteId];
+        
+        if (note.isPurged) {
+            require(revisions.length > 0, "Already purged");
+        } else {
+            // Revoke every recipient
+            address[] storage recipients = sharedWithList[msg.sender][noteId];
+            while (recipients.length > 0) {
+                address recipient = recipients[recipients.length - 1];
+                _dropShare(msg.sender, noteId, recipient);
+                emit NoteUnshared(msg.sender, noteId, recipient);
+            }
+            
+            delete note.title;
+            delete note.ipfsCid;
+            note.keyChunk1 = euint64.wrap(0);
+            note.keyChunk2 = euint64.wrap(0);
+            note.keyChunk3 = euint64.wrap(0);
+            note.keyChunk4 = euint64.wrap(0);
+            noteCategories[msg.sender][noteId] = euint8.wrap(0);
+            note.isPurged = true;
+            note.updatedAt = block.timestamp;
+            
+            emit NotePurged(msg.sender, noteId);
+        }
+        
+        for (uint256 i = 0; i < MAX_PURGED_REVISIONS && revisions.length > 0; i++) {
+            revisions.pop();
+        }
     }
     
     // ===================== SHARING FUNCTIONS =====================
     
     /**
      * @notice Share a note with another user
-     * @dev Owner encrypts the same AES key with recipient as allowed decryptor
+     * @dev The share lands in the recipient's pending inbox until accepted.
+     *      Owner encrypts the same AES key with recipient as allowed decryptor.
+     *      permission is PERMISSION_READ or PERMISSION_EDIT (may publish new content).
+     *      expiresAt is a unix timestamp after which the shared getters refuse the
+     *      recipient, or 0 for no expiry.
      */
     function shareNote(
         uint256 noteId,
         address recipient,
+        uint8 permission,
+        uint256 expiresAt,
         externalEuint64 k1,
         externalEuint64 k2,
         externalEuint64 k3,
@@ -227,7 +520,80 @@ contract CipherNotes is ZamaEthereumConfig {
         require(recipient != msg.sender, "Cannot share with self");
         require(recipient != address(0), "Invalid recipient");
         require(sharedNoteKeys[msg.sender][noteId][recipient][0] == bytes32(0), "Already shared");
+        require(permission <= PERMISSION_EDIT, "Invalid permission");
+        require(expiresAt == 0 || expiresAt > block.timestamp, "Expiry in past");
+        require(!blockedSenders[recipient][msg.sender], "Blocked");
+        require(pendingSharesFrom[recipient][msg.sender] < MAX_PENDING_PER_SENDER, "Too many pending");
+        
+        _storeSharedKeys(noteId, recipient, k1, k2, k3, k4, inputProof);
+        
+        _addShareRecord(noteId, recipient);
+        sharePermissions[msg.sender][noteId][recipient] = permission;
+        shareExpiries[msg.sender][noteId][recipient] = expiresAt;
+        
+        emit NoteShared(msg.sender, noteId, recipient);
+        emit SharePermissionSet(msg.sender, noteId, recipient, permission);
+        if (expiresAt != 0) emit ShareExpirySet(msg.sender, noteId, recipient, expiresAt);
+    }
+    
+    /**
+     * @notice Change an existing share between read and edit
+     */
+    function setSharePermission(uint256 noteId, address recipient, uint8 permission) external {
+        require(noteId < userNotes[msg.sender].length, "Not found");
+        require(sharedNoteKeys[msg.sender][noteId][recipient][0] != bytes32(0), "Not shared");
+        require(permission <= PERMISSION_EDIT, "Invalid permission");
+        
+        sharePermissions[msg.sender][noteId][recipient] = permission;
+        emit SharePermissionSet(msg.sender, noteId, recipient, permission);
+    }
+    
+    /**
+     * @notice Extend or shorten a share (0 = never expires)
+     * @dev A share that already lapsed may have missed key rotations; re-issue the
+     *      current key with updateSharedKeys after extending it.
+     */
+    function setShareExpiry(uint256 noteId, address recipient, uint256 expiresAt) external {
+        require(noteId < userNotes[msg.sender].length, "Not found");
+        require(sharedNoteKeys[msg.sender][noteId][recipient][0] != bytes32(0), "Not shared");
+        require(expiresAt == 0 || expiresAt > block.timestamp, "Expiry in past");
+        
+        shareExpiries[msg.sender][noteId][recipient] = expiresAt;
+        emit ShareExpirySet(msg.sender, noteId, recipient, expiresAt);
+    }
+    
+    /**
+     * @notice Replace a recipient's key chunks after the note key was rotated
+     * @dev Used when revoking another recipient: content is re-encrypted under a
+     *      fresh AES key via updateContent, then re-issued to everyone still shared
+     */
+    function updateSharedKeys(
+        uint256 noteId,
+        address recipient,
+        externalEuint64 k1,
+        externalEuint64 k2,
+        externalEuint64 k3,
+        externalEuint64 k4,
+        bytes calldata inputProof
+    ) external {
+        require(noteId < userNotes[msg.sender].length, "Not found");
+        require(!userNotes[msg.sender][noteId].isDeleted, "Deleted");
+        require(sharedNoteKeys[msg.sender][noteId][recipient][0] != bytes32(0), "Not shared");
         
+        _storeSharedKeys(noteId, recipient, k1, k2, k3, k4, inputProof);
+        
+        emit SharedKeysUpdated(msg.sender, noteId, recipient);
+    }
+    
+    function _storeSharedKeys(
+        uint256 noteId,
+        address recipient,
+        externalEuint64 k1,
+        externalEuint64 k2,
+        externalEuint64 k3,
+        externalEuint64 k4,
+        bytes calldata inputProof
+    ) internal {
         // Process encrypted keys for recipient
         euint64 chunk1 = FHE.fromExternal(k1, inputProof);
         euint64 chunk2 = FHE.fromExternal(k2, inputProof);
@@ -252,15 +618,6 @@ contract CipherNotes is ZamaEthereumConfig {
             FHE.toBytes32(chunk3),
             FHE.toBytes32(chunk4)
         ];
-        
-        // Track sharing
-        sharedWithList[msg.sender][noteId].push(recipient);
-        receivedNotes[recipient].push(SharedNoteRef({
-            owner: msg.sender,
-            noteId: noteId
-        }));
-        
-        emit NoteShared(msg.sender, noteId, recipient);
     }
     
     /**
@@ -270,12 +627,179 @@ contract CipherNotes is ZamaEthereumConfig {
         require(noteId < userNotes[msg.sender].length, "Not found");
         require(sharedNoteKeys[msg.sender][noteId][recipient][0] != bytes32(0), "Not shared");
         
-        // Clear the encrypted keys
-        delete sharedNoteKeys[msg.sender][noteId][recipient];
+        _dropShare(msg.sender, noteId, recipient);
         
         emit NoteUnshared(msg.sender, noteId, recipient);
     }
     
+    // ===================== SHARE INBOX =====================
+    
+    /**
+     * @notice Accept a pending share; it then shows up in getReceivedNotes
+     */
+    function acceptShare(address owner, uint256 noteId) external {
+        require(pendingShareIndex[msg.sender][owner][noteId] != 0, "No invitation");
+        
+        _removeRef(pendingShares[msg.sender], pendingShareIndex[msg.sender], owner, noteId);
+        pendingSharesFrom[msg.sender][owner]--;
+        _pushRef(receivedNotes[msg.sender], receivedNoteIndex[msg.sender], owner, noteId);
+        
+        emit ShareAccepted(owner, noteId, msg.sender);
+    }
+    
+    /**
+     * @notice Decline a pending share; the owner sees it disappear from their shared-with list
+     */
+    function declineShare(address owner, uint256 noteId) external {
+        require(pendingShareIndex[msg.sender][owner][noteId] != 0, "No invitation");
+        
+        _dropShare(owner, noteId, msg.sender);
+        emit ShareDeclined(owner, noteId, msg.sender);
+    }
+    
+    /**
+     * @notice Refuse all future shares from a sender and decline their pending ones
+     * @dev Shares already accepted from them are kept
+     */
+    function blockSender(address sender) external {
+        require(sender != msg.sender && sender != address(0), "Invalid sender");
+        require(!blockedSenders[msg.sender][sender], "Already blocked");
+        
+        blockedSenders[msg.sender][sender] = true;
+        blockedList[msg.sender].push(sender);
+        blockedIndex[msg.sender][sender] = blockedList[msg.sender].length;
+        emit SenderBlocked(msg.sender, sender);
+        
+        // Walk backwards: swap-and-pop only moves already visited entries
+        SharedNoteRef[] storage pending = pendingShares[msg.sender];
+        for (uint256 i = pending.length; i > 0; i--) {
+            SharedNoteRef memory ref = pending[i - 1];
+            if (ref.owner != sender) continue;
+            _dropShare(ref.owner, ref.noteId, msg.sender);
+            emit ShareDeclined(ref.owner, ref.noteId, msg.sender);
+        }
+    }
+    
+    function unblockSender(address sender) external {
+        uint256 idx = blockedIndex[msg.sender][sender];
+        require(idx != 0, "Not blocked");
+        
+        address[] storage list = blockedList[msg.sender];
+        address moved = list[list.length - 1];
+        list[idx - 1] = moved;
+        blockedIndex[msg.sender][moved] = idx;
+        list.pop();
+        delete blockedIndex[msg.sender][sender];
+        delete blockedSenders[msg.sender][sender];
+        
+        emit SenderUnblocked(msg.sender, sender);
+    }
+    
+    /**
+     * @notice Invitations waiting for the caller, same shape as getReceivedNotes
+     */
+    function getPendingShares() external view returns (
+        address[] memory owners,
+        uint256[] memory noteIds,
+        string[] memory titles,
+        uint8[] memory permissions,
+        uint256[] memory expiries
+    ) {
+        return _describeRefs(pendingShares[msg.sender]);
+    }
+    
+    function getBlockedSenders() external view returns (address[] memory) {
+        return blockedList[msg.sender];
+    }
+    
+    /**
+     * @dev Track sharing in both directions (owner's list and recipient's pending inbox)
+     */
+    function _addShareRecord(uint256 noteId, address recipient) internal {
+        sharedWithList[msg.sender][noteId].push(recipient);
+        sharedWithIndex[msg.sender][noteId][recipient] = sharedWithList[msg.sender][noteId].length;
+        
+        _pushRef(pendingShares[recipient], pendingShareIndex[recipient], msg.sender, noteId);
+        pendingSharesFrom[recipient][msg.sender]++;
+    }
+    
+    /**
+     * @dev Clear a recipient's keys and share records (owner revoke, purge, decline or block)
+     */
+    function _dropShare(address owner, uint256 noteId, address recipient) internal {
+        delete sharedNoteKeys[owner][noteId][recipient];
+        _removeShareRecord(owner, noteId, recipient);
+    }
+    
+    /**
+     * @dev Swap-and-pop the recipient out of every list so re-sharing starts clean
+     */
+    function _removeShareRecord(address owner, uint256 noteId, address recipient) internal {
+        delete sharePermissions[owner][noteId][recipient];
+        delete shareExpiries[owner][noteId][recipient];
+        delete shareGroupCount[owner][noteId][recipient];
+        shareEpoch[owner][noteId][recipient]++;
+        
+        address[] storage list = sharedWithList[owner][noteId];
+        uint256 listIdx = sharedWithIndex[owner][noteId][recipient];
+        if (listIdx != 0) {
+            address moved = list[list.length - 1];
+            list[listIdx - 1] = moved;
+            sharedWithIndex[owner][noteId][moved] = listIdx;
+            list.pop();
+            delete sharedWithIndex[owner][noteId][recipient];
+        }
+        
+        _removeRef(receivedNotes[recipient], receivedNoteIndex[recipient], owner, noteId);
+        if (pendingShareIndex[recipient][owner][noteId] != 0) pendingSharesFrom[recipient][owner]--;
+        _removeRef(pendingShares[recipient], pendingShareIndex[recipient], owner, noteId);
+    }
+    
+    function _pushRef(
+        SharedNoteRef[] storage refs,
+        mapping(address => mapping(uint256 => uint256)) storage index,
+        address owner,
+        uint256 noteId
+    ) internal {
+        refs.push(SharedNoteRef({owner: owner, noteId: noteId}));
+        index[owner][noteId] = refs.length;
+    }
+    
+    function _removeRef(
+        SharedNoteRef[] storage refs,
+        mapping(address => mapping(uint256 => uint256)) storage index,
+        address owner,
+        uint256 noteId
+    ) internal {
+        uint256 idx = index[owner][noteId];
+        if (idx == 0) return;
+        SharedNoteRef memory last = refs[refs.length - 1];
+        refs[idx - 1] = last;
+        index[last.owner][last.noteId] = idx;
+        refs.pop();
+        delete index[owner][noteId];
+    }
+    
+    function _isExpired(address owner, uint256 noteId, address recipient) internal view returns (bool) {
+        uint256 expiresAt = shareExpiries[owner][noteId][recipient];
+        return expiresAt != 0 && block.timestamp >= expiresAt;
+    }
+    
+    function _hasLiveShare(address owner, uint256 noteId, address recipient) internal view returns (bool) {
+        return receivedNoteIndex[recipient][owner][noteId] != 0 && !_isExpired(owner, noteId, recipient);
+    }
+    
+    /**
+     * @dev Gate for the shared getters: the share must exist, be accepted and not
+     *      have expired. Expiry hides the handles from now on; a recipient who
+     *      already decrypted the key keeps it until the owner rotates it.
+     */
+    function _requireSharedAccess(address owner, uint256 noteId) internal view {
+        require(sharedNoteKeys[owner][noteId][msg.sender][0] != bytes32(0), "No access");
+        require(receivedNoteIndex[msg.sender][owner][noteId] != 0, "Not accepted");
+        require(!_isExpired(owner, noteId, msg.sender), "Share expired");
+    }
+    
     /**
      * @notice Get shared key chunks (for recipient to decrypt)
      */
@@ -283,7 +807,7 @@ contract CipherNotes is ZamaEthereumConfig {
         address owner,
         uint256 noteId
     ) external view returns (bytes32[4] memory) {
-        require(sharedNoteKeys[owner][noteId][msg.sender][0] != bytes32(0), "No access");
+        _requireSharedAccess(owner, noteId);
         return sharedNoteKeys[owner][noteId][msg.sender];
     }
     
@@ -291,48 +815,78 @@ contract CipherNotes is ZamaEthereumConfig {
      * @notice Get CID of a shared note
      */
     function getSharedNoteCID(address owner, uint256 noteId) external view returns (bytes memory) {
-        require(sharedNoteKeys[owner][noteId][msg.sender][0] != bytes32(0), "No access");
+        _requireSharedAccess(owner, noteId);
         return userNotes[owner][noteId].ipfsCid;
     }
     
     /**
      * @notice Get metadata of a shared note
+     * @dev revisedAt is when the current content was published (updatedAt also moves on
+     *      title-only changes), so readers can tell whether it must be note-bound
      */
     function getSharedNoteMetadata(address owner, uint256 noteId) external view returns (
         string memory title,
         uint256 createdAt,
-        uint256 updatedAt
+        uint256 updatedAt,
+        uint256 revisedAt
     ) {
-        require(sharedNoteKeys[owner][noteId][msg.sender][0] != bytes32(0), "No access");
+        _requireSharedAccess(owner, noteId);
         Note storage note = userNotes[owner][noteId];
-        return (note.title, note.createdAt, note.updatedAt);
+        Revision[] storage revisions = noteRevisions[owner][noteId];
+        revisedAt = revisions.length > 0 ? revisions[revisions.length - 1].createdAt : 0;
+        return (note.title, note.createdAt, note.updatedAt, revisedAt);
     }
     
     /**
-     * @notice Get all notes shared with the caller
+     * @notice Get all notes shared with the caller and accepted (pending ones: getPendingShares)
+     * @dev Expired shares stay listed (with their expiry) until the owner extends or revokes them;
+     *      their titles are blanked like the other shared getters.
      */
     function getReceivedNotes() external view returns (
         address[] memory owners,
         uint256[] memory noteIds,
-        string[] memory titles
+        string[] memory titles,
+        uint8[] memory permissions,
+        uint256[] memory expiries
+    ) {
+        return _describeRefs(receivedNotes[msg.sender]);
+    }
+    
+    function _describeRefs(SharedNoteRef[] storage refs) internal view returns (
+        address[] memory owners,
+        uint256[] memory noteIds,
+        string[] memory titles,
+        uint8[] memory permissions,
+        uint256[] memory expiries
     ) {
-        SharedNoteRef[] storage refs = receivedNotes[msg.sender];
         uint256 count = refs.length;
         
         owners = new address[](count);
         noteIds = new uint256[](count);
         titles = new string[](count);
+        permissions = new uint8[](count);
+        expiries = new uint256[](count);
         
+        // Revoked and declined shares are removed; expired ones are still listed
         for (uint256 i = 0; i < count; i++) {
             owners[i] = refs[i].owner;
             noteIds[i] = refs[i].noteId;
-            // Only include if still shared
-            if (sharedNoteKeys[refs[i].owner][refs[i].noteId][msg.sender][0] != bytes32(0)) {
+            permissions[i] = sharePermissions[refs[i].owner][refs[i].noteId][msg.sender];
+            expiries[i] = shareExpiries[refs[i].owner][refs[i].noteId][msg.sender];
+            if (!_isExpired(refs[i].owner, refs[i].noteId, msg.sender)) {
                 titles[i] = userNotes[refs[i].owner][refs[i].noteId].title;
             }
         }
     }
     
+    /**
+     * @notice Check whether a note is currently shared with a recipient
+     */
+    function isSharedWith(uint256 noteId, address recipient) external view returns (bool) {
+        require(noteId < userNotes[msg.sender].length, "Not found");
+        return sharedNoteKeys[msg.sender][noteId][recipient][0] != bytes32(0);
+    }
+    
     /**
      * @notice Get list of addresses a note is shared with
      */
@@ -341,6 +895,274 @@ contract CipherNotes is ZamaEthereumConfig {
         return sharedWithList[msg.sender][noteId];
     }
     
+    /**
+     * @notice Permission of every recipient, aligned with getSharedWithList
+     */
+    function getSharePermissions(uint256 noteId) external view returns (uint8[] memory permissions) {
+        require(noteId < userNotes[msg.sender].length, "Not found");
+        address[] storage recipients = sharedWithList[msg.sender][noteId];
+        permissions = new uint8[](recipients.length);
+        for (uint256 i = 0; i < recipients.length; i++) {
+            permissions[i] = sharePermissions[msg.sender][noteId][recipients[i]];
+        }
+    }
+    
+    /**
+     * @notice Whether each recipient has accepted yet, aligned with getSharedWithList
+     */
+    function getShareAcceptance(uint256 noteId) external view returns (bool[] memory accepted) {
+        require(noteId < userNotes[msg.sender].length, "Not found");
+        address[] storage recipients = sharedWithList[msg.sender][noteId];
+        accepted = new bool[](recipients.length);
+        for (uint256 i = 0; i < recipients.length; i++) {
+            accepted[i] = receivedNoteIndex[recipients[i]][msg.sender][noteId] != 0;
+        }
+    }
+    
+    /**
+     * @notice Expiry of every recipient (0 = never), aligned with getSharedWithList
+     */
+    function getShareExpiries(uint256 noteId) external view returns (uint256[] memory expiries) {
+        require(noteId < userNotes[msg.sender].length, "Not found");
+        address[] storage recipients = sharedWithList[msg.sender][noteId];
+        expiries = new uint256[](recipients.length);
+        for (uint256 i = 0; i < recipients.length; i++) {
+            expiries[i] = shareExpiries[msg.sender][noteId][recipients[i]];
+        }
+    }
+    
+    // ===================== GROUP FUNCTIONS =====================
+    
+    /**
+     * @notice Create a named recipient group
+     */
+    function createGroup(string calldata name, address[] calldata members) external returns (uint256 groupId) {
+        require(bytes(name).length > 0, "Empty name");
+        require(members.length <= MAX_GROUP_MEMBERS, "Too many members");
+        
+        groupId = groups[msg.sender].length;
+        groups[msg.sender].push();
+        groups[msg.sender][groupId].name = name;
+        emit GroupCreated(msg.sender, groupId, name);
+        
+        for (uint256 i = 0; i < members.length; i++) {
+            _addGroupMember(groupId, members[i]);
+        }
+    }
+    
+    function renameGroup(uint256 groupId, string calldata name) external {
+        require(bytes(name).length > 0, "Empty name");
+        _activeGroup(groupId).name = name;
+        emit GroupRenamed(msg.sender, groupId, name);
+    }
+    
+    /**
+     * @notice Delete an empty group
+     * @dev Members are removed first with removeGroupMember, which revokes the shares held
+     *      only through this group. Releasing every member here would cost members x notes
+     *      share drops in one transaction, beyond the transaction gas cap for a full group.
+     */
+    function deleteGroup(uint256 groupId) external {
+        require(_activeGroup(groupId).members.length == 0, "Group not empty");
+
+        uint256[] storage noteIds = groupNotes[msg.sender][groupId];
+        for (uint256 i = 0; i < noteIds.length; i++) {
+            delete groupShares[msg.sender][groupId][noteIds[i]];
+            delete isGroupNote[msg.sender][groupId][noteIds[i]];
+        }
+        delete groupNotes[msg.sender][groupId];
+        delete groups[msg.sender][groupId];
+        
+        emit GroupDeleted(msg.sender, groupId);
+    }
+    
+    /**
+     * @notice Add a member; every live note already shared with the group is shared with them too
+     * @dev The contract is allowed on each note's key handles, so it can grant them without a new input
+     */
+    function addGroupMember(uint256 groupId, address member) external {
+        _addGroupMember(groupId, member);
+        
+        uint256[] storage noteIds = groupNotes[msg.sender][groupId];
+        for (uint256 i = 0; i < noteIds.length; i++) {
+            Note storage note = userNotes[msg.sender][noteIds[i]];
+            GroupShare storage settings = groupShares[msg.sender][groupId][noteIds[i]];
+            if (note.isDeleted) continue;
+            if (settings.expiresAt != 0 && settings.expiresAt <= block.timestamp) continue;
+            
+            _grantShare(
+                groupId,
+                noteIds[i],
+                member,
+                [note.keyChunk1, note.keyChunk2, note.keyChunk3, note.keyChunk4],
+                settings.permission,
+                settings.expiresAt
+            );
+        }
+    }
+    
+    /**
+     * @notice Remove a member and revoke the notes shared through the group
+     * @dev Shares made individually, or also held through another group the member
+     *      is still in, are kept. Like unshareNote, the member may still hold old keys:
+     *      re-save the revoked notes to rotate them.
+     */
+    function removeGroupMember(uint256 groupId, address member) external {
+        Group storage group = _activeGroup(groupId);
+        uint256 idx = groupMemberIndex[msg.sender][groupId][member];
+        require(idx != 0, "Not a member");
+        
+        address moved = group.members[group.members.length - 1];
+        group.members[idx - 1] = moved;
+        groupMemberIndex[msg.sender][groupId][moved] = idx;
+        group.members.pop();
+        delete groupMemberIndex[msg.sender][groupId][member];
+        emit GroupMemberRemoved(msg.sender, groupId, member);
+        
+        uint256[] storage noteIds = groupNotes[msg.sender][groupId];
+        for (uint256 i = 0; i < noteIds.length; i++) {
+            uint256 noteId = noteIds[i];
+            mapping(address => uint256) storage held = groupHeldShare[msg.sender][groupId][noteId];
+            if (held[member] != shareEpoch[msg.sender][noteId][member] + 1) continue;
+            
+            delete held[member];
+            if (--shareGroupCount[msg.sender][noteId][member] > 0) continue;
+            _dropShare(msg.sender, noteId, member);
+            emit NoteUnshared(msg.sender, noteId, member);
+        }
+    }
+    
+    /**
+     * @notice Share a note with every member of a group in one transaction
+     * @dev One set of key chunks under one input proof is allowed to every member,
+     *      so the encrypted input stays at 4 x 64 bits whatever the group size
+     *      (the relayer caps a single input at 2048 bits). Members the note is
+     *      already shared with keep their existing share. A group holds at most
+     *      MAX_GROUP_NOTES notes.
+     */
+    function shareNoteWithGroup(
+        uint256 noteId,
+        uint256 groupId,
+        uint8 permission,
+        uint256 expiresAt,
+        externalEuint64 k1,
+        externalEuint64 k2,
+        externalEuint64 k3,
+        externalEuint64 k4,
+        bytes calldata inputProof
+    ) external {
+        require(noteId < userNotes[msg.sender].length, "Not found");
+        require(!userNotes[msg.sender][noteId].isDeleted, "Deleted");
+        require(permission <= PERMISSION_EDIT, "Invalid permission");
+        require(expiresAt == 0 || expiresAt > block.timestamp, "Expiry in past");
+        address[] storage members = _activeGroup(groupId).members;
+        
+        euint64[4] memory chunks = [
+            FHE.fromExternal(k1, inputProof),
+            FHE.fromExternal(k2, inputProof),
+            FHE.fromExternal(k3, inputProof),
+            FHE.fromExternal(k4, inputProof)
+        ];
+        for (uint256 i = 0; i < members.length; i++) {
+            _grantShare(groupId, noteId, members[i], chunks, permission, expiresAt);
+        }
+        
+        if (!isGroupNote[msg.sender][groupId][noteId]) {
+            require(groupNotes[msg.sender][groupId].length < MAX_GROUP_NOTES, "Too many notes");
+            isGroupNote[msg.sender][groupId][noteId] = true;
+            groupNotes[msg.sender][groupId].push(noteId);
+        }
+        groupShares[msg.sender][groupId][noteId] = GroupShare({permission: permission, expiresAt: expiresAt});
+        
+        emit NoteSharedWithGroup(msg.sender, noteId, groupId);
+    }
+    
+    function _activeGroup(uint256 groupId) internal view returns (Group storage group) {
+        require(groupId < groups[msg.sender].length, "Group not found");
+        group = groups[msg.sender][groupId];
+        require(bytes(group.name).length > 0, "Group deleted");
+    }
+    
+    function _addGroupMember(uint256 groupId, address member) internal {
+        Group storage group = _activeGroup(groupId);
+        require(member != address(0) && member != msg.sender, "Invalid member");
+        require(groupMemberIndex[msg.sender][groupId][member] == 0, "Already a member");
+        require(group.members.length < MAX_GROUP_MEMBERS, "Too many members");
+        
+        group.members.push(member);
+        groupMemberIndex[msg.sender][groupId][member] = group.members.length;
+        emit GroupMemberAdded(msg.sender, groupId, member);
+    }
+    
+    /**
+     * @dev Share existing handles with one recipient on behalf of a group. Skips recipients
+     *      already shared, who blocked the owner or who have too many of the owner's invitations
+     *      pending, so one member cannot fail a group share. An existing share made through
+     *      another group is held by this one too.
+     */
+    function _grantShare(
+        uint256 groupId,
+        uint256 noteId,
+        address recipient,
+        euint64[4] memory chunks,
+        uint8 permission,
+        uint256 expiresAt
+    ) internal {
+        mapping(address => uint256) storage held = groupHeldShare[msg.sender][groupId][noteId];
+        uint256 epoch = shareEpoch[msg.sender][noteId][recipient] + 1;
+        
+        if (sharedNoteKeys[msg.sender][noteId][recipient][0] != bytes32(0)) {
+            if (shareGroupCount[msg.sender][noteId][recipient] != 0 && held[recipient] != epoch) {
+                held[recipient] = epoch;
+                shareGroupCount[msg.sender][noteId][recipient]++;
+            }
+            return;
+        }
+        if (blockedSenders[recipient][msg.sender]) return;
+        if (pendingSharesFrom[recipient][msg.sender] >= MAX_PENDING_PER_SENDER) return;
+        
+        for (uint256 c = 0; c < 4; c++) {
+            FHE.allowThis(chunks[c]);
+            FHE.allow(chunks[c], recipient);
+        }
+        sharedNoteKeys[msg.sender][noteId][recipient] = [
+            FHE.toBytes32(chunks[0]),
+            FHE.toBytes32(chunks[1]),
+            FHE.toBytes32(chunks[2]),
+            FHE.toBytes32(chunks[3])
+        ];
+        _addShareRecord(noteId, recipient);
+        sharePermissions[msg.sender][noteId][recipient] = permission;
+        shareExpiries[msg.sender][noteId][recipient] = expiresAt;
+        held[recipient] = epoch;
+        shareGroupCount[msg.sender][noteId][recipient] = 1;
+        
+        emit NoteShared(msg.sender, noteId, recipient);
+        emit SharePermissionSet(msg.sender, noteId, recipient, permission);
+        if (expiresAt != 0) emit ShareExpirySet(msg.sender, noteId, recipient, expiresAt);
+    }
+    
+    /**
+     * @notice The caller's groups; deleted groups are returned with an empty name
+     */
+    function getGroups() external view returns (string[] memory names, address[][] memory members) {
+        Group[] storage list = groups[msg.sender];
+        names = new string[](list.length);
+        members = new address[][](list.length);
+        for (uint256 i = 0; i < list.length; i++) {
+            names[i] = list[i].name;
+            members[i] = list[i].members;
+        }
+    }
+    
+    /**
+     * @notice Notes shared with a group (membership changes apply to these)
+     */
+    function getGroupNotes(uint256 groupId) external view returns (uint256[] memory) {
+        require(groupId < groups[msg.sender].length, "Group not found");
+        return groupNotes[msg.sender][groupId];
+    }
+    
     // ===================== CATEGORY FUNCTIONS =====================
     
     /**
@@ -349,6 +1171,29 @@ contract CipherNotes is ZamaEthereumConfig {
     function setCategoryName(uint8 index, string calldata name) external {
         require(index < 8, "Invalid index");
         categoryNames[msg.sender][index] = name;
+        emit CategoriesUpdated(msg.sender);
+    }
+    
+    /**
+     * @notice Set all category names, colors and display order in one transaction
+     * @dev order is a permutation of slots 0-7; notes keep their encrypted slot index,
+     *      so reordering only changes how slots are listed
+     */
+    function setCategories(
+        string[8] calldata names,
+        uint24[8] calldata colors,
+        uint8[8] calldata order
+    ) external {
+        bool[8] memory seen;
+        for (uint256 i = 0; i < 8; i++) {
+            require(order[i] < 8 && !seen[order[i]], "Invalid order");
+            seen[order[i]] = true;
+            categoryNames[msg.sender][i] = names[i];
+        }
+        categoryColors[msg.sender] = colors;
+        categoryOrder[msg.sender] = order;
+        
+        emit CategoriesUpdated(msg.sender);
     }
     
     /**
@@ -358,6 +1203,17 @@ contract CipherNotes is ZamaEthereumConfig {
         return categoryNames[user];
     }
     
+    /**
+     * @notice Get category names, colors and display order for a user
+     */
+    function getCategories(address user) external view returns (
+        string[8] memory names,
+        uint24[8] memory colors,
+        uint8[8] memory order
+    ) {
+        return (categoryNames[user], categoryColors[user], categoryOrder[user]);
+    }
+    
     /**
      * @notice Set note category (encrypted, 0-7)
      */
@@ -386,6 +1242,18 @@ contract CipherNotes is ZamaEthereumConfig {
         return noteCategories[msg.sender][noteId];
     }
     
+    /**
+     * @notice Get category handles for all of the caller's notes (index = noteId)
+     * @dev Uninitialized handles (bytes32(0)) mean no category was ever set
+     */
+    function getMyNoteCategories() external view returns (euint8[] memory categories) {
+        uint256 total = userNotes[msg.sender].length;
+        categories = new euint8[](total);
+        for (uint256 i = 0; i < total; i++) {
+            categories[i] = noteCategories[msg.sender][i];
+        }
+    }
+    
     // ===================== VIEW FUNCTIONS =====================
     
     function getMyNotesMetadata() external view returns (
@@ -393,7 +1261,8 @@ contract CipherNotes is ZamaEthereumConfig {
         string[] memory titles,
         uint256[] memory createdAts,
         uint256[] memory updatedAts,
-        bool[] memory deletedFlags
+        bool[] memory deletedFlags,
+        bool[] memory purgedFlags
     ) {
         uint256 total = userNotes[msg.sender].length;
         
@@ -402,6 +1271,7 @@ contract CipherNotes is ZamaEthereumConfig {
         createdAts = new uint256[](total);
         updatedAts = new uint256[](total);
         deletedFlags = new bool[](total);
+        purgedFlags = new bool[](total);
         
         for (uint256 i = 0; i < total; i++) {
             Note storage note = userNotes[msg.sender][i];
@@ -410,6 +1280,7 @@ contract CipherNotes is ZamaEthereumConfig {
             createdAts[i] = note.createdAt;
             updatedAts[i] = note.updatedAt;
             deletedFlags[i] = note.isDeleted;
+            purgedFlags[i] = note.isPurged;
         }
     }
     
@@ -429,6 +1300,42 @@ contract CipherNotes is ZamaEthereumConfig {
         return (note.keyChunk1, note.keyChunk2, note.keyChunk3, note.keyChunk4);
     }
     
+    /**
+     * @notice Timestamps of every content revision of a note (index = revision)
+     */
+    function getRevisionTimestamps(uint256 noteId) external view returns (uint256[] memory createdAts) {
+        require(noteId < userNotes[msg.sender].length, "Not found");
+        Revision[] storage revisions = noteRevisions[msg.sender][noteId];
+        createdAts = new uint256[](revisions.length);
+        for (uint256 i = 0; i < revisions.length; i++) {
+            createdAts[i] = revisions[i].createdAt;
+        }
+    }
+    
+    /**
+     * @notice CID and key handles of one revision (owner-decryptable)
+     */
+    function getRevision(uint256 noteId, uint256 index) external view returns (
+        bytes memory ipfsCid,
+        euint64 k1,
+        euint64 k2,
+        euint64 k3,
+        euint64 k4,
+        uint256 createdAt
+    ) {
+        require(noteId < userNotes[msg.sender].length, "Not found");
+        require(index < noteRevisions[msg.sender][noteId].length, "No revision");
+        Revision storage revision = noteRevisions[msg.sender][noteId][index];
+        return (
+            revision.ipfsCid,
+            revision.keyChunk1,
+            revision.keyChunk2,
+            revision.keyChunk3,
+            revision.keyChunk4,
+            revision.createdAt
+        );
+    }
+    
     function getTotalNotes() external view returns (uint256) {
         return userNotes[msg.sender].length;
     }
@@ -1,5 +1,10 @@
+import * as fs from "fs";
 import { DeployFunction } from "hardhat-deploy/types";
 import { HardhatRuntimeEnvironment } from "hardhat/types";
+import * as path from "path";
+
+// Imported by src/config/contracts.js - { [chainId]: { network, chainId, contracts: { [name]: { address, abi, ... } } } }
+const MANIFEST_PATH = path.join(__dirname, "..", "src", "config", "deployments.json");
 
 /**
  * Deploy CipherNotes - FHE-powered private note-taking dApp
@@ -30,11 +35,30 @@ const func: DeployFunction = async function (hre: HardhatRuntimeEnvironment) {
 
     console.log(`\n✅ CipherNotes deployed at: ${cipherNotes.address}`);
 
+    // The in-process hardhat network is thrown away after each run
+    if (hre.network.name !== "hardhat") {
+        const chainId = Number(await hre.getChainId());
+        const manifest = fs.existsSync(MANIFEST_PATH) ? JSON.parse(fs.readFileSync(MANIFEST_PATH, "utf8")) : {};
+        manifest[chainId] = {
+            network: hre.network.name,
+            chainId,
+            contracts: {
+                ...manifest[chainId]?.contracts,
+                CipherNotes: {
+                    address: cipherNotes.address,
+                    abi: cipherNotes.abi,
+                    transactionHash: cipherNotes.transactionHash,
+                    blockNumber: cipherNotes.receipt?.blockNumber,
+                },
+            },
+        };
+        fs.writeFileSync(MANIFEST_PATH, JSON.stringify(manifest, null, 2) + "\n");
+        console.log(`📄 Deployments manifest updated: ${path.relative(process.cwd(), MANIFEST_PATH)}`);
+    }
+
     console.log("\n═══════════════════════════════════════════════════════");
     console.log("🎉 Deployment Complete!");
     console.log("═══════════════════════════════════════════════════════");
-    console.log("\nAdd this to your .env file:");
-    console.log(`VITE_CIPHERNOTES_ADDRESS=${cipherNotes.address}`);
     console.log("\n");
 };
 
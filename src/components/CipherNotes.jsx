@@ -1,88 +1,97 @@
 import { ConnectButton } from '@rainbow-me/rainbowkit';
-import { useCallback, useEffect, useState } from 'react';
+import { useCallback, useEffect, useMemo, useRef, useState, useSyncExternalStore } from 'react';
 import styled from 'styled-components';
-import { useAccount } from 'wagmi';
-import { CONTRACT_ABIS, CONTRACT_ADDRESSES } from '../config/contracts';
+import { useAccount, useSwitchChain } from 'wagmi';
+import { getContractAbi, getContractAddresses } from '../config/contracts';
+import { SUPPORTED_NETWORKS } from '../config/networks';
+import { useAutoLock } from '../hooks/useAutoLock';
 import { useFhevm } from '../hooks/useFhevm';
-import { downloadFromIPFS, uploadToIPFS } from '../lib/ipfs';
+import {
+  aesEncrypt, decryptTitle, encryptTitle, exportKeyToBytes, generateAESKey, importKeyFromBytes,
+  isEncryptedTitle, joinKey, openEnvelope, splitKey,
+} from '../lib/crypto';
+import { addRecent, contactLabel, loadAddressBook, saveAddressBook, setContact } from '../lib/addressBook';
+import { clearDecryptionSessions } from '../lib/decryptionSession';
+import { diffLines } from '../lib/diff';
+import { createNameResolver, isAddress, isEnsName } from '../lib/ens';
+import { downloadFromIPFS, unpinFromIPFS, uploadToIPFS } from '../lib/ipfs';
+import { getWalletScope, sessionStore } from '../lib/sessionStore';
+import { expiryFromNow, formatExpiry, isShareExpired } from '../lib/shareExpiry';
 
-// ===================== CRYPTO UTILS =====================
+// ===================== HELPERS =====================
 
-// Generate random AES-256 key
-const generateAESKey = async () => {
-  const key = await crypto.subtle.generateKey(
-    { name: 'AES-GCM', length: 256 },
-    true,
-    ['encrypt', 'decrypt']
-  );
-  return key;
+// Run fn over items with at most `limit` in flight; results keep input order
+const mapWithConcurrency = async (items, limit, fn) => {
+  const results = new Array(items.length);
+  let next = 0;
+  const worker = async () => {
+    while (next < items.length) {
+      const i = next++;
+      results[i] = await fn(items[i], i);
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+  return results;
 };
 
-// Export key to raw bytes
-const exportKeyToBytes = async (key) => {
-  const raw = await crypto.subtle.exportKey('raw', key);
-  return new Uint8Array(raw);
-};
+// Parallel IPFS downloads during "Decrypt all"
+const DOWNLOAD_CONCURRENCY = 4;
 
-// Import key from raw bytes
-const importKeyFromBytes = async (keyBytes) => {
-  return await crypto.subtle.importKey(
-    'raw',
-    keyBytes,
-    { name: 'AES-GCM', length: 256 },
-    true,
-    ['encrypt', 'decrypt']
-  );
+// CID is stored on-chain as UTF-8 bytes (hex string from ethers)
+const decodeCidBytes = (cidBytes) => {
+  const hex = cidBytes.slice(2).match(/.{1,2}/g) || [];
+  return new TextDecoder().decode(new Uint8Array(hex.map(b => parseInt(b, 16))));
 };
 
-// AES-GCM encrypt
-const aesEncrypt = async (plaintext, key) => {
-  const iv = crypto.getRandomValues(new Uint8Array(12));
-  const encoded = new TextEncoder().encode(plaintext);
-  const ciphertext = await crypto.subtle.encrypt(
-    { name: 'AES-GCM', iv },
-    key,
-    encoded
-  );
-  // Combine IV + ciphertext
-  const combined = new Uint8Array(iv.length + ciphertext.byteLength);
-  combined.set(iv);
-  combined.set(new Uint8Array(ciphertext), iv.length);
-  return combined;
-};
+// Decrypted note categories, cached per wallet scope (chain + address):
+// { [noteId]: { handle, category } }
+// A changed handle means the category was re-set and must be decrypted again
+const categoryCacheKey = (scope) => `notepad-categories:${scope}`;
 
-// AES-GCM decrypt
-const aesDecrypt = async (encryptedData, key) => {
-  const iv = encryptedData.slice(0, 12);
-  const ciphertext = encryptedData.slice(12);
-  const decrypted = await crypto.subtle.decrypt(
-    { name: 'AES-GCM', iv },
-    key,
-    ciphertext
-  );
-  return new TextDecoder().decode(decrypted);
+const readCategoryCache = (scope) => {
+  try {
+    return JSON.parse(localStorage.getItem(categoryCacheKey(scope)) || '{}');
+  } catch { return {}; }
 };
 
-// Convert 64-bit key chunk to/from BigInt
-const keyChunkToBigInt = (keyBytes, offset = 0) => {
-  let value = 0n;
-  for (let i = 0; i < 8; i++) {
-    value = (value << 8n) | BigInt(keyBytes[offset + i] || 0);
-  }
-  return value;
+const writeCategoryCache = (scope, cache) => {
+  localStorage.setItem(categoryCacheKey(scope), JSON.stringify(cache));
 };
 
-const bigIntToKeyChunk = (value) => {
-  const bytes = new Uint8Array(8);
-  for (let i = 7; i >= 0; i--) {
-    bytes[i] = Number(value & 0xFFn);
-    value = value >> 8n;
-  }
-  return bytes;
+const EMPTY_SESSION = { content: {}, keys: {}, titles: {} };
+
+// Shown in place of an encrypted title until it is decrypted
+const ENCRYPTED_TITLE_PLACEHOLDER = '🔒 Encrypted title';
+
+// Share permission levels - must match CipherNotes.sol
+const PERMISSION_READ = 0;
+const PERMISSION_EDIT = 1;
+const PERMISSION_LABELS = { [PERMISSION_READ]: 'Read', [PERMISSION_EDIT]: 'Edit' };
+
+// Share expiry choices in days (0 = never)
+const SHARE_EXPIRY_DAYS = [0, 1, 3, 7, 30];
+const expiryLabel = (days) => days === 0 ? 'Never expires' : `${days} day${days === 1 ? '' : 's'}`;
+
+// ===================== AUTO-LOCK =====================
+// Minutes idle before decrypted content is wiped (0 = never)
+const AUTO_LOCK_OPTIONS = [1, 5, 15, 30, 0];
+const DEFAULT_AUTO_LOCK_MINUTES = Number(import.meta.env.VITE_AUTO_LOCK_MINUTES ?? 5);
+// Off by default: a tab switch would otherwise wipe unsaved edits
+const AUTO_LOCK_ON_HIDE = import.meta.env.VITE_AUTO_LOCK_ON_HIDE === 'true';
+
+const formatCountdown = (ms) => {
+  const totalSeconds = Math.ceil(ms / 1000);
+  return `${Math.floor(totalSeconds / 60)}:${String(totalSeconds % 60).padStart(2, '0')}`;
 };
 
 // ===================== DEFAULT CATEGORIES =====================
 const DEFAULT_CATEGORIES = ['Personal', 'Work', 'Ideas', 'Todo', 'Archive', 'Important', 'Draft', 'Other'];
+const DEFAULT_CATEGORY_COLORS = ['#4CAF50', '#2196F3', '#FF9800', '#E91E63', '#9C27B0', '#F44336', '#607D8B', '#795548'];
+const DEFAULT_CATEGORY_ORDER = [0, 1, 2, 3, 4, 5, 6, 7];
+
+// On-chain colors are 0xRRGGBB integers (0 = use default)
+const colorToUint24 = (hex) => parseInt(hex.slice(1), 16);
+const uint24ToColor = (value) => `#${Number(value).toString(16).padStart(6, '0').toUpperCase()}`;
 
 // ===================== STYLED COMPONENTS =====================
 
@@ -181,6 +190,22 @@ const NoteItem = styled.div`
   }
 `;
 
+const TrashItem = styled.div`
+  padding: 4px 8px;
+  font-size: 11px;
+  display: flex;
+  align-items: center;
+  gap: 4px;
+  color: #666;
+  .title { flex: 1; overflow: hidden; text-overflow: ellipsis; white-space: nowrap; }
+  button { padding: 1px 6px; font-size: 10px; }
+`;
+
+// Pending share invitation (or blocked sender) with its action buttons
+const InviteItem = styled(TrashItem)`
+  .meta { font-size: 9px; color: #888; }
+`;
+
 const NewNoteBtn = styled.button`
   margin: 4px;
   padding: 6px 8px;
@@ -229,6 +254,11 @@ const CategorySelect = styled.select`
   min-width: 100px;
 `;
 
+const NetworkSelect = styled(CategorySelect)`
+  padding: 1px 4px;
+  min-width: 0;
+`;
+
 const EditorTextarea = styled.textarea`
   flex: 1;
   padding: 12px;
@@ -324,6 +354,7 @@ const LogPanel = styled.div`
   .log-entry.error { color: #FF6B6B; }
   .log-entry.success { color: #00D4AA; }
   .log-entry.info { color: #6C9BCF; }
+  .log-entry.warning { color: #F5A623; }
 `;
 
 // Share Modal
@@ -371,6 +402,72 @@ const ModalButtons = styled.div`
   justify-content: flex-end;
 `;
 
+const CategoryRow = styled.div`
+  display: flex;
+  align-items: center;
+  gap: 4px;
+  margin-bottom: 4px;
+  input[type="color"] { width: 24px; height: 22px; padding: 0; border: 1px solid #7F9DB9; }
+  .name {
+    flex: 1;
+    padding: 3px 6px;
+    border: 1px solid #7F9DB9;
+    border-radius: 2px;
+    font-size: 11px;
+  }
+  button { padding: 1px 6px; font-size: 9px; }
+`;
+
+const SharedWithRow = styled.div`
+  display: flex;
+  align-items: center;
+  justify-content: space-between;
+  gap: 8px;
+  color: #666;
+  margin-top: 4px;
+  button { padding: 1px 8px; font-size: 10px; }
+  select { min-width: 0; padding: 1px 4px; font-size: 10px; }
+  .expiry { color: #a60; }
+  .name { cursor: pointer; }
+`;
+
+// Recent recipients and contacts under the share field
+const RecipientPicker = styled.div`
+  display: flex;
+  flex-wrap: wrap;
+  align-items: center;
+  gap: 4px;
+  margin: -6px 0 12px 0;
+  font-size: 10px;
+  button { padding: 1px 6px; font-size: 10px; }
+  select { min-width: 0; padding: 1px 4px; font-size: 10px; }
+  .resolved { color: #060; }
+  .unresolved { color: #c00; }
+`;
+
+// History panel: revision list + diff of the viewed revision against the editor text
+const HistoryList = styled.div`
+  max-height: 140px;
+  overflow-y: auto;
+  margin-bottom: 8px;
+  font-size: 10px;
+`;
+
+const DiffView = styled.pre`
+  background: white;
+  border: 1px solid #7F9DB9;
+  max-height: 280px;
+  max-width: 560px;
+  overflow: auto;
+  margin: 0 0 12px 0;
+  padding: 4px 0;
+  font-size: 11px;
+  white-space: pre-wrap;
+  .insert { background: #E6FFED; color: #1A7F37; }
+  .delete { background: #FFEBE9; color: #CF222E; }
+  div { padding: 0 6px; min-height: 1.2em; }
+`;
+
 const SharedWithBadge = styled.span`
   background: #E3F2FD;
   color: #1976D2;
@@ -383,17 +480,21 @@ const SharedWithBadge = styled.span`
 // ===================== MAIN COMPONENT =====================
 
 export const NotepadApp = () => {
-  const { isConnected, address } = useAccount();
+  const { isConnected, address, chainId } = useAccount();
+  const { switchChain, isPending: isSwitchingChain } = useSwitchChain();
   const { 
-    isReady, isSupportedNetwork, status,
+    isReady, isSupportedNetwork, isMockNetwork, network, status,
     createEncryptedInput, createEncryptedInput4x64, 
-    requestDecryption, requestDecryption4x64,
-    getContract, ethersSigner,
+    requestDecryption, requestDecryption4x64, requestDecryptionBatch,
+    getContract, ethersSigner, ethersProvider,
   } = useFhevm();
   
   // Core state
   const [notes, setNotes] = useState([]);
   const [sharedNotes, setSharedNotes] = useState([]);
+  const [pendingShares, setPendingShares] = useState([]); // invitations not yet accepted
+  const [blockedSenders, setBlockedSenders] = useState([]);
+  const [trashNotes, setTrashNotes] = useState([]);
   const [selectedNoteId, setSelectedNoteId] = useState(null);
   const [selectedSharedNote, setSelectedSharedNote] = useState(null);
   const [title, setTitle] = useState('');
@@ -401,7 +502,8 @@ export const NotepadApp = () => {
   const [selectedCategory, setSelectedCategory] = useState(0);
   
   // UI state
-  const [activeTab, setActiveTab] = useState('my'); // 'my' | 'shared'
+  const [activeTab, setActiveTab] = useState('my'); // 'my' | 'shared' | 'trash'
+  const [sharedView, setSharedView] = useState('accepted'); // 'accepted' | 'pending'
   const [isLoading, setIsLoading] = useState(false);
   const [loadingMessage, setLoadingMessage] = useState('');
   const [loadingStep, setLoadingStep] = useState('');
@@ -414,51 +516,213 @@ export const NotepadApp = () => {
   const [showShareModal, setShowShareModal] = useState(false);
   const [shareRecipient, setShareRecipient] = useState('');
   const [sharedWithList, setSharedWithList] = useState([]);
+  const [sharePermission, setSharePermission] = useState(PERMISSION_READ);
+  const [sharePermissions, setSharePermissions] = useState({});
+  const [shareExpiryDays, setShareExpiryDays] = useState(0);
+  const [shareExpiries, setShareExpiries] = useState({});
+  const [shareAccepted, setShareAccepted] = useState({});
+  const [resolvedRecipient, setResolvedRecipient] = useState(null); // { name, address } for an ENS input
+  
+  // Recipient names: local address book labels first, then ENS primary names
+  const [addressBook, setAddressBook] = useState(() => loadAddressBook(null));
+  const [ensNames, setEnsNames] = useState({}); // { [lowercased address]: name | null }
+  
+  // Recipient groups
+  const [groups, setGroups] = useState([]); // [{ id, name, members }]
+  const [showGroupsModal, setShowGroupsModal] = useState(false);
+  const [newGroupName, setNewGroupName] = useState('');
+  const [newGroupMembers, setNewGroupMembers] = useState('');
+  const [memberInputs, setMemberInputs] = useState({}); // { [groupId]: address being added }
+  const [shareGroupId, setShareGroupId] = useState('');
+  
+  // History modal
+  const [showHistoryModal, setShowHistoryModal] = useState(false);
+  const [revisions, setRevisions] = useState([]); // [{ index, createdAt }], newest first
+  const [viewedRevision, setViewedRevision] = useState(null); // { index, text } - plaintext, cleared on lock
+  
+  // Category manager modal
+  const [showCategoryModal, setShowCategoryModal] = useState(false);
+  const [categoryDraft, setCategoryDraft] = useState([]); // [{ slot, name, color }] in display order
   
   // Categories
   const [categories, setCategories] = useState(DEFAULT_CATEGORIES);
-  const [noteCategories, setNoteCategories] = useState(() => {
-    // Load from localStorage on init
-    try {
-      const saved = localStorage.getItem('notepad-categories');
-      return saved ? JSON.parse(saved) : {};
-    } catch { return {}; }
-  });
+  const [categoryColors, setCategoryColors] = useState(DEFAULT_CATEGORY_COLORS);
+  const [categoryOrder, setCategoryOrder] = useState(DEFAULT_CATEGORY_ORDER); // slot indexes in display order
+  const [noteCategories, setNoteCategories] = useState({}); // { [noteId]: slot }, decrypted from chain
   const [filterCategory, setFilterCategory] = useState(-1); // -1 = all
   const [searchQuery, setSearchQuery] = useState('');
   
-  // Local cache for decrypted content AND keys
-  const [contentCache, setContentCache] = useState({});
-  const [keyCache, setKeyCache] = useState({}); // Cache AES key bytes for sharing
+  // Auto-lock
+  const [autoLockMinutes, setAutoLockMinutes] = useState(() => {
+    const saved = localStorage.getItem('notepad-autolock-minutes');
+    return saved !== null ? Number(saved) : DEFAULT_AUTO_LOCK_MINUTES;
+  });
+  
+  // Seal titles with the note key on save (stored as "cne:..." in the on-chain title)
+  const [encryptTitles, setEncryptTitles] = useState(() => localStorage.getItem('notepad-encrypt-titles') === 'true');
   
-  const contractAddress = CONTRACT_ADDRESSES?.CipherNotes;
+  // Decrypted content, titles AND keys (AES key bytes for sharing), scoped to this wallet
+  const walletScope = getWalletScope(address, chainId);
+  const session = useSyncExternalStore(sessionStore.subscribe, sessionStore.getSnapshot);
+  // Until the scope effect has run, never expose another wallet's session
+  const isSessionCurrent = session.scope === walletScope;
+  const { content: contentCache, keys: keyCache, titles: titleCache } = isSessionCurrent ? session : EMPTY_SESSION;
+  
+  const contractAddress = getContractAddresses(chainId).CipherNotes;
+  // AES-GCM associated data binding a ciphertext to exactly one note
+  const noteContext = (owner, noteId) => ({ chainId, contract: contractAddress, owner, noteId });
+  // Content published since this deployment switched to bound notes must open bound (strict openEnvelope)
+  const requiresBinding = (revisedAt) =>
+    network?.noteBindingSince != null && Number(revisedAt) >= network.noteBindingSince;
+  // Plaintext title, or '' while an encrypted title is not yet decrypted
+  const knownTitle = (note, cacheKey) => note.encryptedTitle ? titleCache[cacheKey] ?? '' : note.title;
+  const displayTitle = (note, cacheKey) => knownTitle(note, cacheKey) || ENCRYPTED_TITLE_PLACEHOLDER;
+  // Open note has an encrypted title we cannot show (or re-encrypt) yet
+  const isTitleSealed = selectedSharedNote
+    ? Boolean(selectedSharedNote.encryptedTitle) &&
+      titleCache[`shared-${selectedSharedNote.owner}-${selectedSharedNote.noteId}`] === undefined
+    : selectedNoteId !== null && !isNewNote &&
+      Boolean(notes.find(n => n.id === selectedNoteId)?.encryptedTitle) && titleCache[`my-${selectedNoteId}`] === undefined;
+  const canEditShared = selectedSharedNote?.permission === PERMISSION_EDIT && !isShareExpired(selectedSharedNote.expiresAt);
   
   const addLog = (message, type = 'info') => {
     setLogs(prev => [...prev.slice(-20), { message, type, time: new Date().toLocaleTimeString() }]);
     console.log(`[Notepad ${type}]`, message);
   };
   
-  const CATEGORY_COLORS = ['#4CAF50', '#2196F3', '#FF9800', '#E91E63', '#9C27B0', '#F44336', '#607D8B', '#795548'];
+  // Account or chain switched / disconnected: wipe everything decrypted for the previous wallet,
+  // and the cached decryption authorization that would let anyone decrypt again without a prompt
+  const previousScope = useRef(walletScope);
+  useEffect(() => {
+    if (previousScope.current !== null && previousScope.current !== walletScope) clearDecryptionSessions();
+    previousScope.current = walletScope;
+    sessionStore.setScope(walletScope);
+    setNotes([]);
+    setSharedNotes([]);
+    setPendingShares([]);
+    setBlockedSenders([]);
+    setTrashNotes([]);
+    setNoteCategories({});
+    setSelectedNoteId(null);
+    setSelectedSharedNote(null);
+    setIsNewNote(false);
+    setIsDecrypted(false);
+    setTitle('');
+    setContent('');
+    setSharedWithList([]);
+    setGroups([]);
+    setAddressBook(loadAddressBook(walletScope));
+    setEnsNames({});
+  }, [walletScope]);
   
   useEffect(() => {
     if (isConnected && isReady && contractAddress) {
-      loadNotes();
-      loadSharedNotes();
+      loadNotesAndTitles();
       loadCategories();
+      loadNoteCategories();
+      loadGroups();
     }
-  }, [isConnected, isReady, contractAddress]);
+  }, [isConnected, isReady, contractAddress, walletScope]);
   
-  // Persist noteCategories to localStorage
+  // Note opened before the title batch finished - show its title once decrypted
   useEffect(() => {
-    if (Object.keys(noteCategories).length > 0) {
-      localStorage.setItem('notepad-categories', JSON.stringify(noteCategories));
+    if (selectedSharedNote) {
+      const decrypted = titleCache[`shared-${selectedSharedNote.owner}-${selectedSharedNote.noteId}`];
+      if (selectedSharedNote.encryptedTitle && decrypted !== undefined) setTitle(decrypted);
+    } else if (selectedNoteId !== null && title === '') {
+      const decrypted = titleCache[`my-${selectedNoteId}`];
+      if (decrypted !== undefined) setTitle(decrypted);
+    }
+  }, [titleCache]);
+  
+  // ===================== AUTO-LOCK =====================
+  
+  // Bumped on every lock, so a save or decrypt still in flight does not write its plaintext back
+  const lockGeneration = useRef(0);
+  
+  const handleLock = () => {
+    lockGeneration.current++;
+    sessionStore.clear();
+    clearDecryptionSessions();
+    setIsDecrypted(false);
+    setShowHistoryModal(false);
+    setViewedRevision(null);
+    if (isNewNote) {
+      // Unsaved draft is plaintext too
+      setIsNewNote(false);
+      setTitle('');
+      setContent('');
+    } else if (selectedNoteId !== null || selectedSharedNote) {
+      setContent('[🔐 Encrypted - Click "Decrypt" to view]');
+      if ((selectedSharedNote ?? notes.find(n => n.id === selectedNoteId))?.encryptedTitle) setTitle('');
     }
-  }, [noteCategories]);
+    addLog('Locked - decrypted content and decryption authorization wiped', 'info');
+  };
+  
+  const { remainingMs: autoLockRemaining, lock } = useAutoLock({
+    enabled: isDecrypted || Object.keys(contentCache).length > 0 || Object.keys(titleCache).length > 0,
+    timeoutMinutes: autoLockMinutes,
+    lockOnHide: AUTO_LOCK_ON_HIDE,
+    onLock: handleLock,
+  });
+  
+  const cycleAutoLock = () => {
+    const next = AUTO_LOCK_OPTIONS[(AUTO_LOCK_OPTIONS.indexOf(autoLockMinutes) + 1) % AUTO_LOCK_OPTIONS.length];
+    setAutoLockMinutes(next);
+    localStorage.setItem('notepad-autolock-minutes', String(next));
+  };
+  
+  const toggleEncryptTitles = () => {
+    setEncryptTitles(!encryptTitles);
+    localStorage.setItem('notepad-encrypt-titles', String(!encryptTitles));
+    addLog(`Titles will be saved ${!encryptTitles ? 'encrypted' : 'in plaintext'}`, 'info');
+  };
   
   const getContractInstance = useCallback(() => {
     if (!contractAddress || !ethersSigner) return null;
-    return getContract(contractAddress, CONTRACT_ABIS.CipherNotes);
-  }, [contractAddress, getContract, ethersSigner]);
+    return getContract(contractAddress, getContractAbi(chainId, 'CipherNotes'));
+  }, [contractAddress, chainId, getContract, ethersSigner]);
+  
+  const nameResolver = useMemo(() => ethersProvider ? createNameResolver(ethersProvider) : null, [ethersProvider]);
+  
+  // ===================== RECIPIENT NAMES =====================
+  
+  const updateAddressBook = (update) => {
+    setAddressBook(prev => {
+      const next = update(prev);
+      saveAddressBook(walletScope, next);
+      return next;
+    });
+  };
+  
+  // Reverse-resolve addresses we have no name for yet
+  const lookupNames = async (addresses) => {
+    if (!nameResolver) return;
+    const missing = [...new Set(addresses.map(a => a.toLowerCase()))].filter(a => !(a in ensNames));
+    if (missing.length === 0) return;
+    const names = await mapWithConcurrency(missing, 4, a => nameResolver.lookupName(a));
+    setEnsNames(prev => ({ ...prev, ...Object.fromEntries(missing.map((a, i) => [a, names[i]])) }));
+  };
+  
+  // Contact label or ENS name, else null
+  const nameOf = (addr) => contactLabel(addressBook, addr) ?? ensNames[addr.toLowerCase()] ?? null;
+  
+  const saveContact = (addr) => {
+    const label = prompt(`Label for ${addr}:`, nameOf(addr) ?? '');
+    if (label === null) return;
+    updateAddressBook(book => setContact(book, addr, label));
+  };
+  
+  // Preview what an ENS name in the share field resolves to
+  useEffect(() => {
+    const input = shareRecipient.trim();
+    setResolvedRecipient(null);
+    if (!nameResolver || !isEnsName(input)) return;
+    const timer = setTimeout(async () => {
+      setResolvedRecipient({ name: input, address: await nameResolver.resolveName(input) });
+    }, 400);
+    return () => clearTimeout(timer);
+  }, [shareRecipient, nameResolver]);
   
   // ===================== LOAD FUNCTIONS =====================
   
@@ -473,20 +737,27 @@ export const NotepadApp = () => {
       
       const metadata = await contract.getMyNotesMetadata();
       const loadedNotes = [];
+      const deletedNotes = [];
       for (let i = 0; i < metadata.ids.length; i++) {
-        if (!metadata.deletedFlags[i]) {
-          loadedNotes.push({
-            id: Number(metadata.ids[i]),
-            title: metadata.titles[i] || 'Untitled',
-            createdAt: Number(metadata.createdAts[i]),
-            updatedAt: Number(metadata.updatedAts[i]),
-          });
-        }
+        // Purged notes are gone for good - not even in trash
+        if (metadata.purgedFlags[i]) continue;
+        const encrypted = isEncryptedTitle(metadata.titles[i]);
+        const note = {
+          id: Number(metadata.ids[i]),
+          title: encrypted ? '' : metadata.titles[i] || 'Untitled',
+          encryptedTitle: encrypted ? metadata.titles[i] : null,
+          createdAt: Number(metadata.createdAts[i]),
+          updatedAt: Number(metadata.updatedAts[i]),
+        };
+        (metadata.deletedFlags[i] ? deletedNotes : loadedNotes).push(note);
       }
       setNotes(loadedNotes.sort((a, b) => b.updatedAt - a.updatedAt));
-      addLog(`Loaded ${loadedNotes.length} notes`, 'success');
+      setTrashNotes(deletedNotes.sort((a, b) => b.updatedAt - a.updatedAt));
+      addLog(`Loaded ${loadedNotes.length} notes (${deletedNotes.length} in trash)`, 'success');
+      return [...loadedNotes, ...deletedNotes];
     } catch (error) {
       addLog(`Load failed: ${error.message}`, 'error');
+      return [];
     } finally {
       setIsLoading(false);
     }
@@ -495,53 +766,190 @@ export const NotepadApp = () => {
   const loadSharedNotes = async () => {
     try {
       const contract = getContractInstance();
-      if (!contract) return;
+      if (!contract) return [];
       
       addLog('Fetching shared notes...');
-      const [owners, noteIds, titles] = await contract.getReceivedNotes();
-      
-      const shared = [];
-      for (let i = 0; i < owners.length; i++) {
-        if (titles[i]) { // Still shared
-          shared.push({
-            owner: owners[i],
-            noteId: Number(noteIds[i]),
-            title: titles[i],
-          });
-        }
-      }
+      const [owners, noteIds, titles, permissions, expiries] = await contract.getReceivedNotes();
+      
+      // Contract drops revoked shares, so every row is still accessible
+      const shared = owners.map((owner, i) => ({
+        owner,
+        noteId: Number(noteIds[i]),
+        title: isEncryptedTitle(titles[i]) ? '' : titles[i] || 'Untitled',
+        encryptedTitle: isEncryptedTitle(titles[i]) ? titles[i] : null,
+        permission: Number(permissions[i]),
+        expiresAt: Number(expiries[i]),
+      }));
       setSharedNotes(shared);
       addLog(`Loaded ${shared.length} shared notes`, 'success');
+      lookupNames(shared.map(n => n.owner));
+      return shared;
     } catch (error) {
       addLog(`Load shared failed: ${error.message}`, 'error');
+      return [];
+    }
+  };
+  
+  // Invitations wait here until accepted; their keys (and so encrypted titles) stay locked
+  const loadPendingShares = async () => {
+    try {
+      const contract = getContractInstance();
+      if (!contract) return;
+      
+      const [[owners, noteIds, titles, permissions, expiries], blocked] = await Promise.all([
+        contract.getPendingShares(),
+        contract.getBlockedSenders(),
+      ]);
+      setPendingShares(owners.map((owner, i) => ({
+        owner,
+        noteId: Number(noteIds[i]),
+        title: isEncryptedTitle(titles[i]) ? '' : titles[i] || 'Untitled',
+        encryptedTitle: isEncryptedTitle(titles[i]) ? titles[i] : null,
+        permission: Number(permissions[i]),
+        expiresAt: Number(expiries[i]),
+      })));
+      setBlockedSenders([...blocked]);
+      lookupNames([...owners, ...blocked]);
+    } catch (error) {
+      addLog(`Load invitations failed: ${error.message}`, 'error');
+    }
+  };
+  
+  // Decrypt every encrypted title in one FHE batch - key chunks only, no IPFS downloads
+  const decryptTitles = async (myNotes, shared) => {
+    const scope = walletScope;
+    const generation = lockGeneration.current;
+    const targets = [
+      ...myNotes.map(n => ({ note: n, cacheKey: `my-${n.id}`, owner: address, noteId: n.id, isShared: false })),
+      // Expired shares refuse their key chunks - skip them so the batch still goes through
+      ...shared.filter(n => !isShareExpired(n.expiresAt))
+        .map(n => ({ note: n, cacheKey: `shared-${n.owner}-${n.noteId}`, owner: n.owner, noteId: n.noteId, isShared: true })),
+    ].filter(t => t.note.encryptedTitle && titleCache[t.cacheKey] === undefined);
+    if (targets.length === 0) return;
+    
+    try {
+      const contract = getContractInstance();
+      if (!contract) return;
+      
+      addLog(`Decrypting ${targets.length} titles...`);
+      const handles = await Promise.all(targets.map(async t => [
+        ...(t.isShared ? await contract.getSharedNoteKeyChunks(t.owner, t.noteId) : await contract.getNoteKeyChunks(t.noteId)),
+      ]));
+      const values = await requestDecryptionBatch(handles.flat(), contractAddress);
+      
+      let failed = 0;
+      await Promise.all(targets.map(async (t, i) => {
+        try {
+          const keyBytes = joinKey(values.slice(i * 4, i * 4 + 4));
+          const key = await importKeyFromBytes(keyBytes);
+          const plainTitle = await decryptTitle(t.note.encryptedTitle, key, noteContext(t.owner, t.noteId));
+          if (lockGeneration.current === generation && sessionStore.setTitle(scope, t.cacheKey, plainTitle)) {
+            sessionStore.setKey(scope, t.cacheKey, keyBytes);
+          } else {
+            keyBytes.fill(0);
+          }
+        } catch {
+          failed++;
+        }
+      }));
+      addLog(`Titles decrypted ✓${failed ? ` (${failed} failed)` : ''}`, failed ? 'error' : 'success');
+    } catch (error) {
+      addLog(`Title decryption failed: ${error.message}`, 'error');
     }
   };
   
+  // Notes, then their encrypted titles in one batch
+  const loadNotesAndTitles = async () => {
+    const [myNotes, shared] = await Promise.all([loadNotes(), loadSharedNotes(), loadPendingShares()]);
+    await decryptTitles(myNotes, shared);
+  };
+  
   const loadCategories = async () => {
     try {
       const contract = getContractInstance();
       if (!contract || !address) return;
       
-      const names = await contract.getCategoryNames(address);
-      // If all empty, use defaults
-      const hasNames = names.some(n => n && n.length > 0);
-      if (hasNames) {
-        setCategories(names);
-      }
+      const [names, colors, order] = await contract.getCategories(address);
+      // Unset slots fall back to defaults
+      setCategories(names.map((n, i) => n || DEFAULT_CATEGORIES[i]));
+      setCategoryColors(colors.map((c, i) => Number(c) ? uint24ToColor(c) : DEFAULT_CATEGORY_COLORS[i]));
+      const slots = order.map(Number);
+      setCategoryOrder(new Set(slots).size === 8 ? slots : DEFAULT_CATEGORY_ORDER);
     } catch (error) {
       // Categories not set, use defaults
     }
   };
   
+  const loadNoteCategories = async () => {
+    try {
+      const contract = getContractInstance();
+      if (!contract || !walletScope) return;
+      
+      const handles = await contract.getMyNoteCategories();
+      const cache = readCategoryCache(walletScope);
+      const next = {};
+      const pending = [];
+      const unset = [];
+      
+      handles.forEach((handle, noteId) => {
+        if (BigInt(handle) === 0n) { // Never set - default slot
+          unset.push(noteId);
+          return;
+        }
+        if (cache[noteId]?.handle === handle) {
+          next[noteId] = cache[noteId];
+        } else {
+          pending.push({ noteId, handle });
+        }
+      });
+      
+      if (pending.length > 0) {
+        addLog(`Decrypting ${pending.length} note categories...`);
+        const values = await requestDecryptionBatch(pending.map(p => p.handle), contractAddress);
+        pending.forEach((p, i) => {
+          if (values[i] !== null) next[p.noteId] = { handle: p.handle, category: Number(values[i]) };
+        });
+        addLog('Categories decrypted ✓', 'success');
+      }
+      
+      writeCategoryCache(walletScope, next);
+      setNoteCategories(Object.fromEntries([
+        ...unset.map(noteId => [noteId, 0]),
+        ...Object.entries(next).map(([noteId, entry]) => [noteId, entry.category]),
+      ]));
+    } catch (error) {
+      addLog(`Load note categories failed: ${error.message}`, 'error');
+    }
+  };
+  
+  // Record a category we just set ourselves - no need to decrypt it later
+  const rememberNoteCategory = async (contract, noteId, category) => {
+    setNoteCategories(prev => ({ ...prev, [noteId]: category }));
+    const handle = await contract.getNoteCategory(noteId);
+    writeCategoryCache(walletScope, { ...readCategoryCache(walletScope), [noteId]: { handle, category } });
+  };
+  
   const loadSharedWithList = async (noteId) => {
     try {
       const contract = getContractInstance();
       if (!contract) return;
       
-      const list = await contract.getSharedWithList(noteId);
+      const [list, permissions, expiries, accepted] = await Promise.all([
+        contract.getSharedWithList(noteId),
+        contract.getSharePermissions(noteId),
+        contract.getShareExpiries(noteId),
+        contract.getShareAcceptance(noteId),
+      ]);
       setSharedWithList(list);
+      lookupNames(list);
+      setSharePermissions(Object.fromEntries(list.map((addr, i) => [addr, Number(permissions[i])])));
+      setShareExpiries(Object.fromEntries(list.map((addr, i) => [addr, Number(expiries[i])])));
+      setShareAccepted(Object.fromEntries(list.map((addr, i) => [addr, accepted[i]])));
     } catch (error) {
       setSharedWithList([]);
+      setSharePermissions({});
+      setShareExpiries({});
+      setShareAccepted({});
     }
   };
   
@@ -550,7 +958,8 @@ export const NotepadApp = () => {
   const selectNote = async (note) => {
     setSelectedNoteId(note.id);
     setSelectedSharedNote(null);
-    setTitle(note.title);
+    setTitle(knownTitle(note, `my-${note.id}`));
+    setSelectedCategory(noteCategories[note.id] ?? 0);
     setIsNewNote(false);
     setIsDecrypted(false);
     
@@ -569,7 +978,7 @@ export const NotepadApp = () => {
   const selectSharedNote = async (note) => {
     setSelectedSharedNote(note);
     setSelectedNoteId(null);
-    setTitle(note.title + ' (shared)');
+    setTitle(knownTitle(note, `shared-${note.owner}-${note.noteId}`));
     setIsNewNote(false);
     setIsDecrypted(false);
     
@@ -578,6 +987,8 @@ export const NotepadApp = () => {
     if (contentCache[cacheKey]) {
       setContent(contentCache[cacheKey]);
       setIsDecrypted(true);
+    } else if (isShareExpired(note.expiresAt)) {
+      setContent('[⌛ This share has expired - ask the owner to extend it]');
     } else {
       setContent('[🔐 Shared note - Click "Decrypt" to view]');
     }
@@ -597,12 +1008,18 @@ export const NotepadApp = () => {
   
   // ===================== SAVE FUNCTION =====================
   
-  const handleSave = async () => {
+  // restoredContent: text of an old revision being restored as the new content
+  const handleSave = async (restoredContent) => {
+    const body = restoredContent ?? content;
     if (!title.trim()) { alert('Enter a title'); return; }
     if (!isReady) { alert('FHE not ready'); return; }
     
     const contract = getContractInstance();
     if (!contract) { alert('Contract not available'); return; }
+    const scope = walletScope;
+    const generation = lockGeneration.current;
+    // Edit-grantees publish into the owner's note
+    const sharedOwner = selectedSharedNote?.owner;
     
     try {
       setIsLoading(true);
@@ -618,15 +1035,22 @@ export const NotepadApp = () => {
         const keyBytes = await exportKeyToBytes(aesKey);
         addLog('AES key generated ✓', 'success');
         
-        // Step 2: AES encrypt content
+        // Step 2: AES encrypt content, bound to the note id it will be stored under
         setLoadingStep('2/5: AES encrypting content...');
         addLog('Encrypting content with AES-GCM...');
-        const encryptedContent = await aesEncrypt(content || '', aesKey);
+        const noteOwner = sharedOwner ?? address;
+        const boundNoteId = sharedOwner ? selectedSharedNote.noteId
+          : isNewNote ? Number(await contract.getTotalNotes()) : selectedNoteId;
+        const encryptedContent = await aesEncrypt(body || '', aesKey, { context: noteContext(noteOwner, boundNoteId) });
+        // Encrypted titles are sealed with the same key and binding; editors keep the owner's choice
+        const sealsTitle = sharedOwner ? Boolean(selectedSharedNote.encryptedTitle) : encryptTitles;
+        const sealTitle = (noteId) => sealsTitle ? encryptTitle(title, aesKey, noteContext(noteOwner, noteId)) : title;
+        const storedTitle = await sealTitle(boundNoteId);
         addLog(`Encrypted: ${encryptedContent.length} bytes ✓`, 'success');
         
-        // Step 3: Upload to IPFS (via Storacha)
+        // Step 3: Upload to IPFS (configured storage backend)
         setLoadingStep('3/5: Uploading to IPFS...');
-        addLog('Uploading to Storacha IPFS...');
+        addLog('Uploading to IPFS...');
         const ipfsCid = await uploadToIPFS(encryptedContent);
         addLog(`IPFS CID: ${ipfsCid.toString().slice(0, 20)}... ✓`, 'success');
         
@@ -635,10 +1059,7 @@ export const NotepadApp = () => {
         addLog('FHE encrypting 4 key chunks (256-bit AES key)...');
         
         // Split 32-byte key into 4 x 8-byte chunks
-        const k1Value = keyChunkToBigInt(keyBytes, 0);
-        const k2Value = keyChunkToBigInt(keyBytes, 8);
-        const k3Value = keyChunkToBigInt(keyBytes, 16);
-        const k4Value = keyChunkToBigInt(keyBytes, 24);
+        const [k1Value, k2Value, k3Value, k4Value] = splitKey(keyBytes);
         
         // FHE encrypt all 4 chunks in single input (required for shared proof)
         const encryptedKeys = await createEncryptedInput4x64(
@@ -657,7 +1078,7 @@ export const NotepadApp = () => {
         if (isNewNote) {
           addLog('Creating note on-chain...');
           const tx = await contract.createNote(
-            title,
+            storedTitle,
             cidBytes,
             encryptedKeys.handles[0], encryptedKeys.handles[1], 
             encryptedKeys.handles[2], encryptedKeys.handles[3],
@@ -683,6 +1104,24 @@ export const NotepadApp = () => {
             actualNoteId = Number(total) - 1;
           }
           
+          // Another create from this wallet landed first - rebind to the real id
+          if (actualNoteId !== boundNoteId) {
+            addLog(`Note id changed (${boundNoteId} → ${actualNoteId}), re-encrypting...`);
+            const reboundContent = await aesEncrypt(body || '', aesKey, { context: noteContext(address, actualNoteId) });
+            const reboundCid = await uploadToIPFS(reboundContent);
+            const reboundKeys = await createEncryptedInput4x64(k1Value, k2Value, k3Value, k4Value, contractAddress);
+            const reboundTx = await contract.updateNote(
+              actualNoteId,
+              await sealTitle(actualNoteId),
+              new TextEncoder().encode(reboundCid.toString()),
+              reboundKeys.handles[0], reboundKeys.handles[1],
+              reboundKeys.handles[2], reboundKeys.handles[3],
+              reboundKeys.inputProof
+            );
+            await reboundTx.wait();
+            addLog('Content rebound ✓', 'success');
+          }
+          
           // Set category if not default
           if (selectedCategory > 0) {
             addLog('Setting category...');
@@ -690,15 +1129,20 @@ export const NotepadApp = () => {
             const catTx = await contract.setNoteCategory(actualNoteId, encCategory.handles[0], encCategory.inputProof);
             await catTx.wait();
             addLog('Category set ✓', 'success');
-            // Also save to local state for filter to work
-            setNoteCategories(prev => ({ ...prev, [actualNoteId]: selectedCategory }));
+            await rememberNoteCategory(contract, actualNoteId, selectedCategory);
+          } else {
+            setNoteCategories(prev => ({ ...prev, [actualNoteId]: 0 }));
           }
           
         } else {
-          actualNoteId = selectedNoteId;
-          addLog('Updating note content on-chain...');
-          const tx = await contract.updateContent(
-            selectedNoteId,
+          actualNoteId = boundNoteId;
+          addLog(sharedOwner ? 'Publishing edit to the owner and all recipients...' : 'Updating note on-chain...');
+          // Title goes with the content (an encrypted title must follow the new key), and the
+          // new key is granted to the owner and every recipient in the same transaction
+          const tx = await contract.publishNote(
+            noteOwner,
+            actualNoteId,
+            storedTitle,
             cidBytes,
             encryptedKeys.handles[0], encryptedKeys.handles[1], 
             encryptedKeys.handles[2], encryptedKeys.handles[3],
@@ -710,10 +1154,23 @@ export const NotepadApp = () => {
         
         addLog('Saved! ✓', 'success');
         
-        setContentCache(prev => ({ ...prev, [`my-${actualNoteId}`]: content }));
-        await loadNotes();
-        setIsNewNote(false);
-        setSelectedNoteId(actualNoteId);
+        const cacheKey = sharedOwner ? `shared-${sharedOwner}-${actualNoteId}` : `my-${actualNoteId}`;
+        if (lockGeneration.current === generation) {
+          sessionStore.setContent(scope, cacheKey, body);
+          sessionStore.setKey(scope, cacheKey, keyBytes);
+          if (sealsTitle) sessionStore.setTitle(scope, cacheKey, title);
+        } else {
+          // Locked while saving - the saved note stays locked
+          keyBytes.fill(0);
+        }
+        if (sharedOwner) {
+          const shared = await loadSharedNotes();
+          setSelectedSharedNote(shared.find(n => n.owner === sharedOwner && n.noteId === actualNoteId) ?? null);
+        } else {
+          await loadNotes();
+          setIsNewNote(false);
+          setSelectedNoteId(actualNoteId);
+        }
 
         // Lock the note after saving (user must decrypt to edit again)
         setIsDecrypted(false);
@@ -723,11 +1180,25 @@ export const NotepadApp = () => {
       } else {
         // Title-only update
         setLoadingMessage('Updating title...');
+        let storedTitle = title;
+        const cacheKey = `my-${selectedNoteId}`;
+        if (encryptTitles) {
+          // Needs the note's current key - cached by decrypting the note or its title
+          const keyBytes = keyCache[cacheKey];
+          if (!keyBytes) {
+            alert('Please decrypt the note first to encrypt its title');
+            return;
+          }
+          storedTitle = await encryptTitle(title, await importKeyFromBytes(keyBytes), noteContext(address, selectedNoteId));
+        }
         addLog('Updating title...');
-        const tx = await contract.updateTitle(selectedNoteId, title);
+        const tx = await contract.updateTitle(selectedNoteId, storedTitle);
         await tx.wait();
         addLog('Title updated ✓', 'success');
-        setNotes(notes.map(n => n.id === selectedNoteId ? { ...n, title } : n));
+        if (encryptTitles && lockGeneration.current === generation) sessionStore.setTitle(scope, cacheKey, title);
+        setNotes(notes.map(n => n.id === selectedNoteId
+          ? { ...n, title: encryptTitles ? '' : title, encryptedTitle: encryptTitles ? storedTitle : null }
+          : n));
       }
     } catch (error) {
       addLog(`Error: ${error.message}`, 'error');
@@ -743,12 +1214,14 @@ export const NotepadApp = () => {
   const handleDecrypt = async () => {
     const contract = getContractInstance();
     if (!contract) return;
+    const scope = walletScope;
+    const generation = lockGeneration.current;
     
     try {
       setIsLoading(true);
       setLoadingMessage('Decrypting...');
       
-      let cidBytes, keyHandles, cacheKey;
+      let cidBytes, keyHandles, cacheKey, context, encryptedTitle, revisedAt;
       
       if (selectedSharedNote) {
         // Decrypt shared note
@@ -757,10 +1230,13 @@ export const NotepadApp = () => {
         
         cidBytes = await contract.getSharedNoteCID(selectedSharedNote.owner, selectedSharedNote.noteId);
         const keyChunksBytes32 = await contract.getSharedNoteKeyChunks(selectedSharedNote.owner, selectedSharedNote.noteId);
+        ({ revisedAt } = await contract.getSharedNoteMetadata(selectedSharedNote.owner, selectedSharedNote.noteId));
         
         // Convert bytes32[4] to handles
         keyHandles = keyChunksBytes32;
         cacheKey = `shared-${selectedSharedNote.owner}-${selectedSharedNote.noteId}`;
+        context = noteContext(selectedSharedNote.owner, selectedSharedNote.noteId);
+        encryptedTitle = selectedSharedNote.encryptedTitle;
       } else {
         // Decrypt own note
         setLoadingStep('1/4: Fetching CID from contract...');
@@ -769,12 +1245,14 @@ export const NotepadApp = () => {
         cidBytes = await contract.getNoteCID(selectedNoteId);
         const chunks = await contract.getNoteKeyChunks(selectedNoteId);
         keyHandles = [chunks[0], chunks[1], chunks[2], chunks[3]];
+        const timestamps = await contract.getRevisionTimestamps(selectedNoteId);
+        revisedAt = timestamps[timestamps.length - 1] ?? 0;
         cacheKey = `my-${selectedNoteId}`;
+        context = noteContext(address, selectedNoteId);
+        encryptedTitle = notes.find(n => n.id === selectedNoteId)?.encryptedTitle;
       }
       
-      const ipfsCid = new TextDecoder().decode(
-        new Uint8Array(cidBytes.slice(2).match(/.{1,2}/g).map(b => parseInt(b, 16)))
-      );
+      const ipfsCid = decodeCidBytes(cidBytes);
       addLog(`CID: ${ipfsCid.slice(0, 20)}... ✓`, 'success');
       
       // Step 2: FHE decrypt key chunks
@@ -792,20 +1270,11 @@ export const NotepadApp = () => {
       
       addLog(`Key chunks: [${decryptedChunks.map(c => c !== null && c !== undefined ? '✓' : '✗').join(',')}]`, 'success');
       
-      // Reconstruct 32-byte AES key from 4 x 8-byte chunks
-      const keyBytes = new Uint8Array(32);
-      const chunk1 = bigIntToKeyChunk(BigInt(decryptedChunks[0] || 0));
-      const chunk2 = bigIntToKeyChunk(BigInt(decryptedChunks[1] || 0));
-      const chunk3 = bigIntToKeyChunk(BigInt(decryptedChunks[2] || 0));
-      const chunk4 = bigIntToKeyChunk(BigInt(decryptedChunks[3] || 0));
-      keyBytes.set(chunk1, 0);
-      keyBytes.set(chunk2, 8);
-      keyBytes.set(chunk3, 16);
-      keyBytes.set(chunk4, 24);
+      const keyBytes = joinKey(decryptedChunks);
       
       // Step 3: Fetch encrypted content from IPFS
       setLoadingStep('3/4: Fetching from IPFS...');
-      addLog(`Fetching from Storacha: ${ipfsCid.slice(0, 15)}...`);
+      addLog(`Fetching from IPFS: ${ipfsCid.slice(0, 15)}...`);
       
       const encryptedContent = await downloadFromIPFS(ipfsCid);
       addLog(`Downloaded: ${encryptedContent.length} bytes ✓`, 'success');
@@ -815,14 +1284,28 @@ export const NotepadApp = () => {
       addLog('Decrypting with AES-GCM...');
       
       const aesKey = await importKeyFromBytes(keyBytes);
-      const decryptedText = await aesDecrypt(encryptedContent, aesKey);
+      // Rejects ciphertext that was written for a different note, or unbound once binding is required
+      const { plaintext: decryptedText, bound } = await openEnvelope(encryptedContent, aesKey, {
+        context,
+        strict: requiresBinding(revisedAt),
+      });
       addLog('Decrypted! ✓', 'success');
+      if (!bound) addLog('Note predates note binding - save it to bind the ciphertext to this note', 'warning');
+      const decryptedTitle = encryptedTitle ? await decryptTitle(encryptedTitle, aesKey, context) : null;
       
+      // Locked or wallet switched while decrypting - drop the result
+      if (lockGeneration.current !== generation || !sessionStore.setContent(scope, cacheKey, decryptedText)) {
+        keyBytes.fill(0);
+        return;
+      }
+      // Cache the key bytes for sharing
+      sessionStore.setKey(scope, cacheKey, keyBytes);
+      if (decryptedTitle !== null) {
+        sessionStore.setTitle(scope, cacheKey, decryptedTitle);
+        setTitle(decryptedTitle);
+      }
       setContent(decryptedText);
       setIsDecrypted(true);
-      setContentCache(prev => ({ ...prev, [cacheKey]: decryptedText }));
-      // Cache the key bytes for sharing
-      setKeyCache(prev => ({ ...prev, [cacheKey]: keyBytes }));
       
     } catch (error) {
       addLog(`Decrypt failed: ${error.message}`, 'error');
@@ -833,18 +1316,218 @@ export const NotepadApp = () => {
     }
   };
   
+  // ===================== DECRYPT ALL =====================
+  
+  // Notes covered by "Decrypt all": the current tab (and category filter), minus already decrypted ones
+  const getDecryptAllTargets = () => {
+    if (activeTab === 'shared') {
+      return sharedNotes.filter(note => !isShareExpired(note.expiresAt))
+        .map(note => ({ ...note, cacheKey: `shared-${note.owner}-${note.noteId}` }))
+        .filter(t => contentCache[t.cacheKey] === undefined);
+    }
+    return notes
+      .filter(note => filterCategory === -1 || noteCategories[note.id] === filterCategory)
+      .map(note => ({ id: note.id, encryptedTitle: note.encryptedTitle, cacheKey: `my-${note.id}` }))
+      .filter(t => contentCache[t.cacheKey] === undefined);
+  };
+  
+  const handleDecryptAll = async () => {
+    const contract = getContractInstance();
+    if (!contract) return;
+    const scope = walletScope;
+    const generation = lockGeneration.current;
+    const targets = getDecryptAllTargets();
+    // Show the open note as soon as it is decrypted
+    const openCacheKey = selectedSharedNote
+      ? `shared-${selectedSharedNote.owner}-${selectedSharedNote.noteId}`
+      : selectedNoteId !== null ? `my-${selectedNoteId}` : null;
+    if (targets.length === 0) {
+      addLog('Nothing left to decrypt', 'info');
+      return;
+    }
+    
+    try {
+      setIsLoading(true);
+      setLoadingMessage(`Decrypting ${targets.length} notes...`);
+      
+      // Step 1: CIDs and key chunk handles
+      setLoadingStep('1/3: Fetching CIDs and key handles...');
+      addLog(`Fetching ${targets.length} CIDs and key handles...`);
+      const onChain = await Promise.all(targets.map(async t => {
+        if (t.owner) {
+          const [cidBytes, chunks, metadata] = await Promise.all([
+            contract.getSharedNoteCID(t.owner, t.noteId),
+            contract.getSharedNoteKeyChunks(t.owner, t.noteId),
+            contract.getSharedNoteMetadata(t.owner, t.noteId),
+          ]);
+          return { cid: decodeCidBytes(cidBytes), handles: [...chunks], revisedAt: metadata.revisedAt };
+        }
+        const [cidBytes, chunks, timestamps] = await Promise.all([
+          contract.getNoteCID(t.id),
+          contract.getNoteKeyChunks(t.id),
+          contract.getRevisionTimestamps(t.id),
+        ]);
+        return {
+          cid: decodeCidBytes(cidBytes),
+          handles: [chunks[0], chunks[1], chunks[2], chunks[3]],
+          revisedAt: timestamps[timestamps.length - 1] ?? 0,
+        };
+      }));
+      
+      // Step 2: FHE decrypt every key chunk, batched within the relayer limit
+      addLog(`Requesting FHE decryption for ${targets.length * 4} key chunks...`);
+      const values = await requestDecryptionBatch(
+        onChain.flatMap(n => n.handles),
+        contractAddress,
+        (done, total) => setLoadingStep(`2/3: FHE decrypting key chunks (${done}/${total})...`)
+      );
+      addLog('Key chunks decrypted ✓', 'success');
+      
+      // Step 3: Download and AES decrypt in parallel
+      let processed = 0;
+      setLoadingStep(`3/3: Fetching and decrypting (0/${targets.length})...`);
+      const results = await mapWithConcurrency(targets, DOWNLOAD_CONCURRENCY, async (t, i) => {
+        const chunks = values.slice(i * 4, i * 4 + 4);
+        try {
+          if (chunks.every(c => c === null)) throw new Error('no key chunks returned');
+          const keyBytes = joinKey(chunks);
+          const encryptedContent = await downloadFromIPFS(onChain[i].cid);
+          const aesKey = await importKeyFromBytes(keyBytes);
+          const context = t.owner ? noteContext(t.owner, t.noteId) : noteContext(address, t.id);
+          const { plaintext: text } = await openEnvelope(encryptedContent, aesKey, {
+            context,
+            strict: requiresBinding(onChain[i].revisedAt),
+          });
+          const plainTitle = t.encryptedTitle ? await decryptTitle(t.encryptedTitle, aesKey, context) : null;
+          if (lockGeneration.current !== generation || !sessionStore.setContent(scope, t.cacheKey, text)) {
+            keyBytes.fill(0);
+            return false;
+          }
+          sessionStore.setKey(scope, t.cacheKey, keyBytes);
+          if (plainTitle !== null) sessionStore.setTitle(scope, t.cacheKey, plainTitle);
+          if (t.cacheKey === openCacheKey) {
+            setContent(text);
+            setIsDecrypted(true);
+            if (plainTitle !== null) setTitle(plainTitle);
+          }
+          return true;
+        } catch (error) {
+          addLog(`Note ${t.owner ? `${t.owner.slice(0, 6)}.../${t.noteId}` : t.id} failed: ${error.message}`, 'error');
+          return false;
+        } finally {
+          processed++;
+          setLoadingStep(`3/3: Fetching and decrypting (${processed}/${targets.length})...`);
+        }
+      });
+      
+      const decrypted = results.filter(Boolean).length;
+      addLog(`Decrypted ${decrypted}/${targets.length} notes ✓`, decrypted === targets.length ? 'success' : 'error');
+    } catch (error) {
+      addLog(`Decrypt all failed: ${error.message}`, 'error');
+    } finally {
+      setIsLoading(false);
+      setLoadingStep('');
+    }
+  };
+  
+  // ===================== HISTORY =====================
+  
+  const openHistory = async () => {
+    const contract = getContractInstance();
+    if (!contract || selectedNoteId === null) return;
+  
+    setViewedRevision(null);
+    setRevisions([]);
+    setShowHistoryModal(true);
+    try {
+      const timestamps = await contract.getRevisionTimestamps(selectedNoteId);
+      setRevisions(timestamps.map((t, index) => ({ index, createdAt: Number(t) })).reverse());
+    } catch (error) {
+      addLog(`Load history failed: ${error.message}`, 'error');
+    }
+  };
+  
+  // Old revisions keep their own key handles, so each one is decrypted like a note
+  const handleViewRevision = async (index) => {
+    const contract = getContractInstance();
+    if (!contract) return;
+    const scope = walletScope;
+    const noteId = selectedNoteId;
+  
+    try {
+      setIsLoading(true);
+      setLoadingMessage(`Decrypting revision ${index + 1}...`);
+      const revision = await contract.getRevision(noteId, index);
+      const chunks = await requestDecryption4x64(
+        [revision.k1, revision.k2, revision.k3, revision.k4],
+        contractAddress
+      );
+      const keyBytes = joinKey(chunks);
+      const encryptedContent = await downloadFromIPFS(decodeCidBytes(revision.ipfsCid));
+      const { plaintext } = await openEnvelope(encryptedContent, await importKeyFromBytes(keyBytes), {
+        context: noteContext(address, noteId),
+        strict: requiresBinding(revision.createdAt),
+      });
+      keyBytes.fill(0);
+      // Wallet switched while decrypting - drop the result
+      if (sessionStore.getScope() !== scope) return;
+      setViewedRevision({ index, text: plaintext });
+      addLog(`Revision ${index + 1} decrypted ✓`, 'success');
+    } catch (error) {
+      addLog(`Revision decrypt failed: ${error.message}`, 'error');
+    } finally {
+      setIsLoading(false);
+    }
+  };
+  
+  // Restoring saves the old text as a new revision under a fresh key
+  const handleRestoreRevision = async () => {
+    if (!viewedRevision) return;
+    if (!confirm(`Restore revision ${viewedRevision.index + 1}? It will be saved as a new revision.`)) return;
+    const text = viewedRevision.text;
+    setShowHistoryModal(false);
+    setViewedRevision(null);
+    addLog(`Restoring revision ${viewedRevision.index + 1}...`);
+    await handleSave(text);
+  };
+  
   // ===================== SHARE FUNCTION =====================
   
+  // Every publish, an editor's too, is made under a fresh key: the cached key and text are
+  // only current while the key still opens the note's current ciphertext to the cached text.
+  // A stale cache is dropped, so the note has to be decrypted again.
+  const isCacheCurrent = async (contract, noteId) => {
+    const cacheKey = `my-${noteId}`;
+    const keyBytes = keyCache[cacheKey];
+    if (!keyBytes) return false;
+    
+    const encryptedContent = await downloadFromIPFS(decodeCidBytes(await contract.getNoteCID(noteId)));
+    try {
+      const { plaintext } = await openEnvelope(encryptedContent, await importKeyFromBytes(keyBytes), {
+        context: noteContext(address, noteId),
+      });
+      if (contentCache[cacheKey] === undefined || plaintext === contentCache[cacheKey]) return true;
+    } catch {
+      // Sealed under a newer key
+    }
+    addLog(`Note ${noteId} changed since it was decrypted`, 'warning');
+    sessionStore.remove(cacheKey);
+    return false;
+  };
+  
   const handleShare = async () => {
-    if (!shareRecipient || !selectedNoteId) return;
+    if (!shareRecipient || selectedNoteId === null || !nameResolver) return;
     
-    // Validate address
-    if (!/^0x[a-fA-F0-9]{40}$/.test(shareRecipient)) {
-      alert('Invalid Ethereum address');
+    // Address or ENS name
+    let recipient;
+    try {
+      recipient = await nameResolver.resolveRecipient(shareRecipient);
+    } catch (error) {
+      alert(error.message);
       return;
     }
     
-    if (shareRecipient.toLowerCase() === address?.toLowerCase()) {
+    if (recipient.toLowerCase() === address?.toLowerCase()) {
       alert('Cannot share with yourself');
       return;
     }
@@ -872,17 +1555,19 @@ export const NotepadApp = () => {
         setIsLoading(false);
         return;
       }
+      if (!(await isCacheCurrent(contract, selectedNoteId))) {
+        alert('The note changed since it was decrypted. Please decrypt it again.');
+        setIsLoading(false);
+        return;
+      }
       
-      addLog(`Sharing note ${selectedNoteId} with ${shareRecipient.slice(0, 8)}...`);
+      addLog(`Sharing note ${selectedNoteId} with ${nameOf(recipient) ?? shareRecipient.trim()} (${PERMISSION_LABELS[sharePermission]})`);
       
       setLoadingStep('1/3: Encrypting key for recipient...');
       
       // Use the SAME AES key that was used to encrypt the content
       // Split into 4 chunks
-      const k1Value = keyChunkToBigInt(keyBytes, 0);
-      const k2Value = keyChunkToBigInt(keyBytes, 8);
-      const k3Value = keyChunkToBigInt(keyBytes, 16);
-      const k4Value = keyChunkToBigInt(keyBytes, 24);
+      const [k1Value, k2Value, k3Value, k4Value] = splitKey(keyBytes);
       
       // FHE encrypt for recipient (same key, but recipient can decrypt)
       const encryptedKeys = await createEncryptedInput4x64(
@@ -894,7 +1579,9 @@ export const NotepadApp = () => {
       
       const tx = await contract.shareNote(
         selectedNoteId,
-        shareRecipient,
+        recipient,
+        sharePermission,
+        expiryFromNow(shareExpiryDays),
         encryptedKeys.handles[0], encryptedKeys.handles[1],
         encryptedKeys.handles[2], encryptedKeys.handles[3],
         encryptedKeys.inputProof
@@ -904,10 +1591,13 @@ export const NotepadApp = () => {
       await tx.wait();
       
       setLoadingStep('3/3: Complete!');
-      addLog(`Note shared with ${shareRecipient.slice(0, 8)}... ✓`, 'success');
+      addLog(`Note shared with ${recipient.slice(0, 8)}... ✓`, 'success');
+      updateAddressBook(book => addRecent(book, recipient));
       
       setShowShareModal(false);
       setShareRecipient('');
+      setSharePermission(PERMISSION_READ);
+      setShareExpiryDays(0);
       await loadSharedWithList(selectedNoteId);
       
     } catch (error) {
@@ -919,48 +1609,271 @@ export const NotepadApp = () => {
     }
   };
   
-  // ===================== DELETE FUNCTION =====================
-  
-  const handleDelete = async () => {
-    if (selectedNoteId === null || !confirm('Delete?')) return;
+  // Change an existing share between read and edit - the key stays the same
+  const handleSetSharePermission = async (recipient, permission) => {
+    if (selectedNoteId === null) return;
     const contract = getContractInstance();
     if (!contract) return;
     
     try {
       setIsLoading(true);
-      setLoadingMessage('Deleting...');
-      addLog(`Deleting note ${selectedNoteId}...`);
-      
-      const tx = await contract.deleteNote(selectedNoteId);
+      setLoadingMessage('Updating permission...');
+      const tx = await contract.setSharePermission(selectedNoteId, recipient, permission);
+      addLog(`TX: ${tx.hash}`);
       await tx.wait();
-      
-      addLog('Deleted ✓', 'success');
-      
-      setNotes(notes.filter(n => n.id !== selectedNoteId));
-      setSelectedNoteId(null);
-      setTitle('');
-      setContent('');
-      setContentCache(prev => { const c = { ...prev }; delete c[`my-${selectedNoteId}`]; return c; });
+      addLog(`${recipient.slice(0, 8)}... can now ${PERMISSION_LABELS[permission].toLowerCase()} ✓`, 'success');
+      await loadSharedWithList(selectedNoteId);
     } catch (error) {
-      addLog(`Delete failed: ${error.message}`, 'error');
+      addLog(`Permission change failed: ${error.message}`, 'error');
+      alert(`Failed to change permission: ${error.message}`);
     } finally {
       setIsLoading(false);
     }
   };
   
-  // ===================== CATEGORY FUNCTION =====================
-  
-  const handleSetCategory = async (category) => {
+  // Extend or shorten a share, counting from now
+  const handleSetShareExpiry = async (recipient, days) => {
     if (selectedNoteId === null) return;
-    
     const contract = getContractInstance();
     if (!contract) return;
     
+    // A lapsed share was skipped by key rotations in the meantime - re-issue the current key
+    const lapsed = isShareExpired(shareExpiries[recipient] ?? 0);
+    const keyBytes = keyCache[`my-${selectedNoteId}`];
+    if (lapsed && days !== 0 && !keyBytes) {
+      alert('Please decrypt the note first before renewing an expired share');
+      return;
+    }
+    
     try {
       setIsLoading(true);
-      setLoadingMessage('Setting category...');
+      setLoadingMessage('Updating expiry...');
+      if (lapsed && days !== 0 && !(await isCacheCurrent(contract, selectedNoteId))) {
+        alert('The note changed since it was decrypted. Please decrypt it again.');
+        return;
+      }
+      const tx = await contract.setShareExpiry(selectedNoteId, recipient, expiryFromNow(days));
+      addLog(`TX: ${tx.hash}`);
+      await tx.wait();
       
-      addLog(`Setting category ${category} for note ${selectedNoteId}...`);
+      if (lapsed) {
+        const keys = await createEncryptedInput4x64(...splitKey(keyBytes), contractAddress);
+        const keysTx = await contract.updateSharedKeys(
+          selectedNoteId,
+          recipient,
+          keys.handles[0], keys.handles[1],
+          keys.handles[2], keys.handles[3],
+          keys.inputProof
+        );
+        addLog(`TX: ${keysTx.hash}`);
+        await keysTx.wait();
+      }
+      
+      addLog(`Share with ${recipient.slice(0, 8)}... ${days === 0 ? 'no longer expires' : `expires in ${expiryLabel(days)}`} ✓`, 'success');
+      await loadSharedWithList(selectedNoteId);
+    } catch (error) {
+      addLog(`Expiry change failed: ${error.message}`, 'error');
+      alert(`Failed to change expiry: ${error.message}`);
+    } finally {
+      setIsLoading(false);
+    }
+  };
+  
+  // ===================== REVOKE FUNCTION =====================
+  
+  // Rotation re-encrypts the cached content (and an encrypted title), so both must be decrypted and current (isCacheCurrent)
+  const canRotateKey = (noteId) => {
+    const cacheKey = `my-${noteId}`;
+    const encryptedTitle = notes.find(n => n.id === noteId)?.encryptedTitle;
+    return contentCache[cacheKey] !== undefined && (!encryptedTitle || titleCache[cacheKey] !== undefined);
+  };
+  
+  // A revoked recipient may still know the old AES key: re-encrypt under a fresh one and
+  // publish it - the contract re-issues the new key to everyone still shared
+  const rotateNoteKey = async (contract, noteId, scope) => {
+    const cacheKey = `my-${noteId}`;
+    const encryptedTitle = notes.find(n => n.id === noteId)?.encryptedTitle;
+    
+    addLog(`Rotating AES key of note ${noteId}...`);
+    const aesKey = await generateAESKey();
+    const keyBytes = await exportKeyToBytes(aesKey);
+    const encryptedContent = await aesEncrypt(contentCache[cacheKey], aesKey, { context: noteContext(address, noteId) });
+    const ipfsCid = await uploadToIPFS(encryptedContent);
+    addLog(`IPFS CID: ${ipfsCid.toString().slice(0, 20)}... ✓`, 'success');
+    
+    const newKeys = await createEncryptedInput4x64(...splitKey(keyBytes), contractAddress);
+    const cidBytes = new TextEncoder().encode(ipfsCid.toString());
+    const storedTitle = encryptedTitle
+      ? await encryptTitle(titleCache[cacheKey], aesKey, noteContext(address, noteId))
+      : notes.find(n => n.id === noteId)?.title ?? '';
+    const publishTx = await contract.publishNote(
+      address,
+      noteId,
+      storedTitle,
+      cidBytes,
+      newKeys.handles[0], newKeys.handles[1],
+      newKeys.handles[2], newKeys.handles[3],
+      newKeys.inputProof
+    );
+    addLog(`TX: ${publishTx.hash}`);
+    await publishTx.wait();
+    sessionStore.setKey(scope, cacheKey, keyBytes);
+    if (encryptedTitle) {
+      setNotes(prev => prev.map(n => n.id === noteId ? { ...n, encryptedTitle: storedTitle } : n));
+    }
+  };
+  
+  const handleRevoke = async (recipient) => {
+    if (selectedNoteId === null) return;
+    if (!confirm(`Revoke access for ${recipient.slice(0, 8)}...? The note will be re-encrypted under a new key.`)) return;
+    
+    const contract = getContractInstance();
+    if (!contract) return;
+    const scope = walletScope;
+    
+    if (!canRotateKey(selectedNoteId)) {
+      alert('Please decrypt the note first before revoking');
+      return;
+    }
+    
+    try {
+      setIsLoading(true);
+      setLoadingMessage('Revoking access...');
+      if (!(await isCacheCurrent(contract, selectedNoteId))) {
+        alert('The note changed since it was decrypted. Please decrypt it again before revoking.');
+        return;
+      }
+      
+      // Step 1: Remove recipient's key handles
+      setLoadingStep('1/2: Revoking on-chain...');
+      addLog(`Revoking ${recipient.slice(0, 8)}... from note ${selectedNoteId}`);
+      const unshareTx = await contract.unshareNote(selectedNoteId, recipient);
+      addLog(`TX: ${unshareTx.hash}`);
+      await unshareTx.wait();
+      
+      // Step 2: Recipient may still know the old AES key - rotate it
+      setLoadingStep('2/2: Re-encrypting and storing rotated key...');
+      await rotateNoteKey(contract, selectedNoteId, scope);
+      
+      addLog(`Access revoked for ${recipient.slice(0, 8)}... ✓`, 'success');
+      await loadSharedWithList(selectedNoteId);
+      
+    } catch (error) {
+      addLog(`Revoke failed: ${error.message}`, 'error');
+      alert(`Failed to revoke: ${error.message}`);
+    } finally {
+      setIsLoading(false);
+      setLoadingStep('');
+    }
+  };
+  
+  // ===================== DELETE FUNCTION =====================
+  
+  const handleDelete = async () => {
+    if (selectedNoteId === null || !confirm('Delete?')) return;
+    const contract = getContractInstance();
+    if (!contract) return;
+    
+    try {
+      setIsLoading(true);
+      setLoadingMessage('Deleting...');
+      addLog(`Deleting note ${selectedNoteId}...`);
+      
+      const tx = await contract.deleteNote(selectedNoteId);
+      await tx.wait();
+      
+      addLog('Deleted ✓', 'success');
+      
+      setNotes(notes.filter(n => n.id !== selectedNoteId));
+      if (selectedNote) setTrashNotes(prev => [selectedNote, ...prev]);
+      setSelectedNoteId(null);
+      setTitle('');
+      setContent('');
+      sessionStore.remove(`my-${selectedNoteId}`);
+    } catch (error) {
+      addLog(`Delete failed: ${error.message}`, 'error');
+    } finally {
+      setIsLoading(false);
+    }
+  };
+  
+  // ===================== TRASH FUNCTIONS =====================
+  
+  const handleRestore = async (noteId) => {
+    const contract = getContractInstance();
+    if (!contract) return;
+    
+    try {
+      setIsLoading(true);
+      setLoadingMessage('Restoring...');
+      addLog(`Restoring note ${noteId}...`);
+      
+      const tx = await contract.restoreNote(noteId);
+      await tx.wait();
+      
+      addLog('Restored ✓', 'success');
+      await loadNotes();
+    } catch (error) {
+      addLog(`Restore failed: ${error.message}`, 'error');
+    } finally {
+      setIsLoading(false);
+    }
+  };
+  
+  const handlePurge = async (noteId) => {
+    if (!confirm('Permanently delete? This cannot be undone.')) return;
+    const contract = getContractInstance();
+    if (!contract) return;
+    
+    try {
+      setIsLoading(true);
+      setLoadingMessage('Purging...');
+      
+      // Best effort: drop the ciphertext from storage before the CID is wiped
+      setLoadingStep('1/2: Unpinning content...');
+      try {
+        const ipfsCid = decodeCidBytes(await contract.getNoteCID(noteId));
+        if (ipfsCid) {
+          await unpinFromIPFS(ipfsCid);
+          addLog(`Unpinned ${ipfsCid.slice(0, 20)}... ✓`, 'success');
+        }
+      } catch (error) {
+        addLog(`Unpin skipped: ${error.message}`, 'info');
+      }
+      
+      setLoadingStep('2/2: Purging on-chain...');
+      addLog(`Purging note ${noteId}...`);
+      // Each call clears a bounded batch of the history - repeat until none is left
+      do {
+        const tx = await contract.purgeNote(noteId);
+        addLog(`TX: ${tx.hash}`);
+        await tx.wait();
+      } while ((await contract.getRevisionTimestamps(noteId)).length > 0);
+      
+      addLog('Purged ✓', 'success');
+      setTrashNotes(prev => prev.filter(n => n.id !== noteId));
+      sessionStore.remove(`my-${noteId}`);
+    } catch (error) {
+      addLog(`Purge failed: ${error.message}`, 'error');
+    } finally {
+      setIsLoading(false);
+      setLoadingStep('');
+    }
+  };
+  
+  // ===================== CATEGORY FUNCTION =====================
+  
+  const handleSetCategory = async (category) => {
+    if (selectedNoteId === null) return;
+    
+    const contract = getContractInstance();
+    if (!contract) return;
+    
+    try {
+      setIsLoading(true);
+      setLoadingMessage('Setting category...');
+      
+      addLog(`Setting category ${category} for note ${selectedNoteId}...`);
       
       // FHE encrypt category (8-bit)
       const encCategory = await createEncryptedInput(category, contractAddress, 8);
@@ -974,7 +1887,7 @@ export const NotepadApp = () => {
       await tx.wait();
       addLog('Category set ✓', 'success');
       
-      setNoteCategories(prev => ({ ...prev, [selectedNoteId]: category }));
+      await rememberNoteCategory(contract, selectedNoteId, category);
       
     } catch (error) {
       addLog(`Set category failed: ${error.message}`, 'error');
@@ -983,6 +1896,339 @@ export const NotepadApp = () => {
     }
   };
   
+  // ===================== SHARE INBOX =====================
+  
+  // Run one inbox transaction, then refresh both shared lists
+  const runInboxTx = async (message, send) => {
+    const contract = getContractInstance();
+    if (!contract) return false;
+    
+    try {
+      setIsLoading(true);
+      setLoadingMessage(message);
+      const tx = await send(contract);
+      addLog(`TX: ${tx.hash}`);
+      await tx.wait();
+      const [shared] = await Promise.all([loadSharedNotes(), loadPendingShares()]);
+      await decryptTitles([], shared);
+      return true;
+    } catch (error) {
+      addLog(`Inbox update failed: ${error.message}`, 'error');
+      alert(`Failed: ${error.message}`);
+      return false;
+    } finally {
+      setIsLoading(false);
+    }
+  };
+  
+  const senderName = (addr) => nameOf(addr) ?? `${addr.slice(0, 8)}...`;
+  
+  const handleAcceptShare = async (invite) => {
+    const ok = await runInboxTx('Accepting share...', c => c.acceptShare(invite.owner, invite.noteId));
+    if (ok) addLog(`Accepted note ${invite.noteId} from ${senderName(invite.owner)} ✓`, 'success');
+  };
+  
+  const handleDeclineShare = async (invite) => {
+    if (!confirm(`Decline note ${invite.noteId} from ${senderName(invite.owner)}?`)) return;
+    const ok = await runInboxTx('Declining share...', c => c.declineShare(invite.owner, invite.noteId));
+    if (ok) addLog(`Declined note ${invite.noteId} from ${senderName(invite.owner)}`, 'success');
+  };
+  
+  const handleBlockSender = async (sender) => {
+    if (!confirm(`Block ${senderName(sender)}? Their pending shares are declined and they can no longer share with you.`)) return;
+    const ok = await runInboxTx('Blocking sender...', c => c.blockSender(sender));
+    if (ok) addLog(`Blocked ${senderName(sender)}`, 'success');
+  };
+  
+  const handleUnblockSender = async (sender) => {
+    const ok = await runInboxTx('Unblocking sender...', c => c.unblockSender(sender));
+    if (ok) addLog(`Unblocked ${senderName(sender)}`, 'success');
+  };
+  
+  // ===================== GROUPS =====================
+  
+  const loadGroups = async () => {
+    try {
+      const contract = getContractInstance();
+      if (!contract) return;
+      
+      const [names, members] = await contract.getGroups();
+      // Deleted groups keep their id with an empty name
+      const loaded = names.map((name, id) => ({ id, name, members: [...members[id]] })).filter(g => g.name);
+      setGroups(loaded);
+      lookupNames(loaded.flatMap(g => g.members));
+    } catch (error) {
+      setGroups([]);
+    }
+  };
+  
+  // Run one group transaction behind the loading overlay, then reload groups
+  const runGroupTx = async (message, send) => {
+    const contract = getContractInstance();
+    if (!contract) return;
+    
+    try {
+      setIsLoading(true);
+      setLoadingMessage(message);
+      const tx = await send(contract);
+      addLog(`TX: ${tx.hash}`);
+      await tx.wait();
+      await loadGroups();
+      return true;
+    } catch (error) {
+      addLog(`Group update failed: ${error.message}`, 'error');
+      alert(`Failed: ${error.message}`);
+      return false;
+    } finally {
+      setIsLoading(false);
+    }
+  };
+  
+  const handleCreateGroup = async () => {
+    if (!newGroupName.trim() || !nameResolver) { alert('Enter a group name'); return; }
+    let members;
+    try {
+      members = await Promise.all(newGroupMembers.split(/[\s,]+/).filter(Boolean).map(nameResolver.resolveRecipient));
+    } catch (error) {
+      alert(error.message);
+      return;
+    }
+    
+    const ok = await runGroupTx('Creating group...', contract => contract.createGroup(newGroupName.trim(), members));
+    if (ok) {
+      addLog(`Group "${newGroupName.trim()}" created with ${members.length} members ✓`, 'success');
+      setNewGroupName('');
+      setNewGroupMembers('');
+    }
+  };
+  
+  // The contract only deletes an empty group, so its members are removed (and their notes re-keyed) first
+  const handleDeleteGroup = async (group) => {
+    if (!confirm(`Delete group "${group.name}"? Its members are removed first: notes shared only through the group will be revoked and re-encrypted under new keys.`)) return;
+    if (group.members.length > 0 && !(await removeGroupMembers(group, group.members))) return;
+    await runGroupTx('Deleting group...', contract => contract.deleteGroup(group.id));
+  };
+  
+  // New members get every note already shared with the group
+  const handleAddGroupMember = async (group) => {
+    if (!nameResolver) return;
+    let member;
+    try {
+      member = await nameResolver.resolveRecipient(memberInputs[group.id] ?? '');
+    } catch (error) {
+      alert(error.message);
+      return;
+    }
+    
+    const ok = await runGroupTx('Adding member...', contract => contract.addGroupMember(group.id, member));
+    if (ok) {
+      addLog(`${member.slice(0, 8)}... added to "${group.name}" and given its shared notes ✓`, 'success');
+      setMemberInputs(prev => ({ ...prev, [group.id]: '' }));
+    }
+  };
+  
+  // Removed members lose the notes they got through the group; each revoked note is
+  // re-encrypted under a fresh key like handleRevoke, so old keys stop working too.
+  // Resolves to false if a member could not be removed.
+  const removeGroupMembers = async (group, members) => {
+    const contract = getContractInstance();
+    if (!contract) return false;
+    const scope = walletScope;
+    
+    // Trashed notes cannot be published - their shares are still revoked, and saving them after a restore re-keys them
+    const groupNoteIds = (await contract.getGroupNotes(group.id)).map(Number).filter(id => notes.some(n => n.id === id));
+    const shared = [];
+    for (const member of members) {
+      for (const noteId of groupNoteIds) {
+        if (await contract.isSharedWith(noteId, member)) shared.push({ member, noteId });
+      }
+    }
+    const sharedIds = [...new Set(shared.map(s => s.noteId))];
+    const locked = sharedIds.filter(noteId => !canRotateKey(noteId));
+    if (locked.length > 0) {
+      alert(`Please decrypt notes ${locked.join(', ')} first before removing members`);
+      return false;
+    }
+    const stale = [];
+    try {
+      setIsLoading(true);
+      setLoadingMessage('Checking decrypted notes...');
+      for (const noteId of sharedIds) {
+        if (!(await isCacheCurrent(contract, noteId))) stale.push(noteId);
+      }
+    } catch (error) {
+      alert(`Failed: ${error.message}`);
+      return false;
+    } finally {
+      setIsLoading(false);
+    }
+    if (stale.length > 0) {
+      alert(`Notes ${stale.join(', ')} changed since they were decrypted - decrypt them again first`);
+      return false;
+    }
+    
+    for (const member of members) {
+      const ok = await runGroupTx(`Removing ${member.slice(0, 8)}...`, c => c.removeGroupMember(group.id, member));
+      if (!ok) return false;
+    }
+    
+    // Shares made individually or through another group are kept; a note is re-keyed once
+    const revokedIds = [];
+    for (const { member, noteId } of shared) {
+      if (!revokedIds.includes(noteId) && !(await contract.isSharedWith(noteId, member))) revokedIds.push(noteId);
+    }
+    try {
+      setIsLoading(true);
+      setLoadingMessage('Rotating keys...');
+      for (const [i, noteId] of revokedIds.entries()) {
+        setLoadingStep(`${i + 1}/${revokedIds.length}: Re-encrypting note ${noteId}...`);
+        await rotateNoteKey(contract, noteId, scope);
+      }
+      addLog(`${members.length} member(s) removed from "${group.name}", ${revokedIds.length} notes re-keyed ✓`, 'success');
+    } catch (error) {
+      addLog(`Key rotation failed: ${error.message} - save the remaining notes again to rotate their keys`, 'error');
+      alert(`Failed to rotate keys: ${error.message}`);
+    } finally {
+      setIsLoading(false);
+      setLoadingStep('');
+    }
+    if (revokedIds.includes(selectedNoteId)) await loadSharedWithList(selectedNoteId);
+    return true;
+  };
+  
+  const handleRemoveGroupMember = async (group, member) => {
+    if (!confirm(`Remove ${member.slice(0, 8)}... from "${group.name}"? Notes shared through the group will be revoked and re-encrypted under new keys.`)) return;
+    await removeGroupMembers(group, [member]);
+  };
+  
+  // One input proof, one transaction: the same key handles are allowed to every member
+  const handleShareWithGroup = async () => {
+    const group = groups.find(g => g.id === Number(shareGroupId));
+    if (!group || selectedNoteId === null) return;
+    const keyBytes = keyCache[`my-${selectedNoteId}`];
+    if (!isDecrypted || !keyBytes) {
+      alert('Please decrypt the note first before sharing');
+      return;
+    }
+    
+    const contract = getContractInstance();
+    if (!contract) return;
+    
+    try {
+      setIsLoading(true);
+      setLoadingMessage('Sharing with group...');
+      if (!(await isCacheCurrent(contract, selectedNoteId))) {
+        alert('The note changed since it was decrypted. Please decrypt it again.');
+        return;
+      }
+      addLog(`Sharing note ${selectedNoteId} with "${group.name}" (${group.members.length} members)...`);
+      
+      setLoadingStep('1/2: Encrypting key...');
+      const encryptedKeys = await createEncryptedInput4x64(...splitKey(keyBytes), contractAddress);
+      
+      setLoadingStep('2/2: Storing shared keys on-chain...');
+      const tx = await contract.shareNoteWithGroup(
+        selectedNoteId,
+        group.id,
+        sharePermission,
+        expiryFromNow(shareExpiryDays),
+        encryptedKeys.handles[0], encryptedKeys.handles[1],
+        encryptedKeys.handles[2], encryptedKeys.handles[3],
+        encryptedKeys.inputProof
+      );
+      addLog(`TX: ${tx.hash}`);
+      await tx.wait();
+      addLog(`Note shared with "${group.name}" ✓`, 'success');
+      
+      setShowShareModal(false);
+      setShareGroupId('');
+      await loadSharedWithList(selectedNoteId);
+    } catch (error) {
+      addLog(`Group share failed: ${error.message}`, 'error');
+      alert(`Failed to share: ${error.message}`);
+    } finally {
+      setIsLoading(false);
+      setLoadingStep('');
+    }
+  };
+  
+  // ===================== CATEGORY MANAGER =====================
+  
+  const openCategoryManager = () => {
+    setCategoryDraft(categoryOrder.map(slot => ({
+      slot,
+      name: categories[slot],
+      color: categoryColors[slot],
+    })));
+    setShowCategoryModal(true);
+  };
+  
+  const updateCategoryDraft = (index, changes) => {
+    setCategoryDraft(prev => prev.map((c, i) => i === index ? { ...c, ...changes } : c));
+  };
+  
+  const moveCategory = (index, delta) => {
+    const target = index + delta;
+    if (target < 0 || target >= categoryDraft.length) return;
+    setCategoryDraft(prev => {
+      const next = [...prev];
+      [next[index], next[target]] = [next[target], next[index]];
+      return next;
+    });
+  };
+  
+  const handleSaveCategories = async () => {
+    const contract = getContractInstance();
+    if (!contract) return;
+    
+    // Back from display order to slot order
+    const names = [...categories];
+    const colors = [...categoryColors];
+    for (const { slot, name, color } of categoryDraft) {
+      names[slot] = name.trim() || DEFAULT_CATEGORIES[slot];
+      colors[slot] = color.toUpperCase();
+    }
+    const order = categoryDraft.map(c => c.slot);
+    
+    const renamed = names.map((n, i) => n !== categories[i] ? i : -1).filter(i => i >= 0);
+    const layoutChanged =
+      colors.some((c, i) => c !== categoryColors[i]) ||
+      order.some((slot, i) => slot !== categoryOrder[i]);
+    
+    if (renamed.length === 0 && !layoutChanged) {
+      setShowCategoryModal(false);
+      return;
+    }
+    
+    try {
+      setIsLoading(true);
+      setLoadingMessage('Saving categories...');
+      
+      let tx;
+      if (!layoutChanged && renamed.length === 1) {
+        // Single rename is cheaper on its own
+        addLog(`Renaming category ${renamed[0]} to "${names[renamed[0]]}"...`);
+        tx = await contract.setCategoryName(renamed[0], names[renamed[0]]);
+      } else {
+        addLog('Saving all categories in one transaction...');
+        tx = await contract.setCategories(names, colors.map(colorToUint24), order);
+      }
+      addLog(`TX: ${tx.hash}`);
+      await tx.wait();
+      
+      setCategories(names);
+      setCategoryColors(colors);
+      setCategoryOrder(order);
+      setShowCategoryModal(false);
+      addLog('Categories saved ✓', 'success');
+    } catch (error) {
+      addLog(`Save categories failed: ${error.message}`, 'error');
+      alert(`Failed to save categories: ${error.message}`);
+    } finally {
+      setIsLoading(false);
+    }
+  };
+  
   // ===================== RENDER =====================
   
   const formatDate = (ts) => ts ? new Date(ts * 1000).toLocaleDateString('en-US', { month: 'short', day: 'numeric' }) : '';
@@ -1005,7 +2251,14 @@ export const NotepadApp = () => {
       <EmptyState>
         <div className="icon">⚠️</div>
         <h3>Wrong Network</h3>
-        <p>Please switch to Sepolia</p>
+        <p>Please switch to {SUPPORTED_NETWORKS.map(n => n.name).join(' or ')}</p>
+        <div style={{ marginTop: 16, display: 'flex', gap: 8, justifyContent: 'center' }}>
+          {SUPPORTED_NETWORKS.map(n => (
+            <ActionButton key={n.key} onClick={() => switchChain({ chainId: n.chainId })} disabled={isSwitchingChain}>
+              Switch to {n.name}
+            </ActionButton>
+          ))}
+        </div>
         <div style={{ marginTop: 16 }}>
           <ConnectButton />
         </div>
@@ -1013,7 +2266,16 @@ export const NotepadApp = () => {
     </Container>
   );
 
-  if (!contractAddress) return <Container><EmptyState><div className="icon">📝</div><h3>Contract not configured</h3><p style={{ fontFamily: 'monospace', fontSize: 10, marginTop: 8 }}>VITE_CIPHERNOTES_ADDRESS=0x...</p></EmptyState></Container>;
+  if (!isSessionCurrent) return (
+    <Container>
+      <EmptyState>
+        <div className="icon">🔄</div>
+        <h3>Switching wallet...</h3>
+      </EmptyState>
+    </Container>
+  );
+
+  if (!contractAddress) return <Container><EmptyState><div className="icon">📝</div><h3>Contract not configured on {network?.name}</h3><p style={{ fontSize: 10, marginTop: 8 }}>Set the CipherNotes address for this network (see .env.example)</p></EmptyState></Container>;
   
   return (
     <Container>
@@ -1030,20 +2292,88 @@ export const NotepadApp = () => {
         <Modal onClick={() => setShowShareModal(false)}>
           <ModalContent onClick={e => e.stopPropagation()}>
             <ModalTitle>🔗 Share Note</ModalTitle>
-            <p style={{ fontSize: 11, marginBottom: 12 }}>Enter recipient's Ethereum address:</p>
+            <p style={{ fontSize: 11, marginBottom: 12 }}>Enter recipient's Ethereum address or ENS name:</p>
             <ModalInput
-              placeholder="0x..."
+              placeholder="0x... or name.eth"
               value={shareRecipient}
               onChange={e => setShareRecipient(e.target.value)}
             />
+            <RecipientPicker>
+              {resolvedRecipient && (resolvedRecipient.address
+                ? <span className="resolved">→ {resolvedRecipient.address.slice(0, 10)}...{resolvedRecipient.address.slice(-6)}</span>
+                : <span className="unresolved">⚠ {resolvedRecipient.name} does not resolve</span>)}
+              {(isAddress(shareRecipient.trim()) || resolvedRecipient?.address) && (
+                <ActionButton onClick={() => saveContact(resolvedRecipient?.address ?? shareRecipient.trim())}>☆ Save contact</ActionButton>
+              )}
+              {addressBook.recent.length > 0 && <span>Recent:</span>}
+              {addressBook.recent.map(addr => (
+                <ActionButton key={addr} title={addr} onClick={() => setShareRecipient(addr)}>
+                  {nameOf(addr) ?? `${addr.slice(0, 6)}...${addr.slice(-4)}`}
+                </ActionButton>
+              ))}
+              {Object.keys(addressBook.contacts).length > 0 && (
+                <CategorySelect value="" onChange={e => setShareRecipient(e.target.value)}>
+                  <option value="" disabled>Contacts...</option>
+                  {Object.values(addressBook.contacts).map(c => <option key={c.address} value={c.address}>{c.label}</option>)}
+                </CategorySelect>
+              )}
+            </RecipientPicker>
+            <p style={{ fontSize: 11, marginBottom: 12 }}>
+              Permission:{' '}
+              <CategorySelect value={sharePermission} onChange={e => setSharePermission(parseInt(e.target.value))}>
+                <option value={PERMISSION_READ}>Read only</option>
+                <option value={PERMISSION_EDIT}>Can edit</option>
+              </CategorySelect>
+              {' '}Expires:{' '}
+              <CategorySelect value={shareExpiryDays} onChange={e => setShareExpiryDays(parseInt(e.target.value))}>
+                {SHARE_EXPIRY_DAYS.map(days => <option key={days} value={days}>{expiryLabel(days)}</option>)}
+              </CategorySelect>
+            </p>
             {sharedWithList.length > 0 && (
               <div style={{ marginBottom: 12, fontSize: 10 }}>
                 <strong>Already shared with:</strong>
                 {sharedWithList.map(addr => (
-                  <div key={addr} style={{ color: '#666' }}>{addr.slice(0, 8)}...{addr.slice(-6)}</div>
+                  <SharedWithRow key={addr}>
+                    <span>
+                      <span className="name" title={`${addr} - click to label`} onClick={() => saveContact(addr)}>
+                        {nameOf(addr) ?? `${addr.slice(0, 8)}...${addr.slice(-6)}`}
+                      </span>
+                      <span className="expiry"> · {formatExpiry(shareExpiries[addr] ?? 0)}</span>
+                      {!shareAccepted[addr] && <span className="expiry"> · pending</span>}
+                    </span>
+                    <CategorySelect
+                      value=""
+                      onChange={e => handleSetShareExpiry(addr, parseInt(e.target.value))}
+                      disabled={isLoading}
+                    >
+                      <option value="" disabled>Set expiry...</option>
+                      {SHARE_EXPIRY_DAYS.map(days => (
+                        <option key={days} value={days}>{days === 0 ? 'Never' : `${expiryLabel(days)} from now`}</option>
+                      ))}
+                    </CategorySelect>
+                    <CategorySelect
+                      value={sharePermissions[addr] ?? PERMISSION_READ}
+                      onChange={e => handleSetSharePermission(addr, parseInt(e.target.value))}
+                      disabled={isLoading}
+                    >
+                      <option value={PERMISSION_READ}>Read</option>
+                      <option value={PERMISSION_EDIT}>Edit</option>
+                    </CategorySelect>
+                    <ActionButton onClick={() => handleRevoke(addr)} disabled={isLoading}>Revoke</ActionButton>
+                  </SharedWithRow>
                 ))}
               </div>
             )}
+            {groups.length > 0 && (
+              <p style={{ fontSize: 11, marginBottom: 12 }}>
+                Or share with a group:{' '}
+                <CategorySelect value={shareGroupId} onChange={e => setShareGroupId(e.target.value)}>
+                  <option value="">Select group...</option>
+                  {groups.map(g => <option key={g.id} value={g.id}>{g.name} ({g.members.length})</option>)}
+                </CategorySelect>{' '}
+                <ActionButton onClick={handleShareWithGroup} disabled={isLoading || shareGroupId === ''}>Share with group</ActionButton>
+              </p>
+            )}
             <ModalButtons>
               <ActionButton onClick={() => setShowShareModal(false)}>Cancel</ActionButton>
               <ActionButton onClick={handleShare} disabled={!shareRecipient}>Share</ActionButton>
@@ -1052,13 +2382,155 @@ export const NotepadApp = () => {
         </Modal>
       )}
       
+      {/* History Modal */}
+      {showHistoryModal && (
+        <Modal onClick={() => setShowHistoryModal(false)}>
+          <ModalContent onClick={e => e.stopPropagation()}>
+            <ModalTitle>🕘 Note History</ModalTitle>
+            <HistoryList>
+              {revisions.length === 0 && <div>Loading revisions...</div>}
+              {revisions.map(r => (
+                <SharedWithRow key={r.index}>
+                  <span>
+                    #{r.index + 1} · {new Date(r.createdAt * 1000).toLocaleString()}
+                    {r.index === revisions.length - 1 && ' (current)'}
+                  </span>
+                  <ActionButton onClick={() => handleViewRevision(r.index)} disabled={isLoading}>
+                    {viewedRevision?.index === r.index ? 'Viewing' : 'View'}
+                  </ActionButton>
+                </SharedWithRow>
+              ))}
+            </HistoryList>
+            {viewedRevision && (
+              <>
+                <p style={{ fontSize: 10, margin: '0 0 4px 0' }}>
+                  Revision #{viewedRevision.index + 1} (−) compared with the editor (+):
+                </p>
+                <DiffView>
+                  {diffLines(viewedRevision.text, content).map((d, i) => (
+                    <div key={i} className={d.type}>{d.type === 'insert' ? '+ ' : d.type === 'delete' ? '− ' : '  '}{d.line}</div>
+                  ))}
+                </DiffView>
+              </>
+            )}
+            <ModalButtons>
+              <ActionButton onClick={() => setShowHistoryModal(false)}>Close</ActionButton>
+              <ActionButton
+                onClick={handleRestoreRevision}
+                disabled={isLoading || !viewedRevision || viewedRevision.index === revisions.length - 1}
+              >
+                Restore
+              </ActionButton>
+            </ModalButtons>
+          </ModalContent>
+        </Modal>
+      )}
+      
+      {/* Groups Modal */}
+      {showGroupsModal && (
+        <Modal onClick={() => setShowGroupsModal(false)}>
+          <ModalContent onClick={e => e.stopPropagation()}>
+            <ModalTitle>👥 Recipient Groups</ModalTitle>
+            <HistoryList>
+              {groups.length === 0 && <div>No groups yet</div>}
+              {groups.map(group => (
+                <div key={group.id} style={{ marginBottom: 8 }}>
+                  <SharedWithRow>
+                    <strong>{group.name}</strong>
+                    <ActionButton onClick={() => handleDeleteGroup(group)} disabled={isLoading}>Delete</ActionButton>
+                  </SharedWithRow>
+                  {group.members.map(member => (
+                    <SharedWithRow key={member}>
+                      <span title={member}>{nameOf(member) ?? `${member.slice(0, 8)}...${member.slice(-6)}`}</span>
+                      <ActionButton onClick={() => handleRemoveGroupMember(group, member)} disabled={isLoading}>Remove</ActionButton>
+                    </SharedWithRow>
+                  ))}
+                  <SharedWithRow>
+                    <ModalInput
+                      style={{ marginBottom: 0, padding: '2px 6px', fontSize: 10 }}
+                      placeholder="Add member 0x... or name.eth"
+                      value={memberInputs[group.id] ?? ''}
+                      onChange={e => setMemberInputs(prev => ({ ...prev, [group.id]: e.target.value }))}
+                    />
+                    <ActionButton onClick={() => handleAddGroupMember(group)} disabled={isLoading || !memberInputs[group.id]}>Add</ActionButton>
+                  </SharedWithRow>
+                </div>
+              ))}
+            </HistoryList>
+            <p style={{ fontSize: 11, margin: '0 0 4px 0' }}><strong>New group</strong></p>
+            <ModalInput placeholder="Name, e.g. Backend team" value={newGroupName} onChange={e => setNewGroupName(e.target.value)} />
+            <ModalInput
+              as="textarea"
+              rows={3}
+              placeholder="Member addresses or ENS names, one per line"
+              value={newGroupMembers}
+              onChange={e => setNewGroupMembers(e.target.value)}
+            />
+            <ModalButtons>
+              <ActionButton onClick={() => setShowGroupsModal(false)}>Close</ActionButton>
+              <ActionButton onClick={handleCreateGroup} disabled={isLoading || !newGroupName.trim()}>Create</ActionButton>
+            </ModalButtons>
+          </ModalContent>
+        </Modal>
+      )}
+      
+      {/* Category Manager Modal */}
+      {showCategoryModal && (
+        <Modal onClick={() => setShowCategoryModal(false)}>
+          <ModalContent onClick={e => e.stopPropagation()}>
+            <ModalTitle>🏷️ Manage Categories</ModalTitle>
+            <div style={{ marginBottom: 12 }}>
+              {categoryDraft.map((cat, i) => (
+                <CategoryRow key={cat.slot}>
+                  <input
+                    type="color"
+                    value={cat.color}
+                    onChange={e => updateCategoryDraft(i, { color: e.target.value })}
+                  />
+                  <input
+                    className="name"
+                    value={cat.name}
+                    maxLength={32}
+                    onChange={e => updateCategoryDraft(i, { name: e.target.value })}
+                  />
+                  <ActionButton onClick={() => moveCategory(i, -1)} disabled={i === 0}>▲</ActionButton>
+                  <ActionButton onClick={() => moveCategory(i, 1)} disabled={i === categoryDraft.length - 1}>▼</ActionButton>
+                </CategoryRow>
+              ))}
+            </div>
+            <ModalButtons>
+              <ActionButton onClick={() => setShowCategoryModal(false)}>Cancel</ActionButton>
+              <ActionButton onClick={handleSaveCategories} disabled={isLoading}>Save</ActionButton>
+            </ModalButtons>
+          </ModalContent>
+        </Modal>
+      )}
+      
       <MenuBar>
         <div style={{ display: 'flex', gap: '2px' }}>
           <MenuItem onClick={handleNewNote}>New</MenuItem>
+          <MenuItem onClick={openCategoryManager}>Categories</MenuItem>
+          <MenuItem onClick={() => { setShowGroupsModal(true); loadGroups(); }}>Groups</MenuItem>
+          <MenuItem onClick={handleDecryptAll} disabled={!isReady || isLoading || activeTab === 'trash'}>Decrypt All</MenuItem>
+          <MenuItem onClick={lock}>Lock</MenuItem>
+          <MenuItem onClick={toggleEncryptTitles}>Titles: {encryptTitles ? 'Encrypted' : 'Plain'}</MenuItem>
+          <MenuItem onClick={cycleAutoLock}>Auto-lock: {autoLockMinutes ? `${autoLockMinutes} min` : 'Off'}</MenuItem>
           <MenuItem onClick={() => setShowLogs(!showLogs)}>{showLogs ? 'Hide' : 'Show'} Logs</MenuItem>
-          <MenuItem onClick={() => { loadNotes(); loadSharedNotes(); }}>Refresh</MenuItem>
+          <MenuItem onClick={() => { loadNotesAndTitles(); loadNoteCategories(); }}>Refresh</MenuItem>
         </div>
-        <div style={{ marginLeft: 'auto', display: 'flex', alignItems: 'center' }}>
+        <div style={{ marginLeft: 'auto', display: 'flex', alignItems: 'center', gap: 6 }}>
+          {SUPPORTED_NETWORKS.length > 1 && (
+            <NetworkSelect
+              value={chainId}
+              onChange={e => switchChain({ chainId: Number(e.target.value) })}
+              disabled={isSwitchingChain || isLoading}
+              title="Network"
+            >
+              {SUPPORTED_NETWORKS.map(n => (
+                <option key={n.key} value={n.chainId}>🌐 {n.name}</option>
+              ))}
+            </NetworkSelect>
+          )}
           <ConnectButton accountStatus="address" chainStatus="icon" showBalance={false} />
         </div>
       </MenuBar>
@@ -1067,7 +2539,10 @@ export const NotepadApp = () => {
         <Sidebar>
           <TabBar>
             <Tab $active={activeTab === 'my'} onClick={() => setActiveTab('my')}>📁 My Notes</Tab>
-            <Tab $active={activeTab === 'shared'} onClick={() => setActiveTab('shared')}>📨 Shared</Tab>
+            <Tab $active={activeTab === 'shared'} onClick={() => setActiveTab('shared')}>
+              📨 Shared{pendingShares.length > 0 && ` (${pendingShares.length} new)`}
+            </Tab>
+            <Tab $active={activeTab === 'trash'} onClick={() => setActiveTab('trash')}>🗑️ Trash</Tab>
           </TabBar>
           
           {activeTab === 'my' && (
@@ -1099,9 +2574,9 @@ export const NotepadApp = () => {
                   style={{ width: '100%' }}
                 >
                   <option value={-1}>📂 All Categories</option>
-                  {categories.map((cat, i) => (
-                    <option key={i} value={i}>
-                      {cat} ({notes.filter(n => noteCategories[n.id] === i).length})
+                  {categoryOrder.map(slot => (
+                    <option key={slot} value={slot}>
+                      {categories[slot]} ({notes.filter(n => noteCategories[n.id] === slot).length})
                     </option>
                   ))}
                 </CategorySelect>
@@ -1118,7 +2593,7 @@ export const NotepadApp = () => {
                       // Search filter (title or cached content)
                       if (searchQuery) {
                         const q = searchQuery.toLowerCase();
-                        const titleMatch = note.title.toLowerCase().includes(q);
+                        const titleMatch = knownTitle(note, `my-${note.id}`).toLowerCase().includes(q);
                         const contentMatch = contentCache[`my-${note.id}`]?.toLowerCase().includes(q);
                         if (!titleMatch && !contentMatch) return false;
                       }
@@ -1128,11 +2603,11 @@ export const NotepadApp = () => {
                   <NoteItem 
                     key={note.id} 
                     $active={note.id === selectedNoteId} 
-                    $categoryColor={CATEGORY_COLORS[noteCategories[note.id] || 0]}
+                    $categoryColor={categoryColors[noteCategories[note.id] || 0]}
                     onClick={() => selectNote(note)}
                   >
                     <span className="category-dot" />
-                    <span className="title">{note.title}</span>
+                    <span className="title">{displayTitle(note, `my-${note.id}`)}</span>
                     <span>{contentCache[`my-${note.id}`] ? '🔓' : '🔒'}</span>
                   </NoteItem>
                 ))}
@@ -1142,8 +2617,12 @@ export const NotepadApp = () => {
           
           {activeTab === 'shared' && (
             <>
-              <SidebarHeader>📨 Shared With Me ({sharedNotes.length})</SidebarHeader>
-              <NotesList>
+              <SidebarHeader>📨 Shared With Me</SidebarHeader>
+              <TabBar>
+                <Tab $active={sharedView === 'accepted'} onClick={() => setSharedView('accepted')}>Accepted ({sharedNotes.length})</Tab>
+                <Tab $active={sharedView === 'pending'} onClick={() => setSharedView('pending')}>Pending ({pendingShares.length})</Tab>
+              </TabBar>
+              {sharedView === 'accepted' && <NotesList>
                 {sharedNotes.length === 0 ? (
                   <div style={{ padding: 12, textAlign: 'center', fontSize: 11, color: '#666' }}>No shared notes</div>
                 ) : sharedNotes.map((note, i) => (
@@ -1153,10 +2632,61 @@ export const NotepadApp = () => {
                     onClick={() => selectSharedNote(note)}
                   >
                     <span>📄</span>
-                    <span className="title">{note.title}</span>
-                    <span style={{ fontSize: 9, color: '#666' }}>{note.owner.slice(0, 6)}...</span>
+                    <span className="title">{displayTitle(note, `shared-${note.owner}-${note.noteId}`)}</span>
+                    {note.expiresAt !== 0 && (
+                      <span style={{ fontSize: 9, color: isShareExpired(note.expiresAt) ? '#c00' : '#a60' }}>
+                        {formatExpiry(note.expiresAt)}
+                      </span>
+                    )}
+                    <span style={{ fontSize: 9, color: '#666' }} title={note.owner}>{nameOf(note.owner) ?? `${note.owner.slice(0, 6)}...`}</span>
                   </NoteItem>
                 ))}
+              </NotesList>}
+              {sharedView === 'pending' && (
+                <NotesList>
+                  {pendingShares.length === 0 && (
+                    <div style={{ padding: 12, textAlign: 'center', fontSize: 11, color: '#666' }}>No pending shares</div>
+                  )}
+                  {pendingShares.map(invite => (
+                    <InviteItem key={`${invite.owner}-${invite.noteId}`}>
+                      <span className="title" title={invite.owner}>
+                        {invite.encryptedTitle ? ENCRYPTED_TITLE_PLACEHOLDER : invite.title}
+                        <br />
+                        <span className="meta">
+                          from {senderName(invite.owner)} · {PERMISSION_LABELS[invite.permission]}
+                          {invite.expiresAt !== 0 && ` · ${formatExpiry(invite.expiresAt)}`}
+                        </span>
+                      </span>
+                      <ActionButton onClick={() => handleAcceptShare(invite)} disabled={isLoading} title="Accept">✓</ActionButton>
+                      <ActionButton onClick={() => handleDeclineShare(invite)} disabled={isLoading} title="Decline">✕</ActionButton>
+                      <ActionButton onClick={() => handleBlockSender(invite.owner)} disabled={isLoading} title="Block sender">🚫</ActionButton>
+                    </InviteItem>
+                  ))}
+                  {blockedSenders.length > 0 && <SidebarHeader>🚫 Blocked ({blockedSenders.length})</SidebarHeader>}
+                  {blockedSenders.map(sender => (
+                    <InviteItem key={sender}>
+                      <span className="title" title={sender}>{senderName(sender)}</span>
+                      <ActionButton onClick={() => handleUnblockSender(sender)} disabled={isLoading}>Unblock</ActionButton>
+                    </InviteItem>
+                  ))}
+                </NotesList>
+              )}
+            </>
+          )}
+          
+          {activeTab === 'trash' && (
+            <>
+              <SidebarHeader>🗑️ Trash ({trashNotes.length})</SidebarHeader>
+              <NotesList>
+                {trashNotes.length === 0 ? (
+                  <div style={{ padding: 12, textAlign: 'center', fontSize: 11, color: '#666' }}>Trash is empty</div>
+                ) : trashNotes.map(note => (
+                  <TrashItem key={note.id}>
+                    <span className="title">{displayTitle(note, `my-${note.id}`)}</span>
+                    <ActionButton onClick={() => handleRestore(note.id)} disabled={isLoading} title="Restore">↩️</ActionButton>
+                    <ActionButton onClick={() => handlePurge(note.id)} disabled={isLoading} title="Delete permanently">✖</ActionButton>
+                  </TrashItem>
+                ))}
               </NotesList>
             </>
           )}
@@ -1169,8 +2699,8 @@ export const NotepadApp = () => {
                 <TitleInput 
                   value={title} 
                   onChange={e => setTitle(e.target.value)} 
-                  placeholder="Title..." 
-                  readOnly={!!selectedSharedNote}
+                  placeholder={isTitleSealed ? `${ENCRYPTED_TITLE_PLACEHOLDER} - decrypt to edit` : 'Title...'} 
+                  readOnly={(!!selectedSharedNote && !canEditShared) || isTitleSealed}
                 />
                 {(isNewNote || selectedNoteId !== null) && !selectedSharedNote && (
                   <CategorySelect 
@@ -1183,38 +2713,54 @@ export const NotepadApp = () => {
                       }
                     }}
                   >
-                    {categories.map((cat, i) => (
-                      <option key={i} value={i}>{cat}</option>
+                    {categoryOrder.map(slot => (
+                      <option key={slot} value={slot}>{categories[slot]}</option>
                     ))}
                   </CategorySelect>
                 )}
                 {!selectedSharedNote && (
-                  <ActionButton onClick={handleSave} disabled={isLoading || !isReady}>
+                  <ActionButton onClick={() => handleSave()} disabled={isLoading || !isReady}>
                     💾 {isNewNote || isDecrypted ? 'Save' : 'Update Title'}
                   </ActionButton>
                 )}
+                {canEditShared && (
+                  <ActionButton onClick={() => handleSave()} disabled={isLoading || !isReady || !isDecrypted}>
+                    💾 Save
+                  </ActionButton>
+                )}
                 {!isNewNote && (
                   <>
-                    {!isDecrypted && <ActionButton onClick={handleDecrypt} disabled={isLoading}>🔓 Decrypt</ActionButton>}
+                    {!isDecrypted && (
+                      <ActionButton onClick={handleDecrypt} disabled={isLoading || isShareExpired(selectedSharedNote?.expiresAt ?? 0)}>
+                        🔓 Decrypt
+                      </ActionButton>
+                    )}
                     {!selectedSharedNote && (
                       <>
-                        <ActionButton onClick={() => setShowShareModal(true)} disabled={isLoading || !isDecrypted}>
+                        <ActionButton onClick={() => { setShowShareModal(true); loadSharedWithList(selectedNoteId); }} disabled={isLoading || !isDecrypted}>
                           🔗 Share
                         </ActionButton>
+                        <ActionButton onClick={openHistory} disabled={isLoading || !isDecrypted}>🕘 History</ActionButton>
                         <ActionButton onClick={handleDelete} disabled={isLoading}>🗑️</ActionButton>
                       </>
                     )}
                   </>
                 )}
-                {sharedWithList.length > 0 && (
+                {!selectedSharedNote && sharedWithList.length > 0 && (
                   <SharedWithBadge>Shared: {sharedWithList.length}</SharedWithBadge>
                 )}
+                {selectedSharedNote && (
+                  <SharedWithBadge title={selectedSharedNote.owner}>
+                    {canEditShared ? '✏️ Shared, can edit' : '👁️ Shared, read only'}
+                    {selectedSharedNote.expiresAt !== 0 && ` · ${formatExpiry(selectedSharedNote.expiresAt)}`}
+                  </SharedWithBadge>
+                )}
               </EditorHeader>
               <EditorTextarea 
                 value={content} 
                 onChange={e => setContent(e.target.value)} 
                 placeholder="Write your note..."
-                readOnly={(!isNewNote && !isDecrypted) || !!selectedSharedNote}
+                readOnly={(!isNewNote && !isDecrypted) || (!!selectedSharedNote && !canEditShared)}
               />
             </>
           ) : (
@@ -1237,9 +2783,12 @@ export const NotepadApp = () => {
       
       <StatusBar>
         <StatusItem>
-          <EncryptionBadge $encrypted={isReady}>{isReady ? '🔐 FHE Ready' : `⏳ ${status}`}</EncryptionBadge>
+          <EncryptionBadge $encrypted={isReady}>{isReady ? (isMockNetwork ? '🧪 FHE Mock (local)' : '🔐 FHE Ready') : `⏳ ${status}`}</EncryptionBadge>
         </StatusItem>
         <StatusItem>{isDecrypted ? '✏️ Editing' : '🔒 Encrypted'}</StatusItem>
+        {autoLockRemaining !== null && (
+          <StatusItem>⏱️ Auto-lock in {formatCountdown(autoLockRemaining)}</StatusItem>
+        )}
         <StatusItem>{selectedNote ? formatDate(selectedNote.updatedAt) : ''}</StatusItem>
       </StatusBar>
     </Container>
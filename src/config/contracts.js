@@ -1,311 +1,65 @@
 /**
  * Contract Configuration for CipherNotes
  * 
- * CipherNotes address is set via environment variable (VITE_CIPHERNOTES_ADDRESS)
+ * ABIs are generated by `npm run compile` (src/config/abi) and deployments
+ * are recorded by the deploy script (src/config/deployments.json) - neither
+ * is edited by hand. Typechain types for the same ABI live in types/.
  */
 
-// Contract addresses from environment
-export const CONTRACT_ADDRESSES = {
-  CipherNotes: import.meta.env.VITE_CIPHERNOTES_ADDRESS || '',
-};
+import CipherNotesArtifact from './abi/CipherNotes.json';
+import deployments from './deployments.json';
+import { DEFAULT_NETWORK, getNetwork } from './networks';
+
+/** @typedef {import('../../types').CipherNotes} CipherNotesContract */
 
-// CipherNotes ABI - Advanced FHE-powered private note-taking
+// ABIs from the latest compile
 export const CONTRACT_ABIS = {
-  CipherNotes: [
-    // ===================== CORE NOTE FUNCTIONS =====================
-    {
-      "inputs": [
-        { "internalType": "string", "name": "title", "type": "string" },
-        { "internalType": "bytes", "name": "ipfsCid", "type": "bytes" },
-        { "internalType": "bytes32", "name": "keyChunk1", "type": "bytes32" },
-        { "internalType": "bytes32", "name": "keyChunk2", "type": "bytes32" },
-        { "internalType": "bytes32", "name": "keyChunk3", "type": "bytes32" },
-        { "internalType": "bytes32", "name": "keyChunk4", "type": "bytes32" },
-        { "internalType": "bytes", "name": "inputProof", "type": "bytes" }
-      ],
-      "name": "createNote",
-      "outputs": [{ "internalType": "uint256", "name": "noteId", "type": "uint256" }],
-      "stateMutability": "nonpayable",
-      "type": "function"
-    },
-    {
-      "inputs": [
-        { "internalType": "uint256", "name": "noteId", "type": "uint256" },
-        { "internalType": "string", "name": "newTitle", "type": "string" }
-      ],
-      "name": "updateTitle",
-      "outputs": [],
-      "stateMutability": "nonpayable",
-      "type": "function"
-    },
-    {
-      "inputs": [
-        { "internalType": "uint256", "name": "noteId", "type": "uint256" },
-        { "internalType": "bytes", "name": "ipfsCid", "type": "bytes" },
-        { "internalType": "bytes32", "name": "keyChunk1", "type": "bytes32" },
-        { "internalType": "bytes32", "name": "keyChunk2", "type": "bytes32" },
-        { "internalType": "bytes32", "name": "keyChunk3", "type": "bytes32" },
-        { "internalType": "bytes32", "name": "keyChunk4", "type": "bytes32" },
-        { "internalType": "bytes", "name": "inputProof", "type": "bytes" }
-      ],
-      "name": "updateContent",
-      "outputs": [],
-      "stateMutability": "nonpayable",
-      "type": "function"
-    },
-    {
-      "inputs": [{ "internalType": "uint256", "name": "noteId", "type": "uint256" }],
-      "name": "deleteNote",
-      "outputs": [],
-      "stateMutability": "nonpayable",
-      "type": "function"
-    },
-    {
-      "inputs": [{ "internalType": "uint256", "name": "noteId", "type": "uint256" }],
-      "name": "restoreNote",
-      "outputs": [],
-      "stateMutability": "nonpayable",
-      "type": "function"
-    },
-    {
-      "inputs": [],
-      "name": "getMyNotesMetadata",
-      "outputs": [
-        { "internalType": "uint256[]", "name": "ids", "type": "uint256[]" },
-        { "internalType": "string[]", "name": "titles", "type": "string[]" },
-        { "internalType": "uint256[]", "name": "createdAts", "type": "uint256[]" },
-        { "internalType": "uint256[]", "name": "updatedAts", "type": "uint256[]" },
-        { "internalType": "bool[]", "name": "deletedFlags", "type": "bool[]" }
-      ],
-      "stateMutability": "view",
-      "type": "function"
-    },
-    {
-      "inputs": [{ "internalType": "uint256", "name": "noteId", "type": "uint256" }],
-      "name": "getNoteCID",
-      "outputs": [{ "internalType": "bytes", "name": "", "type": "bytes" }],
-      "stateMutability": "view",
-      "type": "function"
-    },
-    {
-      "inputs": [{ "internalType": "uint256", "name": "noteId", "type": "uint256" }],
-      "name": "getNoteKeyChunks",
-      "outputs": [
-        { "internalType": "uint256", "name": "k1", "type": "uint256" },
-        { "internalType": "uint256", "name": "k2", "type": "uint256" },
-        { "internalType": "uint256", "name": "k3", "type": "uint256" },
-        { "internalType": "uint256", "name": "k4", "type": "uint256" }
-      ],
-      "stateMutability": "view",
-      "type": "function"
-    },
-    {
-      "inputs": [],
-      "name": "getTotalNotes",
-      "outputs": [{ "internalType": "uint256", "name": "", "type": "uint256" }],
-      "stateMutability": "view",
-      "type": "function"
-    },
-    {
-      "inputs": [],
-      "name": "getActiveNoteCount",
-      "outputs": [{ "internalType": "uint256", "name": "", "type": "uint256" }],
-      "stateMutability": "view",
-      "type": "function"
-    },
-    
-    // ===================== SHARING FUNCTIONS =====================
-    {
-      "inputs": [
-        { "internalType": "uint256", "name": "noteId", "type": "uint256" },
-        { "internalType": "address", "name": "recipient", "type": "address" },
-        { "internalType": "bytes32", "name": "k1", "type": "bytes32" },
-        { "internalType": "bytes32", "name": "k2", "type": "bytes32" },
-        { "internalType": "bytes32", "name": "k3", "type": "bytes32" },
-        { "internalType": "bytes32", "name": "k4", "type": "bytes32" },
-        { "internalType": "bytes", "name": "inputProof", "type": "bytes" }
-      ],
-      "name": "shareNote",
-      "outputs": [],
-      "stateMutability": "nonpayable",
-      "type": "function"
-    },
-    {
-      "inputs": [
-        { "internalType": "uint256", "name": "noteId", "type": "uint256" },
-        { "internalType": "address", "name": "recipient", "type": "address" }
-      ],
-      "name": "unshareNote",
-      "outputs": [],
-      "stateMutability": "nonpayable",
-      "type": "function"
-    },
-    {
-      "inputs": [
-        { "internalType": "address", "name": "owner", "type": "address" },
-        { "internalType": "uint256", "name": "noteId", "type": "uint256" }
-      ],
-      "name": "getSharedNoteKeyChunks",
-      "outputs": [
-        { "internalType": "bytes32[4]", "name": "", "type": "bytes32[4]" }
-      ],
-      "stateMutability": "view",
-      "type": "function"
-    },
-    {
-      "inputs": [
-        { "internalType": "address", "name": "owner", "type": "address" },
-        { "internalType": "uint256", "name": "noteId", "type": "uint256" }
-      ],
-      "name": "getSharedNoteCID",
-      "outputs": [{ "internalType": "bytes", "name": "", "type": "bytes" }],
-      "stateMutability": "view",
-      "type": "function"
-    },
-    {
-      "inputs": [
-        { "internalType": "address", "name": "owner", "type": "address" },
-        { "internalType": "uint256", "name": "noteId", "type": "uint256" }
-      ],
-      "name": "getSharedNoteMetadata",
-      "outputs": [
-        { "internalType": "string", "name": "title", "type": "string" },
-        { "internalType": "uint256", "name": "createdAt", "type": "uint256" },
-        { "internalType": "uint256", "name": "updatedAt", "type": "uint256" }
-      ],
-      "stateMutability": "view",
-      "type": "function"
-    },
-    {
-      "inputs": [],
-      "name": "getReceivedNotes",
-      "outputs": [
-        { "internalType": "address[]", "name": "owners", "type": "address[]" },
-        { "internalType": "uint256[]", "name": "noteIds", "type": "uint256[]" },
-        { "internalType": "string[]", "name": "titles", "type": "string[]" }
-      ],
-      "stateMutability": "view",
-      "type": "function"
-    },
-    {
-      "inputs": [{ "internalType": "uint256", "name": "noteId", "type": "uint256" }],
-      "name": "getSharedWithList",
-      "outputs": [{ "internalType": "address[]", "name": "", "type": "address[]" }],
-      "stateMutability": "view",
-      "type": "function"
-    },
-    
-    // ===================== CATEGORY FUNCTIONS =====================
-    {
-      "inputs": [
-        { "internalType": "uint256", "name": "noteId", "type": "uint256" },
-        { "internalType": "bytes32", "name": "encCategory", "type": "bytes32" },
-        { "internalType": "bytes", "name": "inputProof", "type": "bytes" }
-      ],
-      "name": "setNoteCategory",
-      "outputs": [],
-      "stateMutability": "nonpayable",
-      "type": "function"
-    },
-    {
-      "inputs": [{ "internalType": "uint256", "name": "noteId", "type": "uint256" }],
-      "name": "getNoteCategory",
-      "outputs": [{ "internalType": "uint256", "name": "", "type": "uint256" }],
-      "stateMutability": "view",
-      "type": "function"
-    },
-    {
-      "inputs": [
-        { "internalType": "uint8", "name": "index", "type": "uint8" },
-        { "internalType": "string", "name": "name", "type": "string" }
-      ],
-      "name": "setCategoryName",
-      "outputs": [],
-      "stateMutability": "nonpayable",
-      "type": "function"
-    },
-    {
-      "inputs": [{ "internalType": "address", "name": "user", "type": "address" }],
-      "name": "getCategoryNames",
-      "outputs": [{ "internalType": "string[8]", "name": "", "type": "string[8]" }],
-      "stateMutability": "view",
-      "type": "function"
-    },
-    
-    // ===================== EVENTS =====================
-    {
-      "anonymous": false,
-      "inputs": [
-        { "indexed": true, "internalType": "address", "name": "owner", "type": "address" },
-        { "indexed": false, "internalType": "uint256", "name": "noteId", "type": "uint256" },
-        { "indexed": false, "internalType": "string", "name": "title", "type": "string" }
-      ],
-      "name": "NoteCreated",
-      "type": "event"
-    },
-    {
-      "anonymous": false,
-      "inputs": [
-        { "indexed": true, "internalType": "address", "name": "owner", "type": "address" },
-        { "indexed": false, "internalType": "uint256", "name": "noteId", "type": "uint256" }
-      ],
-      "name": "NoteUpdated",
-      "type": "event"
-    },
-    {
-      "anonymous": false,
-      "inputs": [
-        { "indexed": true, "internalType": "address", "name": "owner", "type": "address" },
-        { "indexed": false, "internalType": "uint256", "name": "noteId", "type": "uint256" }
-      ],
-      "name": "NoteDeleted",
-      "type": "event"
-    },
-    {
-      "anonymous": false,
-      "inputs": [
-        { "indexed": true, "internalType": "address", "name": "owner", "type": "address" },
-        { "indexed": false, "internalType": "uint256", "name": "noteId", "type": "uint256" },
-        { "indexed": true, "internalType": "address", "name": "recipient", "type": "address" }
-      ],
-      "name": "NoteShared",
-      "type": "event"
-    },
-    {
-      "anonymous": false,
-      "inputs": [
-        { "indexed": true, "internalType": "address", "name": "owner", "type": "address" },
-        { "indexed": false, "internalType": "uint256", "name": "noteId", "type": "uint256" },
-        { "indexed": true, "internalType": "address", "name": "recipient", "type": "address" }
-      ],
-      "name": "NoteUnshared",
-      "type": "event"
-    },
-    {
-      "anonymous": false,
-      "inputs": [
-        { "indexed": true, "internalType": "address", "name": "owner", "type": "address" },
-        { "indexed": false, "internalType": "uint256", "name": "noteId", "type": "uint256" }
-      ],
-      "name": "CategorySet",
-      "type": "event"
-    }
-  ],
+  CipherNotes: CipherNotesArtifact.abi,
 };
 
-// Network configuration
-export const NETWORK_CONFIG = {
-  sepolia: {
-    chainId: 11155111,
-    name: 'Sepolia',
-    rpcUrl: import.meta.env.VITE_SEPOLIA_RPC_URL || 'https://eth-sepolia.g.alchemy.com/v2/demo',
-    blockExplorer: 'https://sepolia.etherscan.io',
-  },
+/**
+ * Deployment manifest entry for a contract on a network
+ * @param {number | undefined} chainId
+ * @param {string} name - Contract name
+ * @returns {{ address: string, abi: object[], blockNumber?: number } | null}
+ */
+export const getDeployment = (chainId, name) => deployments[chainId]?.contracts?.[name] ?? null;
+
+/**
+ * Contract addresses on a network
+ * The network registry (env override) wins over the deployments manifest
+ * @param {number | undefined} chainId
+ * @returns {{ CipherNotes?: string }} - empty for unsupported networks
+ */
+export const getContractAddresses = (chainId) => {
+  const network = getNetwork(chainId);
+  if (!network) return {};
+  return Object.fromEntries(Object.keys(CONTRACT_ABIS).map(name => [
+    name,
+    network.contracts[name] || getDeployment(chainId, name)?.address || '',
+  ]));
+};
+
+/**
+ * ABI for a contract on a network
+ * Uses the ABI recorded at deploy time when the address came from the
+ * manifest, otherwise the compiled one
+ * @param {number | undefined} chainId
+ * @param {string} name - Contract name
+ * @returns {object[]}
+ */
+export const getContractAbi = (chainId, name) => {
+  const deployment = getDeployment(chainId, name);
+  const address = getContractAddresses(chainId)[name];
+  if (deployment && address && deployment.address.toLowerCase() === address.toLowerCase()) {
+    return deployment.abi;
+  }
+  return CONTRACT_ABIS[name];
 };
 
-// Check if contract is deployed
-export const isContractDeployed = () => {
-  const address = CONTRACT_ADDRESSES.CipherNotes;
+// Check if contract is deployed on a network
+export const isContractDeployed = (chainId = DEFAULT_NETWORK.chainId) => {
+  const address = getContractAddresses(chainId).CipherNotes;
   return Boolean(address && address !== '0x' && address.length === 42);
 };
 
@@ -315,7 +69,8 @@ export const formatAddress = (address) => {
   return `${address.slice(0, 6)}...${address.slice(-4)}`;
 };
 
-// Get block explorer link
-export const getExplorerLink = (address, type = 'address') => {
-  return `${NETWORK_CONFIG.sepolia.blockExplorer}/${type}/${address}`;
+// Get block explorer link ('' on networks without an explorer)
+export const getExplorerLink = (address, type = 'address', chainId = DEFAULT_NETWORK.chainId) => {
+  const explorer = getNetwork(chainId)?.blockExplorer;
+  return explorer ? `${explorer}/${type}/${address}` : '';
 };
@@ -0,0 +1,105 @@
+/**
+ * Network registry
+ *
+ * Single description of every network CipherNotes runs on: the wagmi chain,
+ * how FHE is provided (Zama relayer or local mock), the CipherNotes
+ * deployment and the storage backend. wagmi.js, FhevmProvider and
+ * contracts.js all read from here.
+ */
+
+import { hardhat, sepolia } from 'wagmi/chains';
+
+const env = import.meta.env;
+
+/**
+ * @typedef {object} RelayerFheConfig
+ * @property {'relayer'} mode - Zama relayer SDK
+ * @property {string} aclAddress
+ * @property {string} kmsAddress
+ * @property {string} gatewayUrl
+ * @property {string} relayerUrl
+ *
+ * @typedef {object} MockFheConfig
+ * @property {'mock'} mode - @fhevm/mock-utils against a hardhat node
+ * @property {string} rpcUrl
+ *
+ * @typedef {object} NetworkConfig
+ * @property {string} key - Short id (sepolia, localhost)
+ * @property {number} chainId
+ * @property {string} name
+ * @property {object} chain - wagmi chain
+ * @property {string} rpcUrl
+ * @property {string} blockExplorer - '' if none
+ * @property {RelayerFheConfig | MockFheConfig} fhe
+ * @property {{ CipherNotes: string }} contracts - Deployment addresses
+ * @property {string} storageBackend - One of STORAGE_BACKENDS
+ * @property {number | null} noteBindingSince - Unix time after which published content must be
+ *   note-bound (older v1 / legacy blobs are refused); null = not enforced
+ * @property {boolean} enabled - Offered in the wallet / network switcher
+ */
+
+const LOCAL_RPC_URL = env.VITE_LOCAL_RPC_URL || 'http://127.0.0.1:8545';
+
+/** @type {Record<string, NetworkConfig>} */
+export const NETWORKS = {
+  sepolia: {
+    key: 'sepolia',
+    chainId: sepolia.id,
+    name: 'Sepolia',
+    chain: sepolia,
+    rpcUrl: env.VITE_SEPOLIA_RPC_URL || 'https://eth-sepolia.g.alchemy.com/v2/demo',
+    blockExplorer: 'https://sepolia.etherscan.io',
+    fhe: {
+      mode: 'relayer',
+      aclAddress: env.VITE_ACL_ADDRESS || '0xf0Ffdc93b7E186bC2f8CB3dAA75D86d1930A433D',
+      kmsAddress: env.VITE_KMS_ADDRESS || '0xbE0E383937d564D7FF0BC3b46c51f0bF8d5C311A',
+      gatewayUrl: env.VITE_GATEWAY_URL || 'https://gateway.sepolia.zama.ai',
+      relayerUrl: env.VITE_FHEVM_RELAYER_URL || env.VITE_RELAYER_URL || 'https://relayer.testnet.zama.org',
+    },
+    contracts: {
+      CipherNotes: env.VITE_CIPHERNOTES_ADDRESS || '',
+    },
+    storageBackend: env.VITE_STORAGE_BACKEND || 'storacha',
+    // When this deployment started writing bound notes (see .env.example)
+    noteBindingSince: env.VITE_NOTE_BINDING_SINCE ? Number(env.VITE_NOTE_BINDING_SINCE) : null,
+    enabled: true,
+  },
+  localhost: {
+    key: 'localhost',
+    chainId: hardhat.id,
+    name: 'Localhost',
+    chain: {
+      ...hardhat,
+      name: 'Localhost (FHEVM mock)',
+      rpcUrls: { default: { http: [LOCAL_RPC_URL] } },
+    },
+    rpcUrl: LOCAL_RPC_URL,
+    blockExplorer: '',
+    fhe: {
+      mode: 'mock',
+      rpcUrl: LOCAL_RPC_URL,
+    },
+    contracts: {
+      CipherNotes: env.VITE_LOCAL_CIPHERNOTES_ADDRESS || '',
+    },
+    // Offline by default - nothing leaves the machine
+    storageBackend: env.VITE_LOCAL_STORAGE_BACKEND || 'memory',
+    // Mock chains start empty, so every note on them was written bound
+    noteBindingSince: 0,
+    // Dev builds, or any build with VITE_ENABLE_LOCAL_FHEVM=true
+    enabled: Boolean(env.DEV) || env.VITE_ENABLE_LOCAL_FHEVM === 'true',
+  },
+};
+
+/** Networks offered in this build, default first */
+export const SUPPORTED_NETWORKS = Object.values(NETWORKS).filter(n => n.enabled);
+
+export const DEFAULT_NETWORK = NETWORKS.sepolia;
+
+/**
+ * Look up a supported network by chain id
+ * @param {number | undefined} chainId
+ * @returns {NetworkConfig | null}
+ */
+export const getNetwork = (chainId) =>
+  SUPPORTED_NETWORKS.find(n => n.chainId === chainId) || null;
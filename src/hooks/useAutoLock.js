@@ -0,0 +1,72 @@
+import { useCallback, useEffect, useRef, useState } from 'react';
+
+// Any of these counts as user activity and restarts the idle timer
+const ACTIVITY_EVENTS = ['mousemove', 'mousedown', 'keydown', 'wheel', 'touchstart'];
+
+/**
+ * Auto-lock after inactivity or when the tab is hidden
+ *
+ * @param {object} options
+ * @param {boolean} options.enabled - Only armed while something is decrypted
+ * @param {number} options.timeoutMinutes - Idle timeout (0 = never)
+ * @param {boolean} options.lockOnHide - Lock as soon as the tab is hidden
+ * @param {() => void} options.onLock - Wipe decrypted state
+ * @returns {{ remainingMs: number | null, lock: () => void }}
+ */
+export function useAutoLock({ enabled, timeoutMinutes, lockOnHide, onLock }) {
+  const [remainingMs, setRemainingMs] = useState(null);
+  const deadlineRef = useRef(null);
+  const onLockRef = useRef(onLock);
+  onLockRef.current = onLock;
+
+  const lock = useCallback(() => {
+    deadlineRef.current = null;
+    setRemainingMs(null);
+    onLockRef.current();
+  }, []);
+
+  // Idle timer with a once-a-second countdown for the status bar
+  useEffect(() => {
+    if (!enabled || !timeoutMinutes) {
+      deadlineRef.current = null;
+      setRemainingMs(null);
+      return;
+    }
+
+    const timeoutMs = timeoutMinutes * 60 * 1000;
+    const reset = () => { deadlineRef.current = Date.now() + timeoutMs; };
+    reset();
+    setRemainingMs(timeoutMs);
+
+    ACTIVITY_EVENTS.forEach(e => window.addEventListener(e, reset, { passive: true }));
+    const timer = setInterval(() => {
+      if (deadlineRef.current === null) return;
+      const left = deadlineRef.current - Date.now();
+      if (left <= 0) {
+        lock();
+      } else {
+        setRemainingMs(left);
+      }
+    }, 1000);
+
+    return () => {
+      ACTIVITY_EVENTS.forEach(e => window.removeEventListener(e, reset));
+      clearInterval(timer);
+    };
+  }, [enabled, timeoutMinutes, lock]);
+
+  // Lock on tab hide
+  useEffect(() => {
+    if (!enabled || !lockOnHide) return;
+
+    const onVisibilityChange = () => {
+      if (document.hidden) lock();
+    };
+    document.addEventListener('visibilitychange', onVisibilityChange);
+    return () => document.removeEventListener('visibilitychange', onVisibilityChange);
+  }, [enabled, lockOnHide, lock]);
+
+  return { remainingMs, lock };
+}
+
+export default useAutoLock;
@@ -2,7 +2,11 @@ import { Buffer } from 'buffer';
 import { ethers } from 'ethers';
 import { createContext, useCallback, useContext, useEffect, useState } from 'react';
 import { useAccount, useChainId, usePublicClient, useWalletClient } from 'wagmi';
-import { CONTRACT_ADDRESSES } from '../config/contracts';
+import { getContractAddresses } from '../config/contracts';
+import { getNetwork, SUPPORTED_NETWORKS } from '../config/networks';
+import { getDecryptionSession, invalidateDecryptionSession, isSessionRejected } from '../lib/decryptionSession';
+import { createMockRelayer } from '../lib/fhevmMock';
+import { selectStorageBackend } from '../lib/storage';
 
 // FHE Status types
 export const FHE_STATUS = {
@@ -13,8 +17,36 @@ export const FHE_STATUS = {
   UNSUPPORTED: 'unsupported',
 };
 
-// Sepolia chain ID (FHEVM supported)
-const SEPOLIA_CHAIN_ID = 11155111;
+// Relayer rejects user decryption requests over 2048 bits of ciphertext
+const MAX_DECRYPTION_BITS = 2048;
+
+// FHE type byte (handle[30]) => bit width
+const FHE_TYPE_BITS = { 0: 2, 2: 8, 3: 16, 4: 32, 5: 64, 6: 128, 7: 160, 8: 256 };
+
+const toHexHandle = (h) => typeof h === 'string' ? h : `0x${BigInt(h).toString(16).padStart(64, '0')}`;
+
+const handleBits = (handle) => FHE_TYPE_BITS[parseInt(handle.slice(62, 64), 16)] ?? 256;
+
+/**
+ * Split handles into batches that fit the relayer's per-request bit budget
+ */
+const batchHandlesByBits = (handles) => {
+  const batches = [];
+  let current = [];
+  let bits = 0;
+  for (const handle of handles) {
+    const size = handleBits(handle);
+    if (current.length > 0 && bits + size > MAX_DECRYPTION_BITS) {
+      batches.push(current);
+      current = [];
+      bits = 0;
+    }
+    current.push(handle);
+    bits += size;
+  }
+  if (current.length > 0) batches.push(current);
+  return batches;
+};
 
 // Context
 const FhevmContext = createContext(null);
@@ -91,8 +123,15 @@ export function FhevmProvider({ children }) {
   const { data: walletClient } = useWalletClient();
   const publicClient = usePublicClient();
 
-  // Check if on supported network
-  const isSupportedNetwork = chainId === SEPOLIA_CHAIN_ID;
+  // Check if on supported network (config/networks.js)
+  const network = getNetwork(chainId);
+  const isSupportedNetwork = network !== null;
+  const isMockNetwork = network?.fhe.mode === 'mock';
+
+  // Each network names its own storage backend
+  useEffect(() => {
+    if (network) selectStorageBackend(network.storageBackend);
+  }, [network]);
 
   // Initialize ethers provider and signer when wallet connects
   useEffect(() => {
@@ -107,7 +146,8 @@ export function FhevmProvider({ children }) {
 
       if (!isSupportedNetwork) {
         setStatus(FHE_STATUS.UNSUPPORTED);
-        setError(new Error(`Network ${chainId} not supported. Please switch to Sepolia (11155111)`));
+        const supported = SUPPORTED_NETWORKS.map(n => `${n.name} (${n.chainId})`).join(' or ');
+        setError(new Error(`Network ${chainId} not supported. Please switch to ${supported}`));
         return;
       }
 
@@ -122,19 +162,33 @@ export function FhevmProvider({ children }) {
         setEthersProvider(provider);
         setEthersSigner(signer);
 
+        const { fhe } = network;
+
+        if (fhe.mode === 'mock') {
+          // Same instance API as the relayer SDK, backed by the hardhat node
+          const mockInstance = await createMockRelayer({ rpcUrl: fhe.rpcUrl });
+          setRelayer(mockInstance);
+          setStatus(FHE_STATUS.READY);
+
+          console.log('═══════════════════════════════════════════════════════');
+          console.log('🔐 Zenix (fhEVM Desktop) - Connected to local FHEVM mock');
+          console.log('═══════════════════════════════════════════════════════');
+          console.log('📍 Wallet:', address);
+          console.log('🔗 Chain ID:', chainId);
+          console.log('🖥️ Hardhat node:', fhe.rpcUrl);
+          console.log('═══════════════════════════════════════════════════════');
+          return;
+        }
+
         // Initialize Relayer SDK (browser, CDN-loaded)
         const sdkModule = await loadRelayerSdk();
         const { initSDK, createInstance, SepoliaConfig } = sdkModule;
 
-        // Prefer env overrides; fallback to SDK Sepolia defaults
-        const gatewayUrl = import.meta.env.VITE_GATEWAY_URL || SepoliaConfig.gatewayUrl || 'https://gateway.sepolia.zama.ai';
-        const relayerUrl =
-          import.meta.env.VITE_FHEVM_RELAYER_URL ||
-          import.meta.env.VITE_RELAYER_URL ||
-          SepoliaConfig.relayerUrl ||
-          'https://relayer.testnet.zama.org';
-        const aclAddress = import.meta.env.VITE_ACL_ADDRESS || SepoliaConfig.aclContractAddress;
-        const kmsAddress = import.meta.env.VITE_KMS_ADDRESS || SepoliaConfig.kmsContractAddress;
+        // Network registry (env overrides applied there); fallback to SDK Sepolia defaults
+        const gatewayUrl = fhe.gatewayUrl || SepoliaConfig.gatewayUrl;
+        const relayerUrl = fhe.relayerUrl || SepoliaConfig.relayerUrl;
+        const aclAddress = fhe.aclAddress || SepoliaConfig.aclContractAddress;
+        const kmsAddress = fhe.kmsAddress || SepoliaConfig.kmsContractAddress;
 
         // Serve wasm from public root (kms_lib_bg.wasm, tfhe_bg.wasm)
         const wasmBaseURL = `${window.location.origin}/relayer-sdk/`;
@@ -173,7 +227,7 @@ export function FhevmProvider({ children }) {
         setStatus(FHE_STATUS.READY);
 
         console.log('═══════════════════════════════════════════════════════');
-        console.log('🔐 Zenix (fhEVM Desktop) - Connected to Sepolia');
+        console.log(`🔐 Zenix (fhEVM Desktop) - Connected to ${network.name}`);
         console.log('═══════════════════════════════════════════════════════');
         console.log('📍 Wallet:', address);
         console.log('🔗 Chain ID:', chainId);
@@ -190,7 +244,7 @@ export function FhevmProvider({ children }) {
 
     const timer = setTimeout(setupProvider, 100);
     return () => clearTimeout(timer);
-  }, [walletClient, isConnected, chainId, isSupportedNetwork, address]);
+  }, [walletClient, isConnected, chainId, network, isSupportedNetwork, address]);
 
   /**
    * Get a contract instance connected to signer
@@ -230,10 +284,11 @@ export function FhevmProvider({ children }) {
       const inputHandle = relayer.createEncryptedInput(contractAddress, address);
 
       const addrLc = (contractAddress || '').toLowerCase();
+      const contracts = getContractAddresses(chainId);
       const needs64 =
-        addrLc === (CONTRACT_ADDRESSES.ConfidentialERC7984 || '').toLowerCase() ||
-        addrLc === (CONTRACT_ADDRESSES.ConfidentialVestingWallet || '').toLowerCase() ||
-        addrLc === (CONTRACT_ADDRESSES.InputProofDemo || '').toLowerCase();
+        addrLc === (contracts.ConfidentialERC7984 || '').toLowerCase() ||
+        addrLc === (contracts.ConfidentialVestingWallet || '').toLowerCase() ||
+        addrLc === (contracts.InputProofDemo || '').toLowerCase();
 
       // Choose width based on requested bits or contract defaults (64 for confidential + inputProof)
       const targetBits = bits ?? (needs64 ? 64 : 32);
@@ -274,7 +329,7 @@ export function FhevmProvider({ children }) {
         value: BigInt(value),
       };
     },
-    [relayer, address]
+    [relayer, address, chainId]
   );
 
   /**
@@ -410,8 +465,13 @@ export function FhevmProvider({ children }) {
     return BigInt(Math.round(val));
   };
 
-  const requestDecryption = useCallback(
-    async (handle, contractAddress) => {
+  /**
+   * Run relayer.userDecrypt under a cached decryption session
+   * The wallet is only asked to sign when no valid session exists for this
+   * address + contract set (see lib/decryptionSession)
+   */
+  const userDecrypt = useCallback(
+    async (decryptPairs, contractAddress) => {
       if (!relayer) {
         throw new Error('Relayer SDK not ready');
       }
@@ -419,35 +479,43 @@ export function FhevmProvider({ children }) {
         throw new Error('Wallet not connected');
       }
 
-      console.log(`\n🔓 Requesting user decryption...`);
-      const keypair = relayer.generateKeypair();
-
-      const startTime = Math.floor(Date.now() / 1000).toString();
-      const durationDays = '10';
       const contractAddresses = [contractAddress];
-
-      const eip712 = relayer.createEIP712(keypair.publicKey, contractAddresses, startTime, durationDays);
-
-      const signature = await ethersSigner.signTypedData(
-        eip712.domain,
-        { UserDecryptRequestVerification: eip712.types.UserDecryptRequestVerification },
-        eip712.message
-      );
-
-      const result = await relayer.userDecrypt(
-        [{ handle, contractAddress }],
-        keypair.privateKey,
-        keypair.publicKey,
-        signature.replace('0x', ''),
+      const session = await getDecryptionSession({
+        relayer,
+        signer: ethersSigner,
+        chainId,
         contractAddresses,
-        await ethersSigner.getAddress(),
-        startTime,
-        durationDays
-      );
+      });
+
+      try {
+        return await relayer.userDecrypt(
+          decryptPairs,
+          session.privateKey,
+          session.publicKey,
+          session.signature,
+          session.contractAddresses,
+          session.userAddress,
+          session.startTime,
+          session.durationDays
+        );
+      } catch (err) {
+        // Rejected authorization - sign a fresh one next time
+        if (isSessionRejected(err)) {
+          await invalidateDecryptionSession({ chainId, userAddress: session.userAddress, contractAddresses });
+        }
+        throw err;
+      }
+    },
+    [relayer, ethersSigner, chainId]
+  );
 
+  const requestDecryption = useCallback(
+    async (handle, contractAddress) => {
+      console.log(`\n🔓 Requesting user decryption...`);
+      const result = await userDecrypt([{ handle, contractAddress }], contractAddress);
       return extractDecryptedNumber(result, handle);
     },
-    [relayer, ethersSigner]
+    [userDecrypt]
   );
 
   /**
@@ -456,57 +524,54 @@ export function FhevmProvider({ children }) {
    */
   const requestDecryption4x64 = useCallback(
     async (handles, contractAddress) => {
-      if (!relayer) {
-        throw new Error('Relayer SDK not ready');
-      }
-      if (!ethersSigner) {
-        throw new Error('Wallet not connected');
-      }
-
       console.log(`\n🔓 Requesting user decryption for 4 key chunks...`);
-      const keypair = relayer.generateKeypair();
-
-      const startTime = Math.floor(Date.now() / 1000).toString();
-      const durationDays = '10';
-      const contractAddresses = [contractAddress];
-
-      const eip712 = relayer.createEIP712(keypair.publicKey, contractAddresses, startTime, durationDays);
-
-      const signature = await ethersSigner.signTypedData(
-        eip712.domain,
-        { UserDecryptRequestVerification: eip712.types.UserDecryptRequestVerification },
-        eip712.message
-      );
 
       // Build decrypt pairs for all 4 handles
       const decryptPairs = handles.map(h => ({
-        handle: typeof h === 'string' ? h : `0x${BigInt(h).toString(16).padStart(64, '0')}`,
+        handle: toHexHandle(h),
         contractAddress
       }));
 
-      console.log('Decrypt pairs:', decryptPairs);
-
-      const result = await relayer.userDecrypt(
-        decryptPairs,
-        keypair.privateKey,
-        keypair.publicKey,
-        signature.replace('0x', ''),
-        contractAddresses,
-        await ethersSigner.getAddress(),
-        startTime,
-        durationDays
-      );
-
-      console.log('Decrypt result:', result);
+      const result = await userDecrypt(decryptPairs, contractAddress);
 
       // Extract all 4 values
-      const decryptedValues = decryptPairs.map(pair => {
-        return extractDecryptedNumber(result, pair.handle);
-      });
+      return decryptPairs.map(pair => extractDecryptedNumber(result, pair.handle));
+    },
+    [userDecrypt]
+  );
+
+  /**
+   * Request decryption for any number of handles under one authorization
+   * Handles are split into as few relayer requests as the bit budget allows.
+   * Returns decrypted values in the same order as handles (null if missing)
+   */
+  const requestDecryptionBatch = useCallback(
+    async (handles, contractAddress, onProgress) => {
+      const hexHandles = handles.map(toHexHandle);
+      if (hexHandles.length === 0) return [];
+
+      console.log(`\n🔓 Requesting user decryption for ${hexHandles.length} handles...`);
+
+      const uniqueHandles = [...new Set(hexHandles)];
+      const batches = batchHandlesByBits(uniqueHandles);
+      const values = {};
+      let done = 0;
+
+      for (const batch of batches) {
+        const result = await userDecrypt(
+          batch.map(handle => ({ handle, contractAddress })),
+          contractAddress
+        );
+        for (const handle of batch) {
+          values[handle] = extractDecryptedNumber(result, handle);
+        }
+        done += batch.length;
+        onProgress?.(done, uniqueHandles.length);
+      }
 
-      return decryptedValues;
+      return hexHandles.map(handle => values[handle] ?? null);
     },
-    [relayer, ethersSigner]
+    [userDecrypt]
   );
 
   const requestPublicDecryption = useCallback(
@@ -535,11 +600,13 @@ export function FhevmProvider({ children }) {
     isReady: status === FHE_STATUS.READY,
     isLoading: status === FHE_STATUS.LOADING,
     isSupportedNetwork,
+    isMockNetwork,
     
     // Wallet
     address,
     isConnected,
     chainId,
+    network,
     
     // Ethers
     ethersProvider,
@@ -558,6 +625,7 @@ export function FhevmProvider({ children }) {
     readContract,
     requestDecryption,
     requestDecryption4x64,
+    requestDecryptionBatch,
     requestPublicDecryption,
     
     // Utility
@@ -0,0 +1,76 @@
+/**
+ * Local address book for the share modal
+ *
+ * Labelled contacts plus the most recently used recipients, kept in
+ * localStorage per wallet scope. Updates return a new book; the caller
+ * persists it with saveAddressBook.
+ */
+
+const MAX_RECENT = 5;
+
+const storageKey = (scope) => `notepad-address-book:${scope}`;
+
+/**
+ * @typedef {object} AddressBook
+ * @property {Object<string, { address: string, label: string }>} contacts - Keyed by lowercased address
+ * @property {string[]} recent - Most recent first
+ */
+
+/** @returns {AddressBook} */
+export const emptyAddressBook = () => ({ contacts: {}, recent: [] });
+
+/**
+ * @param {string | null} scope - Wallet scope (getWalletScope)
+ * @param {Storage} [storage]
+ * @returns {AddressBook}
+ */
+export const loadAddressBook = (scope, storage = globalThis.localStorage) => {
+  if (!scope) return emptyAddressBook();
+  try {
+    const stored = JSON.parse(storage.getItem(storageKey(scope)) || 'null');
+    return { ...emptyAddressBook(), ...stored };
+  } catch {
+    return emptyAddressBook();
+  }
+};
+
+/**
+ * @param {string | null} scope
+ * @param {AddressBook} book
+ * @param {Storage} [storage]
+ */
+export const saveAddressBook = (scope, book, storage = globalThis.localStorage) => {
+  if (scope) storage.setItem(storageKey(scope), JSON.stringify(book));
+};
+
+/**
+ * Add, relabel or (with an empty label) remove a contact
+ * @param {AddressBook} book
+ * @param {string} address
+ * @param {string} label
+ * @returns {AddressBook}
+ */
+export const setContact = (book, address, label) => {
+  const { [address.toLowerCase()]: _previous, ...contacts } = book.contacts;
+  const trimmed = label.trim();
+  if (trimmed) contacts[address.toLowerCase()] = { address, label: trimmed };
+  return { ...book, contacts };
+};
+
+/**
+ * Move an address to the front of the recent list
+ * @param {AddressBook} book
+ * @param {string} address
+ * @returns {AddressBook}
+ */
+export const addRecent = (book, address) => ({
+  ...book,
+  recent: [address, ...book.recent.filter(a => a.toLowerCase() !== address.toLowerCase())].slice(0, MAX_RECENT),
+});
+
+/**
+ * @param {AddressBook} book
+ * @param {string} address
+ * @returns {string | undefined}
+ */
+export const contactLabel = (book, address) => book.contacts[address.toLowerCase()]?.label;
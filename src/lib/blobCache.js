@@ -0,0 +1,112 @@
+/**
+ * Content-addressed IndexedDB cache for IPFS blobs
+ *
+ * Only ciphertext is ever stored here (keyed by CID), so nothing readable
+ * is persisted. Entries are evicted least-recently-used first once the
+ * cache grows past its byte limit.
+ */
+
+import { createDbOpener, isIndexedDbAvailable, promisify, transactionDone } from "./idb";
+
+const STORE = 'blobs';
+
+// Total cache size (VITE_BLOB_CACHE_MAX_BYTES), default 50 MB
+const MAX_CACHE_BYTES = Number(import.meta.env.VITE_BLOB_CACHE_MAX_BYTES) || 50 * 1024 * 1024;
+// Blobs larger than this are never cached
+const MAX_ENTRY_BYTES = 5 * 1024 * 1024;
+
+const openDb = createDbOpener('ciphernotes-blobs', 1, (db) => {
+  const store = db.createObjectStore(STORE, { keyPath: 'cid' });
+  store.createIndex('lastAccess', 'lastAccess');
+});
+
+/**
+ * Evict least recently used entries until total size fits the limit
+ */
+const evict = async (db) => {
+  const tx = db.transaction(STORE, 'readwrite');
+  const store = tx.objectStore(STORE);
+  const entries = await promisify(store.index('lastAccess').getAll());
+
+  let total = entries.reduce((sum, e) => sum + e.size, 0);
+  // getAll on the index returns oldest access first
+  for (const entry of entries) {
+    if (total <= MAX_CACHE_BYTES) break;
+    store.delete(entry.cid);
+    total -= entry.size;
+  }
+  await transactionDone(tx);
+};
+
+/**
+ * Get cached blob by CID (refreshes its LRU position)
+ * @param {string} cid
+ * @returns {Promise<Uint8Array | null>}
+ */
+export async function getCachedBlob(cid) {
+  if (!isIndexedDbAvailable()) return null;
+  try {
+    const db = await openDb();
+    const tx = db.transaction(STORE, 'readwrite');
+    const store = tx.objectStore(STORE);
+    const entry = await promisify(store.get(cid));
+    if (!entry) return null;
+
+    store.put({ ...entry, lastAccess: Date.now() });
+    await transactionDone(tx);
+    return new Uint8Array(entry.bytes);
+  } catch (err) {
+    console.warn('Blob cache read failed:', err?.message || err);
+    return null;
+  }
+}
+
+/**
+ * Store a blob by CID
+ * @param {string} cid
+ * @param {Uint8Array} bytes - Ciphertext only
+ */
+export async function putCachedBlob(cid, bytes) {
+  if (!isIndexedDbAvailable() || bytes.byteLength > MAX_ENTRY_BYTES) return;
+  try {
+    const db = await openDb();
+    const tx = db.transaction(STORE, 'readwrite');
+    tx.objectStore(STORE).put({
+      cid,
+      bytes: bytes.slice().buffer,
+      size: bytes.byteLength,
+      lastAccess: Date.now(),
+    });
+    await transactionDone(tx);
+    await evict(db);
+  } catch (err) {
+    console.warn('Blob cache write failed:', err?.message || err);
+  }
+}
+
+/**
+ * Remove a single blob
+ * @param {string} cid
+ */
+export async function deleteCachedBlob(cid) {
+  if (!isIndexedDbAvailable()) return;
+  try {
+    const db = await openDb();
+    const tx = db.transaction(STORE, 'readwrite');
+    tx.objectStore(STORE).delete(cid);
+    await transactionDone(tx);
+  } catch (err) {
+    console.warn('Blob cache delete failed:', err?.message || err);
+  }
+}
+
+/**
+ * Drop every cached blob
+ */
+export async function clearBlobCache() {
+  if (!isIndexedDbAvailable()) return;
+  const db = await openDb();
+  const tx = db.transaction(STORE, 'readwrite');
+  tx.objectStore(STORE).clear();
+  await transactionDone(tx);
+}
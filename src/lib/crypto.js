@@ -0,0 +1,346 @@
+/**
+ * Note encryption: AES-256-GCM keys, FHE key chunks and the ciphertext envelope
+ *
+ * Envelope layout (all integers big-endian):
+ *
+ *   magic    4 bytes  "CNE1"
+ *   version  1 byte   ENVELOPE_VERSION
+ *   alg      1 byte   ALGORITHMS.AES_256_GCM
+ *   ivLen    1 byte
+ *   metaLen  2 bytes  length of the UTF-8 JSON metadata (0 = none)
+ *   iv       ivLen bytes
+ *   metadata metaLen bytes
+ *   ciphertext (AES-GCM output, tag included)
+ *
+ * The whole header (magic through metadata) is passed to AES-GCM as
+ * additional data, so changing the version, algorithm or metadata breaks
+ * decryption just like changing the ciphertext does.
+ *
+ * Version 2 envelopes are bound to a note: the note context (chain id,
+ * contract, owner, note id) is appended to the additional data but not
+ * stored, so a blob only opens for the note it was written for. Moving it
+ * under another note's CID fails authentication. Version 1 envelopes carry
+ * no context and are still readable, reported as unbound.
+ *
+ * Blobs written before the envelope existed are a bare IV(12) || ciphertext
+ * and are still readable.
+ *
+ * Content published after binding shipped is always version 2, so callers
+ * that know this pass `strict` and unbound blobs are refused: otherwise an
+ * old v1 or legacy blob encrypted under the same key could be swapped in
+ * without the binding catching it.
+ */
+
+const MAGIC = new Uint8Array([0x43, 0x4e, 0x45, 0x31]); // "CNE1"
+export const ENVELOPE_VERSION = 2;
+const UNBOUND_VERSION = 1;
+export const ALGORITHMS = { AES_256_GCM: 1 };
+
+const IV_BYTES = 12;
+const HEADER_BYTES = MAGIC.length + 5;
+const MAX_METADATA_BYTES = 0xffff;
+
+export const KEY_BYTES = 32;
+export const KEY_CHUNKS = 4;
+const CHUNK_BYTES = 8;
+const MAX_CHUNK = (1n << 64n) - 1n;
+
+// ===================== KEYS =====================
+
+/**
+ * Generate a random AES-256 key (extractable, so it can be split into chunks)
+ * @returns {Promise<CryptoKey>}
+ */
+export const generateAESKey = () =>
+  crypto.subtle.generateKey({ name: 'AES-GCM', length: 256 }, true, ['encrypt', 'decrypt']);
+
+/**
+ * @param {CryptoKey} key
+ * @returns {Promise<Uint8Array>} - 32 raw key bytes
+ */
+export const exportKeyToBytes = async (key) => new Uint8Array(await crypto.subtle.exportKey('raw', key));
+
+/**
+ * @param {Uint8Array} keyBytes - 32 raw key bytes
+ * @returns {Promise<CryptoKey>}
+ */
+export const importKeyFromBytes = (keyBytes) =>
+  crypto.subtle.importKey('raw', keyBytes, { name: 'AES-GCM', length: 256 }, true, ['encrypt', 'decrypt']);
+
+// ===================== KEY CHUNKS (euint64 x 4) =====================
+
+/**
+ * Read 8 bytes as an unsigned big-endian 64-bit value
+ * @param {Uint8Array} keyBytes
+ * @param {number} [offset]
+ * @returns {bigint}
+ */
+export const keyChunkToBigInt = (keyBytes, offset = 0) => {
+  let value = 0n;
+  for (let i = 0; i < CHUNK_BYTES; i++) {
+    value = (value << 8n) | BigInt(keyBytes[offset + i] || 0);
+  }
+  return value;
+};
+
+/**
+ * Write an unsigned 64-bit value as 8 big-endian bytes
+ * @param {bigint | number | string} value
+ * @returns {Uint8Array}
+ */
+export const bigIntToKeyChunk = (value) => {
+  let remaining = BigInt(value);
+  if (remaining < 0n || remaining > MAX_CHUNK) {
+    throw new RangeError(`Key chunk out of uint64 range: ${value}`);
+  }
+  const bytes = new Uint8Array(CHUNK_BYTES);
+  for (let i = CHUNK_BYTES - 1; i >= 0; i--) {
+    bytes[i] = Number(remaining & 0xffn);
+    remaining >>= 8n;
+  }
+  return bytes;
+};
+
+/**
+ * Split a 256-bit key into the 4 x 64-bit values stored as euint64 on-chain
+ * @param {Uint8Array} keyBytes - 32 bytes
+ * @returns {bigint[]}
+ */
+export const splitKey = (keyBytes) => {
+  if (keyBytes?.length !== KEY_BYTES) {
+    throw new RangeError(`Expected a ${KEY_BYTES}-byte key, got ${keyBytes?.length} bytes`);
+  }
+  return Array.from({ length: KEY_CHUNKS }, (_, i) => keyChunkToBigInt(keyBytes, i * CHUNK_BYTES));
+};
+
+/**
+ * Rebuild a 256-bit key from its 4 decrypted chunks
+ * @param {Array<bigint | number | string>} chunks
+ * @returns {Uint8Array} - 32 bytes
+ */
+export const joinKey = (chunks) => {
+  if (chunks?.length !== KEY_CHUNKS) {
+    throw new RangeError(`Expected ${KEY_CHUNKS} key chunks, got ${chunks?.length}`);
+  }
+  const keyBytes = new Uint8Array(KEY_BYTES);
+  chunks.forEach((chunk, i) => {
+    if (chunk === null || chunk === undefined) throw new Error(`Key chunk ${i + 1} is missing`);
+    keyBytes.set(bigIntToKeyChunk(chunk), i * CHUNK_BYTES);
+  });
+  return keyBytes;
+};
+
+// ===================== ENVELOPE =====================
+
+const hasMagic = (data) => data.length >= MAGIC.length && MAGIC.every((b, i) => data[i] === b);
+
+/**
+ * Whether bytes start with the envelope magic (false = legacy IV || ciphertext)
+ * @param {Uint8Array} data
+ */
+export const isEnvelope = (data) => hasMagic(data);
+
+/**
+ * Parse an envelope header without decrypting
+ * @param {Uint8Array} data
+ * @returns {{ version: number, algorithm: number, iv: Uint8Array, metadata: object | null, header: Uint8Array, ciphertext: Uint8Array }}
+ */
+export const parseEnvelope = (data) => {
+  if (!hasMagic(data)) throw new Error('Not a CipherNotes envelope');
+  if (data.length < HEADER_BYTES) throw new Error('Truncated envelope header');
+
+  const view = new DataView(data.buffer, data.byteOffset, data.byteLength);
+  const version = data[MAGIC.length];
+  const algorithm = data[MAGIC.length + 1];
+  const ivLength = data[MAGIC.length + 2];
+  const metadataLength = view.getUint16(MAGIC.length + 3);
+
+  if (version !== ENVELOPE_VERSION && version !== UNBOUND_VERSION) throw new Error(`Unsupported envelope version ${version}`);
+  if (algorithm !== ALGORITHMS.AES_256_GCM) throw new Error(`Unsupported envelope algorithm ${algorithm}`);
+
+  const ivStart = HEADER_BYTES;
+  const metadataStart = ivStart + ivLength;
+  const bodyStart = metadataStart + metadataLength;
+  if (data.length < bodyStart) throw new Error('Truncated envelope');
+
+  let metadata = null;
+  if (metadataLength > 0) {
+    try {
+      metadata = JSON.parse(new TextDecoder().decode(data.subarray(metadataStart, bodyStart)));
+    } catch {
+      throw new Error('Malformed envelope metadata');
+    }
+  }
+
+  return {
+    version,
+    algorithm,
+    iv: data.slice(ivStart, metadataStart),
+    metadata,
+    header: data.slice(0, bodyStart),
+    ciphertext: data.slice(bodyStart),
+  };
+};
+
+/**
+ * @typedef {object} NoteContext
+ * @property {number | bigint} chainId
+ * @property {string} contract - CipherNotes address
+ * @property {string} owner - Note owner address
+ * @property {number | bigint | string} noteId - Owner-scoped note id
+ */
+
+/**
+ * Canonical bytes for a note context, used as extra AES-GCM additional data
+ * @param {NoteContext} context
+ * @returns {Uint8Array}
+ */
+export const encodeNoteContext = ({ chainId, contract, owner, noteId } = {}) => {
+  if (chainId === undefined || chainId === null || !contract || !owner || noteId === undefined || noteId === null) {
+    throw new Error('Note context needs chainId, contract, owner and noteId');
+  }
+  return new TextEncoder().encode(
+    JSON.stringify([String(chainId), contract.toLowerCase(), owner.toLowerCase(), String(noteId)])
+  );
+};
+
+const concatBytes = (a, b) => {
+  const out = new Uint8Array(a.length + b.length);
+  out.set(a);
+  out.set(b, a.length);
+  return out;
+};
+
+/**
+ * Encrypt plaintext into a versioned envelope
+ * @param {string} plaintext
+ * @param {CryptoKey} key - AES-256-GCM key
+ * @param {object} [options]
+ * @param {object} [options.metadata] - JSON-serializable, stored in clear but authenticated
+ * @param {NoteContext} [options.context] - Binds the blob to a note (version 2); omit for an unbound version 1 blob
+ * @returns {Promise<Uint8Array>}
+ */
+export const aesEncrypt = async (plaintext, key, { metadata, context } = {}) => {
+  const iv = crypto.getRandomValues(new Uint8Array(IV_BYTES));
+  const metadataBytes = metadata ? new TextEncoder().encode(JSON.stringify(metadata)) : new Uint8Array(0);
+  if (metadataBytes.length > MAX_METADATA_BYTES) throw new RangeError('Envelope metadata too large');
+
+  const header = new Uint8Array(HEADER_BYTES + iv.length + metadataBytes.length);
+  header.set(MAGIC);
+  header[MAGIC.length] = context ? ENVELOPE_VERSION : UNBOUND_VERSION;
+  header[MAGIC.length + 1] = ALGORITHMS.AES_256_GCM;
+  header[MAGIC.length + 2] = iv.length;
+  new DataView(header.buffer).setUint16(MAGIC.length + 3, metadataBytes.length);
+  header.set(iv, HEADER_BYTES);
+  header.set(metadataBytes, HEADER_BYTES + iv.length);
+
+  const additionalData = context ? concatBytes(header, encodeNoteContext(context)) : header;
+  const ciphertext = await crypto.subtle.encrypt(
+    { name: 'AES-GCM', iv, additionalData },
+    key,
+    new TextEncoder().encode(plaintext)
+  );
+
+  return concatBytes(header, new Uint8Array(ciphertext));
+};
+
+const decryptLegacy = async (data, key) => {
+  const iv = data.slice(0, IV_BYTES);
+  const ciphertext = data.slice(IV_BYTES);
+  return new Uint8Array(await crypto.subtle.decrypt({ name: 'AES-GCM', iv }, key, ciphertext));
+};
+
+/**
+ * Decrypt an envelope (or a legacy IV || ciphertext blob)
+ * Throws if the key is wrong, any byte - header, metadata or ciphertext - was
+ * changed, or a bound envelope is opened under a different note context
+ * @param {Uint8Array} data
+ * @param {CryptoKey} key
+ * @param {object} [options]
+ * @param {NoteContext} [options.context] - Required to open version 2 envelopes
+ * @param {boolean} [options.strict] - Refuse unbound (version 1 and legacy) blobs
+ * @returns {Promise<{ plaintext: string, metadata: object | null, version: number, bound: boolean }>} - version 0 = legacy
+ */
+export const openEnvelope = async (data, key, { context, strict = false } = {}) => {
+  const legacy = async () => {
+    if (strict) throw new Error('Unbound ciphertext refused - this note must be bound');
+    const plain = await decryptLegacy(data, key);
+    return { plaintext: new TextDecoder().decode(plain), metadata: null, version: 0, bound: false };
+  };
+  if (!hasMagic(data)) return legacy();
+
+  let envelope;
+  try {
+    envelope = parseEnvelope(data);
+    const bound = envelope.version === ENVELOPE_VERSION;
+    if (!bound && strict) throw new Error('Unbound ciphertext refused - this note must be bound');
+    if (bound && !context) throw new Error('Envelope is bound to a note - context required to open it');
+    const plain = await crypto.subtle.decrypt(
+      {
+        name: 'AES-GCM',
+        iv: envelope.iv,
+        additionalData: bound ? concatBytes(envelope.header, encodeNoteContext(context)) : envelope.header,
+      },
+      key,
+      envelope.ciphertext
+    );
+    return { plaintext: new TextDecoder().decode(plain), metadata: envelope.metadata, version: envelope.version, bound };
+  } catch (err) {
+    // A legacy blob whose random IV happens to start with the magic (1 in 2^32)
+    if (strict) throw err;
+    try {
+      return await legacy();
+    } catch {
+      throw err;
+    }
+  }
+};
+
+/**
+ * Decrypt an envelope or legacy blob to plaintext
+ * @param {Uint8Array} data
+ * @param {CryptoKey} key
+ * @param {object} [options]
+ * @param {NoteContext} [options.context]
+ * @returns {Promise<string>}
+ */
+export const aesDecrypt = async (data, key, options) => (await openEnvelope(data, key, options)).plaintext;
+
+// ===================== TITLES =====================
+
+// Encrypted titles live in the on-chain title string as "cne:" + base64(envelope)
+const TITLE_PREFIX = 'cne:';
+const TITLE_FIELD = 'title';
+
+const toBase64 = (bytes) => btoa(String.fromCharCode(...bytes));
+const fromBase64 = (text) => Uint8Array.from(atob(text), c => c.charCodeAt(0));
+
+/**
+ * Whether an on-chain title is an encrypted title blob
+ * @param {string} title
+ */
+export const isEncryptedTitle = (title) => typeof title === 'string' && title.startsWith(TITLE_PREFIX);
+
+/**
+ * Seal a title with the note's AES key for storage in the on-chain title field
+ * @param {string} title
+ * @param {CryptoKey} key - The note's AES key
+ * @param {NoteContext} context
+ * @returns {Promise<string>}
+ */
+export const encryptTitle = async (title, key, context) =>
+  TITLE_PREFIX + toBase64(await aesEncrypt(title, key, { metadata: { field: TITLE_FIELD }, context }));
+
+/**
+ * Open an encrypted title. Rejects content envelopes passed off as titles.
+ * @param {string} storedTitle - "cne:..." value from the contract
+ * @param {CryptoKey} key
+ * @param {NoteContext} context
+ * @returns {Promise<string>}
+ */
+export const decryptTitle = async (storedTitle, key, context) => {
+  if (!isEncryptedTitle(storedTitle)) throw new Error('Not an encrypted title');
+  const { plaintext, metadata } = await openEnvelope(fromBase64(storedTitle.slice(TITLE_PREFIX.length)), key, { context });
+  if (metadata?.field !== TITLE_FIELD) throw new Error('Not an encrypted title');
+  return plaintext;
+};
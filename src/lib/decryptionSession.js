@@ -0,0 +1,212 @@
+/**
+ * Reusable user-decryption authorizations
+ *
+ * A user decryption needs a relayer keypair plus an EIP-712 signature over
+ * (public key, contract set, start time, duration). That authorization is
+ * valid for DURATION_DAYS, so instead of prompting the wallet on every
+ * decrypt we keep one per (chain, address, contract set) and reuse it until
+ * it is about to expire.
+ *
+ * Sessions are kept in memory and persisted to IndexedDB sealed with a
+ * non-extractable AES-GCM key, so the private key is never stored in clear.
+ * The sealing key lives in the same database, so locking the app must drop
+ * the sessions too (clearDecryptionSessions).
+ */
+
+import { createDbOpener, isIndexedDbAvailable, promisify, transactionDone } from "./idb";
+
+const DURATION_DAYS = 10;
+// Re-sign a bit before the relayer would reject the signature
+const EXPIRY_MARGIN_SECONDS = 60 * 60;
+
+const SESSIONS = 'sessions';
+const KEYS = 'keys';
+
+const openDb = createDbOpener('ciphernotes-decrypt-sessions', 1, (db) => {
+  db.createObjectStore(SESSIONS, { keyPath: 'id' });
+  db.createObjectStore(KEYS);
+});
+
+const memory = new Map();   // id => session
+const inFlight = new Map(); // id => Promise<session>, so concurrent decrypts share one prompt
+let generation = 0;         // bumped on clear, so a signature still pending is not kept
+
+const sessionId = (chainId, userAddress, contractAddresses) =>
+  `${chainId}:${userAddress.toLowerCase()}:${contractAddresses.map(a => a.toLowerCase()).sort().join(',')}`;
+
+const isFresh = (session) => session.expiresAt - EXPIRY_MARGIN_SECONDS > Math.floor(Date.now() / 1000);
+
+// ===================== AT-REST SEALING =====================
+
+const getSealingKey = async (db) => {
+  const existing = await promisify(db.transaction(KEYS).objectStore(KEYS).get('seal'));
+  if (existing) return existing;
+
+  // Non-extractable: usable by this origin, never readable as bytes
+  const key = await crypto.subtle.generateKey({ name: 'AES-GCM', length: 256 }, false, ['encrypt', 'decrypt']);
+  const tx = db.transaction(KEYS, 'readwrite');
+  tx.objectStore(KEYS).put(key, 'seal');
+  await transactionDone(tx);
+  return key;
+};
+
+const persist = async (id, session) => {
+  if (!isIndexedDbAvailable()) return;
+  try {
+    const db = await openDb();
+    const key = await getSealingKey(db);
+    const iv = crypto.getRandomValues(new Uint8Array(12));
+    const sealed = await crypto.subtle.encrypt(
+      { name: 'AES-GCM', iv },
+      key,
+      new TextEncoder().encode(JSON.stringify(session))
+    );
+
+    const tx = db.transaction(SESSIONS, 'readwrite');
+    tx.objectStore(SESSIONS).put({ id, iv, sealed, expiresAt: session.expiresAt });
+    await transactionDone(tx);
+  } catch (err) {
+    console.warn('Decryption session not persisted:', err?.message || err);
+  }
+};
+
+const restore = async (id) => {
+  if (!isIndexedDbAvailable()) return null;
+  try {
+    const db = await openDb();
+    const record = await promisify(db.transaction(SESSIONS).objectStore(SESSIONS).get(id));
+    if (!record || record.expiresAt - EXPIRY_MARGIN_SECONDS <= Math.floor(Date.now() / 1000)) return null;
+
+    const key = await getSealingKey(db);
+    const plain = await crypto.subtle.decrypt({ name: 'AES-GCM', iv: record.iv }, key, record.sealed);
+    return JSON.parse(new TextDecoder().decode(plain));
+  } catch (err) {
+    console.warn('Decryption session not restored:', err?.message || err);
+    return null;
+  }
+};
+
+// ===================== PUBLIC API =====================
+
+/**
+ * @typedef {object} DecryptionSession
+ * @property {string} publicKey - Relayer keypair
+ * @property {string} privateKey
+ * @property {string} signature - EIP-712 signature, without 0x
+ * @property {string[]} contractAddresses
+ * @property {string} userAddress
+ * @property {string} startTime - Unix seconds
+ * @property {string} durationDays
+ * @property {number} expiresAt - Unix seconds
+ */
+
+const createSession = async ({ relayer, signer, userAddress, contractAddresses }) => {
+  console.log('🔑 Signing new user-decryption authorization...');
+  const keypair = relayer.generateKeypair();
+
+  const startTime = Math.floor(Date.now() / 1000);
+  const eip712 = relayer.createEIP712(keypair.publicKey, contractAddresses, startTime.toString(), DURATION_DAYS.toString());
+
+  const signature = await signer.signTypedData(
+    eip712.domain,
+    { UserDecryptRequestVerification: eip712.types.UserDecryptRequestVerification },
+    eip712.message
+  );
+
+  return {
+    publicKey: keypair.publicKey,
+    privateKey: keypair.privateKey,
+    signature: signature.replace('0x', ''),
+    contractAddresses,
+    userAddress,
+    startTime: startTime.toString(),
+    durationDays: DURATION_DAYS.toString(),
+    expiresAt: startTime + DURATION_DAYS * 24 * 60 * 60,
+  };
+};
+
+/**
+ * Get a valid decryption authorization, signing a new one only if needed
+ * @param {object} params
+ * @param {object} params.relayer - Relayer SDK instance
+ * @param {object} params.signer - ethers signer
+ * @param {number} params.chainId
+ * @param {string[]} params.contractAddresses - Contracts the handles belong to
+ * @returns {Promise<DecryptionSession>}
+ */
+export async function getDecryptionSession({ relayer, signer, chainId, contractAddresses }) {
+  const userAddress = await signer.getAddress();
+  const id = sessionId(chainId, userAddress, contractAddresses);
+
+  const cached = memory.get(id);
+  if (cached && isFresh(cached)) return cached;
+
+  if (!inFlight.has(id)) {
+    const started = generation;
+    const pending = (async () => {
+      let session = await restore(id);
+      if (!session) {
+        session = await createSession({ relayer, signer, userAddress, contractAddresses });
+        if (started === generation) await persist(id, session);
+      }
+      if (started === generation) memory.set(id, session);
+      return session;
+    })().finally(() => {
+      if (inFlight.get(id) === pending) inFlight.delete(id);
+    });
+    inFlight.set(id, pending);
+  }
+  return inFlight.get(id);
+}
+
+/**
+ * Whether a failed user decryption means the authorization itself was refused
+ * The relayer answers a bad or expired EIP-712 signature with 400/401/403
+ * (cause.status); the local mock throws "Invalid EIP-712 signature!" or
+ * "User decrypt request has expired". Timeouts, rate limits and ACL refusals
+ * ("... is not authorized to user decrypt handle") leave the session valid.
+ * @param {unknown} err - Error thrown by relayer.userDecrypt
+ * @returns {boolean}
+ */
+export const isSessionRejected = (err) => {
+  const status = err?.cause?.status;
+  if (status === 400 || status === 401 || status === 403) return true;
+  return /EIP-712 signature|decrypt request has expired/i.test(err?.message ?? '');
+};
+
+/**
+ * Drop a session (e.g. after the relayer rejected it)
+ */
+export async function invalidateDecryptionSession({ chainId, userAddress, contractAddresses }) {
+  const id = sessionId(chainId, userAddress, contractAddresses);
+  memory.delete(id);
+  if (!isIndexedDbAvailable()) return;
+  try {
+    const db = await openDb();
+    const tx = db.transaction(SESSIONS, 'readwrite');
+    tx.objectStore(SESSIONS).delete(id);
+    await transactionDone(tx);
+  } catch (err) {
+    console.warn('Decryption session not removed:', err?.message || err);
+  }
+}
+
+/**
+ * Drop every session and the sealing key (lock, disconnect, account switch)
+ * The next decrypt asks the wallet to sign again.
+ */
+export async function clearDecryptionSessions() {
+  generation++;
+  memory.clear();
+  inFlight.clear();
+  if (!isIndexedDbAvailable()) return;
+  try {
+    const db = await openDb();
+    const tx = db.transaction([SESSIONS, KEYS], 'readwrite');
+    tx.objectStore(SESSIONS).clear();
+    tx.objectStore(KEYS).clear();
+    await transactionDone(tx);
+  } catch (err) {
+    console.warn('Decryption sessions not cleared:', err?.message || err);
+  }
+}
@@ -0,0 +1,77 @@
+/**
+ * Line diff for the note history panel
+ *
+ * Classic LCS over lines after trimming the common prefix and suffix. Notes
+ * are small, but a pathological pair (two huge, unrelated texts) falls back to
+ * "delete everything, insert everything" instead of an O(n*m) table.
+ */
+
+// Largest LCS table we are willing to build (cells)
+const MAX_TABLE_CELLS = 4_000_000;
+
+/**
+ * @typedef {object} DiffLine
+ * @property {'equal' | 'insert' | 'delete'} type - insert = only in `after`, delete = only in `before`
+ * @property {string} line
+ */
+
+/**
+ * Diff two texts line by line
+ * @param {string} before - e.g. the revision being viewed
+ * @param {string} after - e.g. the current note text
+ * @returns {DiffLine[]}
+ */
+export const diffLines = (before, after) => {
+  const a = before.split('\n');
+  const b = after.split('\n');
+
+  let start = 0;
+  while (start < a.length && start < b.length && a[start] === b[start]) start++;
+  let endA = a.length;
+  let endB = b.length;
+  while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+    endA--;
+    endB--;
+  }
+
+  const head = a.slice(0, start).map(line => ({ type: 'equal', line }));
+  const tail = a.slice(endA).map(line => ({ type: 'equal', line }));
+  const midA = a.slice(start, endA);
+  const midB = b.slice(start, endB);
+
+  if (midA.length * midB.length > MAX_TABLE_CELLS) {
+    return [
+      ...head,
+      ...midA.map(line => ({ type: 'delete', line })),
+      ...midB.map(line => ({ type: 'insert', line })),
+      ...tail,
+    ];
+  }
+
+  // lcs[i][j] = LCS length of midA[i..] and midB[j..]
+  const lcs = Array.from({ length: midA.length + 1 }, () => new Uint32Array(midB.length + 1));
+  for (let i = midA.length - 1; i >= 0; i--) {
+    for (let j = midB.length - 1; j >= 0; j--) {
+      lcs[i][j] = midA[i] === midB[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+    }
+  }
+
+  const middle = [];
+  let i = 0;
+  let j = 0;
+  while (i < midA.length && j < midB.length) {
+    if (midA[i] === midB[j]) {
+      middle.push({ type: 'equal', line: midA[i] });
+      i++;
+      j++;
+    } else if (lcs[i + 1][j] >= lcs[i][j + 1]) {
+      middle.push({ type: 'delete', line: midA[i++] });
+    } else {
+      middle.push({ type: 'insert', line: midB[j++] });
+    }
+  }
+  while (i < midA.length) middle.push({ type: 'delete', line: midA[i++] });
+  while (j < midB.length) middle.push({ type: 'insert', line: midB[j++] });
+
+  return [...head, ...middle, ...tail];
+};
@@ -0,0 +1,71 @@
+/**
+ * ENS names for share recipients
+ *
+ * Works with anything that has ethers' provider interface - resolveName(name)
+ * and lookupAddress(address) - so tests can pass a stub resolver. Answers are
+ * cached per resolver; on networks without ENS (the local hardhat node) every
+ * lookup simply comes back empty.
+ */
+
+/**
+ * @param {string} value
+ * @returns {boolean}
+ */
+export const isAddress = (value) => /^0x[a-fA-F0-9]{40}$/.test(value);
+
+/**
+ * Looks like an ENS name: dot-separated labels, no whitespace
+ * @param {string} value
+ * @returns {boolean}
+ */
+export const isEnsName = (value) => !isAddress(value) && /^[^\s.]+(\.[^\s.]+)+$/u.test(value);
+
+/**
+ * @typedef {object} NameResolver
+ * @property {(name: string) => Promise<string | null>} resolveName - Forward lookup
+ * @property {(address: string) => Promise<string | null>} lookupName - Reverse lookup (primary name)
+ * @property {(input: string) => Promise<string>} resolveRecipient - Share field value to address; throws if unusable
+ */
+
+/**
+ * @param {{ resolveName: Function, lookupAddress: Function }} provider - e.g. an ethers BrowserProvider
+ * @returns {NameResolver}
+ */
+export const createNameResolver = (provider) => {
+  const addresses = new Map(); // lowercased name => address | null
+  const names = new Map(); // lowercased address => name | null
+
+  // Failed calls (network errors, no ENS registry) are not cached
+  const cached = async (cache, key, lookup) => {
+    if (cache.has(key)) return cache.get(key);
+    try {
+      const value = (await lookup()) ?? null;
+      cache.set(key, value);
+      return value;
+    } catch {
+      return null;
+    }
+  };
+
+  const resolveName = (name) => {
+    const key = name.toLowerCase();
+    return cached(addresses, key, () => provider.resolveName(key));
+  };
+
+  const lookupName = (address) => {
+    const key = address.toLowerCase();
+    return cached(names, key, () => provider.lookupAddress(address));
+  };
+
+  const resolveRecipient = async (input) => {
+    const value = input.trim();
+    if (isAddress(value)) return value;
+    if (!isEnsName(value)) throw new Error('Enter a 0x address or an ENS name');
+
+    const address = await resolveName(value);
+    if (!address) throw new Error(`${value} does not resolve to an address`);
+    return address;
+  };
+
+  return { resolveName, lookupName, resolveRecipient };
+};
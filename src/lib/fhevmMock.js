@@ -0,0 +1,55 @@
+/**
+ * Local FHEVM mock for `npx hardhat node`
+ *
+ * The hardhat node started with @fhevm/hardhat-plugin runs a mock FHEVM
+ * coprocessor. MockFhevmInstance talks to it over JSON-RPC and exposes the
+ * same API as the relayer SDK instance (createEncryptedInput, generateKeypair,
+ * createEIP712, userDecrypt), so the rest of the app does not know the
+ * difference.
+ */
+
+import { JsonRpcProvider } from 'ethers';
+
+// Fixed by the hardhat plugin's mock deployment
+const GATEWAY_CHAIN_ID = 55815;
+const VERIFYING_CONTRACT_DECRYPTION = '0x5ffdaAB0373E62E2ea2944776209aEf29E631A64';
+const VERIFYING_CONTRACT_INPUT_VERIFICATION = '0x812b06e1CDCE800494b79fFE4f925A504a9A9810';
+
+/**
+ * Create a mock relayer instance backed by a local hardhat node
+ * @param {object} options
+ * @param {string} options.rpcUrl - Hardhat node RPC (network registry fhe.rpcUrl)
+ * @returns {Promise<object>} - Relayer-compatible FHEVM instance
+ */
+export async function createMockRelayer({ rpcUrl }) {
+  // Loaded on demand so the mock never ends up in the Sepolia code path
+  const { MockFhevmInstance } = await import('@fhevm/mock-utils');
+
+  const provider = new JsonRpcProvider(rpcUrl);
+
+  const clientVersion = await provider.send('web3_clientVersion', []);
+  if (!String(clientVersion).toLowerCase().includes('hardhat')) {
+    throw new Error(`${rpcUrl} is not a hardhat node (${clientVersion})`);
+  }
+
+  // Mock ACL / InputVerifier / KMSVerifier addresses, served by the hardhat plugin
+  let metadata;
+  try {
+    metadata = await provider.send('fhevm_relayer_metadata', []);
+  } catch (err) {
+    throw new Error(`Hardhat node at ${rpcUrl} has no FHEVM mock (start it with @fhevm/hardhat-plugin): ${err?.message || err}`);
+  }
+
+  const { chainId } = await provider.getNetwork();
+
+  // create(relayerProvider, readonlyEthersProvider, config) - @fhevm/mock-utils 0.1.x
+  return MockFhevmInstance.create(provider, provider, {
+    aclContractAddress: metadata.ACLAddress,
+    chainId: Number(chainId),
+    gatewayChainId: GATEWAY_CHAIN_ID,
+    inputVerifierContractAddress: metadata.InputVerifierAddress,
+    kmsContractAddress: metadata.KMSVerifierAddress,
+    verifyingContractAddressDecryption: VERIFYING_CONTRACT_DECRYPTION,
+    verifyingContractAddressInputVerification: VERIFYING_CONTRACT_INPUT_VERIFICATION,
+  });
+}
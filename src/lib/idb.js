@@ -0,0 +1,42 @@
+/**
+ * Minimal promise helpers over the raw IndexedDB API
+ */
+
+export const isIndexedDbAvailable = () => typeof indexedDB !== 'undefined';
+
+// Wrap an IDBRequest in a promise
+export const promisify = (request) => new Promise((resolve, reject) => {
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = () => reject(request.error);
+});
+
+export const transactionDone = (tx) => new Promise((resolve, reject) => {
+  tx.oncomplete = () => resolve();
+  tx.onerror = () => reject(tx.error);
+  tx.onabort = () => reject(tx.error);
+});
+
+/**
+ * Lazily open a database once; a failed open is retried on next call
+ * @param {string} name
+ * @param {number} version
+ * @param {(db: IDBDatabase) => void} upgrade - Create object stores / indexes
+ * @returns {() => Promise<IDBDatabase>}
+ */
+export function createDbOpener(name, version, upgrade) {
+  let dbPromise = null;
+  return () => {
+    if (!dbPromise) {
+      dbPromise = new Promise((resolve, reject) => {
+        const request = indexedDB.open(name, version);
+        request.onupgradeneeded = () => upgrade(request.result);
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => {
+          dbPromise = null;
+          reject(request.error);
+        };
+      });
+    }
+    return dbPromise;
+  };
+}
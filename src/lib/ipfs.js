@@ -1,88 +1,85 @@
 /**
- * IPFS Storage using Storacha (Web3.storage)
- * Same approach as Filez uses for reliability
+ * IPFS Storage
+ * Thin facade over the configured storage backend (see ./storage),
+ * fronted by a local ciphertext cache (see ./blobCache)
  */
 
-import * as Client from "@storacha/client";
-import { Signer } from "@storacha/client/principal/ed25519";
-import * as Proof from "@storacha/client/proof";
-import { StoreMemory } from "@storacha/client/stores/memory";
+import { deleteCachedBlob, getCachedBlob, putCachedBlob } from "./blobCache";
+import { getStorageProvider } from "./storage";
+import { isRawCid, verifyCid } from "./storage/verify";
 
-let storachaClient = null;
+// Clean CID of any prefixes
+const normalizeCid = (cid) => cid.toString().replace(/^\/ipfs\//, '').replace(/^ipfs\//, '');
 
 /**
- * Get or create Storacha client
- */
-async function getStorachaClient() {
-  if (storachaClient) return storachaClient;
-  
-  const key = import.meta.env.VITE_STORACHA_KEY;
-  const proofStr = import.meta.env.VITE_STORACHA_PROOF;
-
-  if (!key) throw new Error("Missing VITE_STORACHA_KEY - see .env.example");
-  if (!proofStr) throw new Error("Missing VITE_STORACHA_PROOF - see .env.example");
-
-  const principal = Signer.parse(key);
-  const store = new StoreMemory();
-  const client = await Client.create({ principal, store });
-
-  const proof = await Proof.parse(proofStr);
-  const space = await client.addSpace(proof);
-  await client.setCurrentSpace(space.did());
-
-  storachaClient = client;
-  return client;
-}
-
-/**
- * Upload encrypted data to IPFS via Storacha
+ * Upload encrypted data to IPFS
  * @param {Uint8Array} data - Encrypted data to upload
  * @returns {Promise<string>} - CID string
  */
 export async function uploadToIPFS(data) {
+  const provider = getStorageProvider();
   try {
-    const client = await getStorachaClient();
-    
-    // Convert Uint8Array to File object
-    const file = new File([data], `encrypted_${Date.now()}.bin`, { 
-      type: 'application/octet-stream' 
-    });
-    
-    const cid = await client.uploadFile(file);
-    console.log('✓ Uploaded to Storacha:', cid.toString());
-    
-    return cid.toString();
+    const cid = await provider.upload(data);
+    // We already hold the bytes - reopening right after save is instant
+    await putCachedBlob(cid, data);
+    return cid;
   } catch (err) {
-    console.error("Storacha upload failed:", err);
+    console.error(`${provider.name} upload failed:`, err);
     throw err;
   }
 }
 
 /**
- * Download data from IPFS using Storacha gateway
+ * Download data from IPFS
+ * Served from the local cache when possible; raw content is re-hashed against
+ * the CID whatever backend (or cache) served it. Multi-block (dag-pb) files
+ * no longer hash to their root once assembled - backends verify those block
+ * by block while downloading, and the cache only ever holds verified or
+ * self-uploaded bytes.
  * @param {string} cid - IPFS CID
- * @returns {Promise<Uint8Array>} - Downloaded data
+ * @returns {Promise<Uint8Array>} - Downloaded, verified data
  */
 export async function downloadFromIPFS(cid) {
   try {
-    // Clean CID of any prefixes
-    const cleanCid = cid.toString().replace(/^\/ipfs\//, '').replace(/^ipfs\//, '');
-    
-    // Storacha uses subdomain-style gateway: {cid}.ipfs.storacha.link
-    const url = `https://${cleanCid}.ipfs.storacha.link`;
-    
-    console.log('Fetching from Storacha:', url);
-    
-    const res = await fetch(url);
-    if (!res.ok) throw new Error(`Gateway error: ${res.status}`);
+    const cleanCid = normalizeCid(cid);
+    const verify = (bytes) => isRawCid(cleanCid) ? verifyCid(cleanCid, bytes) : undefined;
 
-    const blob = await res.blob();
-    const arrayBuffer = await blob.arrayBuffer();
-    
-    console.log('✓ Downloaded from Storacha:', cleanCid.slice(0, 10) + '...');
-    return new Uint8Array(arrayBuffer);
+    const cached = await getCachedBlob(cleanCid);
+    if (cached) {
+      try {
+        await verify(cached);
+        console.log('✓ Loaded from cache:', cleanCid.slice(0, 10) + '...');
+        return cached;
+      } catch {
+        await deleteCachedBlob(cleanCid);
+      }
+    }
+
+    const data = await getStorageProvider().download(cleanCid);
+    await verify(data);
+    await putCachedBlob(cleanCid, data);
+    return data;
   } catch (err) {
     console.error("❌ downloadFromIPFS failed:", err);
     throw err;
   }
 }
+
+/**
+ * Check whether the storage backend still holds a CID
+ * @param {string} cid - IPFS CID
+ * @returns {Promise<'pinned' | 'unpinned'>}
+ */
+export async function getPinStatus(cid) {
+  return getStorageProvider().pinStatus(normalizeCid(cid));
+}
+
+/**
+ * Delete / unpin a CID from the storage backend
+ * @param {string} cid - IPFS CID
+ */
+export async function unpinFromIPFS(cid) {
+  const cleanCid = normalizeCid(cid);
+  await getStorageProvider().unpin(cleanCid);
+  await deleteCachedBlob(cleanCid);
+}
@@ -0,0 +1,136 @@
+/**
+ * Decrypted session store
+ *
+ * Holds everything the app has decrypted (note plaintext, encrypted titles and
+ * AES key bytes)
+ * scoped to one wallet on one chain. Switching scope - account change, chain
+ * change or disconnect - wipes the store synchronously and zero-fills key
+ * bytes, and writes from operations started under an earlier scope are
+ * dropped, so nothing decrypted for one wallet is ever visible to another.
+ *
+ * Only in-memory data lives here. Persistent caches are either ciphertext
+ * (IndexedDB blob cache, keyed by CID) or namespaced with getWalletScope.
+ */
+
+/**
+ * Scope identifier for a wallet on a chain
+ * @param {string | undefined} address - Connected address
+ * @param {number | undefined} chainId - Connected chain
+ * @returns {string | null} - null when disconnected
+ */
+export const getWalletScope = (address, chainId) => {
+  if (!address || !chainId) return null;
+  return `${chainId}:${address.toLowerCase()}`;
+};
+
+/**
+ * Create a scoped store (one per app; exported for tests)
+ */
+export function createSessionStore() {
+  let scope = null;
+  /** @type {Object<string, string>} */
+  let content = {}; // { [cacheKey]: plaintext }
+  /** @type {Object<string, Uint8Array>} */
+  let keys = {};
+  /** @type {Object<string, string>} */
+  let titles = {};  // only notes with encrypted titles
+  let snapshot = { scope, content, keys, titles };
+  const listeners = new Set();
+
+  const emit = () => {
+    snapshot = { scope, content, keys, titles };
+    listeners.forEach(listener => listener());
+  };
+
+  const wipe = () => {
+    Object.values(keys).forEach(bytes => bytes.fill(0));
+    content = {};
+    keys = {};
+    titles = {};
+  };
+
+  return {
+    /** For useSyncExternalStore */
+    subscribe(listener) {
+      listeners.add(listener);
+      return () => listeners.delete(listener);
+    },
+
+    getSnapshot() {
+      return snapshot;
+    },
+
+    getScope() {
+      return scope;
+    },
+
+    /**
+     * Bind the store to a wallet scope, wiping it if the scope changed
+     * @param {string | null} nextScope
+     */
+    setScope(nextScope) {
+      if (nextScope === scope) return;
+      wipe();
+      scope = nextScope;
+      emit();
+    },
+
+    /**
+     * Cache decrypted plaintext (ignored if the scope changed meanwhile)
+     * @param {string | null} writeScope - Scope the decryption started under
+     */
+    setContent(writeScope, cacheKey, plaintext) {
+      if (writeScope === null || writeScope !== scope) return false;
+      content = { ...content, [cacheKey]: plaintext };
+      emit();
+      return true;
+    },
+
+    /**
+     * Cache AES key bytes (ignored if the scope changed meanwhile)
+     * @param {string | null} writeScope - Scope the decryption started under
+     */
+    setKey(writeScope, cacheKey, keyBytes) {
+      if (writeScope === null || writeScope !== scope) return false;
+      if (keys[cacheKey] !== keyBytes) keys[cacheKey]?.fill(0);
+      keys = { ...keys, [cacheKey]: keyBytes };
+      emit();
+      return true;
+    },
+
+    /**
+     * Cache a decrypted title (ignored if the scope changed meanwhile)
+     * @param {string | null} writeScope - Scope the decryption started under
+     */
+    setTitle(writeScope, cacheKey, title) {
+      if (writeScope === null || writeScope !== scope) return false;
+      titles = { ...titles, [cacheKey]: title };
+      emit();
+      return true;
+    },
+
+    /**
+     * Drop one note's plaintext, title and key
+     */
+    remove(cacheKey) {
+      keys[cacheKey]?.fill(0);
+      const { [cacheKey]: _content, ...restContent } = content;
+      const { [cacheKey]: _key, ...restKeys } = keys;
+      const { [cacheKey]: _title, ...restTitles } = titles;
+      content = restContent;
+      keys = restKeys;
+      titles = restTitles;
+      emit();
+    },
+
+    /**
+     * Drop everything but keep the scope
+     */
+    clear() {
+      wipe();
+      emit();
+    },
+  };
+}
+
+export const sessionStore = createSessionStore();
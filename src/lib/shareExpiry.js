@@ -0,0 +1,45 @@
+/**
+ * Share expiry helpers
+ *
+ * Expiries are unix timestamps in seconds, as stored by CipherNotes.sol;
+ * 0 means the share never expires. `now` is in milliseconds (Date.now) so
+ * callers and tests can pin the clock.
+ */
+
+const MINUTE = 60;
+const HOUR = 60 * MINUTE;
+const DAY = 24 * HOUR;
+
+/**
+ * Expiry timestamp a given number of days from now
+ * @param {number} days - 0 for no expiry
+ * @param {number} [now]
+ * @returns {number}
+ */
+export const expiryFromNow = (days, now = Date.now()) =>
+  days > 0 ? Math.floor(now / 1000) + Math.round(days * DAY) : 0;
+
+/**
+ * @param {number} expiresAt
+ * @param {number} [now]
+ * @returns {boolean}
+ */
+export const isShareExpired = (expiresAt, now = Date.now()) =>
+  expiresAt !== 0 && Math.floor(now / 1000) >= expiresAt;
+
+const plural = (count, unit) => `${count} ${unit}${count === 1 ? '' : 's'}`;
+
+/**
+ * Human-readable expiry, e.g. "expires in 3 days"
+ * @param {number} expiresAt
+ * @param {number} [now]
+ * @returns {string}
+ */
+export const formatExpiry = (expiresAt, now = Date.now()) => {
+  if (expiresAt === 0) return 'no expiry';
+  const remaining = expiresAt - Math.floor(now / 1000);
+  if (remaining <= 0) return 'expired';
+  if (remaining >= DAY) return `expires in ${plural(Math.round(remaining / DAY), 'day')}`;
+  if (remaining >= HOUR) return `expires in ${plural(Math.round(remaining / HOUR), 'hour')}`;
+  return `expires in ${plural(Math.max(1, Math.ceil(remaining / MINUTE)), 'minute')}`;
+};
@@ -0,0 +1,80 @@
+/**
+ * Multi-gateway IPFS retrieval
+ * Gateways are tried in order; a gateway that errors, times out or returns
+ * bytes that do not hash to the CID is skipped in favour of the next one.
+ * Raw CIDs are fetched as the block itself, dag-pb roots as a CAR whose
+ * blocks are each verified (trustless gateway responses).
+ */
+
+import { isRawCid, readVerifiedCar, verifyCid } from "./verify";
+
+// {cid} is replaced with the requested CID
+export const DEFAULT_GATEWAYS = [
+  'https://{cid}.ipfs.storacha.link',
+  'https://{cid}.ipfs.w3s.link',
+  'https://{cid}.ipfs.dweb.link',
+  'https://ipfs.io/ipfs/{cid}',
+];
+
+const GATEWAY_TIMEOUT_MS = 15000;
+
+/**
+ * Gateway list from VITE_IPFS_GATEWAYS (comma separated) or the defaults
+ * @returns {string[]}
+ */
+export function getConfiguredGateways() {
+  const configured = import.meta.env.VITE_IPFS_GATEWAYS;
+  if (!configured) return DEFAULT_GATEWAYS;
+  return configured.split(',').map(g => g.trim()).filter(Boolean);
+}
+
+const fetchFromGateway = async (template, cid, timeoutMs) => {
+  const url = template.replace('{cid}', cid);
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), timeoutMs);
+
+  try {
+    // Ask for verifiable data (trustless gateway response) rather than a rendered page
+    const single = isRawCid(cid);
+    const res = await fetch(url, {
+      headers: { Accept: single ? 'application/vnd.ipld.raw' : 'application/vnd.ipld.car' },
+      signal: controller.signal,
+    });
+    if (!res.ok) throw new Error(`Gateway error: ${res.status}`);
+
+    const bytes = new Uint8Array(await res.arrayBuffer());
+    if (!single) return readVerifiedCar(cid, bytes);
+    await verifyCid(cid, bytes);
+    return bytes;
+  } finally {
+    clearTimeout(timer);
+  }
+};
+
+/**
+ * Download and verify a CID, falling back through gateways
+ * @param {string} cid - IPFS CID
+ * @param {object} [options]
+ * @param {string[]} [options.gateways] - URL templates, tried in order
+ * @param {number} [options.timeoutMs] - Per-gateway timeout
+ * @returns {Promise<Uint8Array>} - Verified content
+ */
+export async function fetchFromGateways(cid, options = {}) {
+  const gateways = options.gateways || getConfiguredGateways();
+  const timeoutMs = options.timeoutMs || GATEWAY_TIMEOUT_MS;
+  const failures = [];
+
+  for (const template of gateways) {
+    try {
+      const bytes = await fetchFromGateway(template, cid, timeoutMs);
+      console.log('✓ Downloaded from gateway:', template.replace('{cid}', cid.slice(0, 10) + '...'));
+      return bytes;
+    } catch (err) {
+      const reason = err?.name === 'AbortError' ? 'timeout' : err?.message || String(err);
+      console.warn(`Gateway ${template} failed: ${reason}`);
+      failures.push(`${template}: ${reason}`);
+    }
+  }
+
+  throw new Error(`All gateways failed for ${cid}\n${failures.join('\n')}`);
+}
@@ -0,0 +1,80 @@
+/**
+ * Pluggable storage backends for encrypted note content
+ *
+ * Backend is selected per network (config/networks.js storageBackend,
+ * VITE_STORAGE_BACKEND for Sepolia):
+ * - storacha (default) - Storacha / Web3.storage
+ * - kubo               - Local Kubo HTTP API (VITE_KUBO_API_URL)
+ * - memory             - In-memory, lost on reload
+ */
+
+import { createKuboProvider } from "./kubo";
+import { createMemoryProvider } from "./memory";
+import { createStorachaProvider } from "./storacha";
+
+/**
+ * @typedef {'pinned' | 'unpinned'} PinStatus
+ *
+ * @typedef {object} StorageProvider
+ * @property {string} name
+ * @property {(data: Uint8Array) => Promise<string>} upload - Store bytes, resolve to CID string
+ * @property {(cid: string) => Promise<Uint8Array>} download - Fetch bytes by CID
+ * @property {(cid: string) => Promise<PinStatus>} pinStatus - Whether the backend still holds the CID
+ * @property {(cid: string) => Promise<void>} unpin - Delete / unpin the CID
+ */
+
+export const STORAGE_BACKENDS = {
+  storacha: createStorachaProvider,
+  kubo: createKuboProvider,
+  memory: createMemoryProvider,
+};
+
+export const DEFAULT_STORAGE_BACKEND = 'storacha';
+
+/**
+ * Create a storage provider by backend name
+ * @param {string} name - One of STORAGE_BACKENDS
+ * @param {object} [options] - Adapter specific options
+ * @returns {StorageProvider}
+ */
+export function createStorageProvider(name, options) {
+  const factory = STORAGE_BACKENDS[name];
+  if (!factory) {
+    throw new Error(`Unknown storage backend "${name}" (expected ${Object.keys(STORAGE_BACKENDS).join(', ')})`);
+  }
+  return factory(options);
+}
+
+let activeProvider = null;
+
+/**
+ * Get the configured storage provider (created lazily)
+ * @returns {StorageProvider}
+ */
+export function getStorageProvider() {
+  if (!activeProvider) {
+    activeProvider = createStorageProvider(import.meta.env.VITE_STORAGE_BACKEND || DEFAULT_STORAGE_BACKEND);
+  }
+  return activeProvider;
+}
+
+/**
+ * Switch to a backend by name (no-op if it is already active)
+ * Used when the network changes - each network names its own backend
+ * @param {string} name - One of STORAGE_BACKENDS
+ * @returns {StorageProvider}
+ */
+export function selectStorageBackend(name) {
+  if (activeProvider?.name !== name) {
+    activeProvider = createStorageProvider(name);
+  }
+  return activeProvider;
+}
+
+/**
+ * Replace the active storage provider
+ * @param {StorageProvider | null} provider - null resets to the configured backend
+ */
+export function setStorageProvider(provider) {
+  activeProvider = provider;
+}
@@ -0,0 +1,68 @@
+/**
+ * Kubo (go-ipfs) HTTP API storage adapter
+ * For running against a local IPFS node: `ipfs daemon`
+ *
+ * The node must allow the app origin, e.g.
+ *   ipfs config --json API.HTTPHeaders.Access-Control-Allow-Origin '["http://localhost:5173"]'
+ */
+
+import { readVerifiedCar } from "./verify";
+
+const DEFAULT_API_URL = 'http://127.0.0.1:5001';
+
+/**
+ * Create a Kubo-backed storage provider
+ * @param {object} [options]
+ * @param {string} [options.apiUrl] - Kubo RPC base URL (defaults to VITE_KUBO_API_URL)
+ * @returns {import('./index.js').StorageProvider}
+ */
+export function createKuboProvider(options = {}) {
+  const apiUrl = (options.apiUrl || import.meta.env.VITE_KUBO_API_URL || DEFAULT_API_URL).replace(/\/$/, '');
+
+  // Kubo RPC only accepts POST
+  const rpc = async (command, params, body) => {
+    const query = new URLSearchParams(params).toString();
+    const res = await fetch(`${apiUrl}/api/v0/${command}?${query}`, { method: 'POST', body });
+    if (!res.ok) {
+      const text = await res.text().catch(() => '');
+      throw new Error(`Kubo ${command} failed: ${res.status} ${text}`.trim());
+    }
+    return res;
+  };
+
+  return {
+    name: 'kubo',
+
+    async upload(data) {
+      const form = new FormData();
+      form.append('file', new Blob([data], { type: 'application/octet-stream' }), `encrypted_${Date.now()}.bin`);
+
+      // CIDv1 + raw leaves so small blobs get a verifiable raw CID
+      const res = await rpc('add', { 'cid-version': '1', 'raw-leaves': 'true', pin: 'true' }, form);
+      const { Hash } = await res.json();
+      console.log('✓ Uploaded to Kubo:', Hash);
+      return Hash;
+    },
+
+    async download(cid) {
+      // Export as a CAR so larger (dag-pb) files can be verified block by block too
+      const res = await rpc('dag/export', { arg: cid });
+      const content = await readVerifiedCar(cid, new Uint8Array(await res.arrayBuffer()));
+      console.log('✓ Downloaded from Kubo:', cid.slice(0, 10) + '...');
+      return content;
+    },
+
+    async pinStatus(cid) {
+      try {
+        await rpc('pin/ls', { arg: cid, type: 'recursive' });
+        return 'pinned';
+      } catch {
+        return 'unpinned';
+      }
+    },
+
+    async unpin(cid) {
+      await rpc('pin/rm', { arg: cid });
+    },
+  };
+}
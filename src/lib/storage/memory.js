@@ -0,0 +1,43 @@
+/**
+ * In-memory storage adapter
+ * Content lives only for the lifetime of the page - useful for demos and local testing
+ */
+
+import { CID } from "multiformats/cid";
+import * as raw from "multiformats/codecs/raw";
+import { sha256 } from "multiformats/hashes/sha2";
+
+/**
+ * Create an in-memory storage provider
+ * CIDs are real CIDv1 raw/sha2-256, identical to what IPFS gives a single-block upload
+ * @returns {import('./index.js').StorageProvider}
+ */
+export function createMemoryProvider() {
+  const blocks = new Map();
+
+  return {
+    name: 'memory',
+
+    async upload(data) {
+      const bytes = new Uint8Array(data);
+      const digest = await sha256.digest(bytes);
+      const cid = CID.create(1, raw.code, digest).toString();
+      blocks.set(cid, bytes);
+      return cid;
+    },
+
+    async download(cid) {
+      const bytes = blocks.get(cid);
+      if (!bytes) throw new Error(`Not found in memory store: ${cid}`);
+      return bytes.slice();
+    },
+
+    async pinStatus(cid) {
+      return blocks.has(cid) ? 'pinned' : 'unpinned';
+    },
+
+    async unpin(cid) {
+      blocks.delete(cid);
+    },
+  };
+}
@@ -0,0 +1,85 @@
+/**
+ * Storacha (Web3.storage) storage adapter
+ * Same approach as Filez uses for reliability
+ */
+
+import * as Client from "@storacha/client";
+import { Signer } from "@storacha/client/principal/ed25519";
+import * as Proof from "@storacha/client/proof";
+import { StoreMemory } from "@storacha/client/stores/memory";
+import { CID } from "multiformats/cid";
+import { fetchFromGateways } from "./gateways";
+
+/**
+ * Create a Storacha-backed storage provider
+ * @param {object} [options]
+ * @param {string} [options.key] - Agent private key (defaults to VITE_STORACHA_KEY)
+ * @param {string} [options.proof] - Base64 delegation (defaults to VITE_STORACHA_PROOF)
+ * @param {string[]} [options.gateways] - Gateway URL templates (defaults to VITE_IPFS_GATEWAYS)
+ * @returns {import('./index.js').StorageProvider}
+ */
+export function createStorachaProvider(options = {}) {
+  let storachaClient = null;
+
+  /**
+   * Get or create Storacha client
+   */
+  async function getStorachaClient() {
+    if (storachaClient) return storachaClient;
+
+    const key = options.key || import.meta.env.VITE_STORACHA_KEY;
+    const proofStr = options.proof || import.meta.env.VITE_STORACHA_PROOF;
+
+    if (!key) throw new Error("Missing VITE_STORACHA_KEY - see .env.example");
+    if (!proofStr) throw new Error("Missing VITE_STORACHA_PROOF - see .env.example");
+
+    const principal = Signer.parse(key);
+    const store = new StoreMemory();
+    const client = await Client.create({ principal, store });
+
+    const proof = await Proof.parse(proofStr);
+    const space = await client.addSpace(proof);
+    await client.setCurrentSpace(space.did());
+
+    storachaClient = client;
+    return client;
+  }
+
+  return {
+    name: 'storacha',
+
+    async upload(data) {
+      const client = await getStorachaClient();
+
+      // Convert Uint8Array to File object
+      const file = new File([data], `encrypted_${Date.now()}.bin`, {
+        type: 'application/octet-stream'
+      });
+
+      const cid = await client.uploadFile(file);
+      console.log('✓ Uploaded to Storacha:', cid.toString());
+      return cid.toString();
+    },
+
+    async download(cid) {
+      // Storacha's own subdomain gateway first, then public fallbacks
+      return fetchFromGateways(cid, { gateways: options.gateways });
+    },
+
+    async pinStatus(cid) {
+      const client = await getStorachaClient();
+      try {
+        await client.capability.upload.get(CID.parse(cid));
+        return 'pinned';
+      } catch {
+        return 'unpinned';
+      }
+    },
+
+    async unpin(cid) {
+      const client = await getStorachaClient();
+      // Removes the upload and its shards from the current space
+      await client.remove(CID.parse(cid), { shards: true });
+    },
+  };
+}
@@ -0,0 +1,154 @@
+/**
+ * CID verification for downloaded content
+ * Re-hashes bytes and checks them against the requested CID so a gateway
+ * cannot hand us anything other than what was uploaded.
+ *
+ * Small uploads are a single raw block: the content itself hashes to the CID.
+ * Larger ones (Kubo over 256 KiB, Storacha over ~1 MiB) get a dag-pb UnixFS
+ * root; those are fetched as a CAR and every block is checked on the way from
+ * the root down to the leaves (readVerifiedCar).
+ */
+
+import { CarReader } from "@ipld/car";
+import * as dagPb from "@ipld/dag-pb";
+import { equals } from "multiformats/bytes";
+import { CID } from "multiformats/cid";
+import * as raw from "multiformats/codecs/raw";
+import { sha256 } from "multiformats/hashes/sha2";
+
+// UnixFS Data.Type values for file content
+const UNIXFS_RAW = 0;
+const UNIXFS_FILE = 2;
+
+/**
+ * Whether a CID addresses a single raw block (bafkrei...), whose content
+ * can be verified on its own
+ * @param {string} cid
+ * @returns {boolean}
+ */
+export const isRawCid = (cid) => CID.parse(cid).code === raw.code;
+
+/**
+ * Verify that one block hashes to its CID
+ * @param {CID} cid
+ * @param {Uint8Array} bytes
+ * @throws {Error} If the codec or hash is unsupported or the hash does not match
+ */
+export async function verifyBlock(cid, bytes) {
+  if (cid.code !== raw.code && cid.code !== dagPb.code) {
+    throw new Error(`Cannot verify CID ${cid}: codec 0x${cid.code.toString(16)} is not raw or dag-pb`);
+  }
+  if (cid.multihash.code !== sha256.code) {
+    throw new Error(`Cannot verify CID ${cid}: hash 0x${cid.multihash.code.toString(16)} is not sha2-256`);
+  }
+
+  const digest = await sha256.digest(bytes);
+  if (!equals(digest.digest, cid.multihash.digest)) {
+    throw new Error(`CID mismatch: content does not hash to ${cid}`);
+  }
+}
+
+/**
+ * Verify that bytes are exactly the content addressed by a raw CID
+ * dag-pb roots cannot be checked from the assembled file - use readVerifiedCar.
+ * @param {string} cid - Requested CID
+ * @param {Uint8Array} bytes - Downloaded bytes
+ * @throws {Error} If the CID is not raw or the hash does not match
+ */
+export async function verifyCid(cid, bytes) {
+  const parsed = CID.parse(cid);
+
+  if (parsed.code !== raw.code) {
+    throw new Error(`Cannot verify CID ${cid}: codec 0x${parsed.code.toString(16)} is not raw`);
+  }
+  await verifyBlock(parsed, bytes);
+}
+
+// Read a protobuf varint at offset; returns [value, nextOffset]
+const readVarint = (bytes, offset) => {
+  let value = 0;
+  let shift = 0;
+  for (;;) {
+    if (offset >= bytes.length) throw new Error("Truncated UnixFS data");
+    const byte = bytes[offset++];
+    value += (byte & 0x7f) * 2 ** shift;
+    if (byte < 0x80) return [value, offset];
+    shift += 7;
+  }
+};
+
+/**
+ * Type and inline data of a UnixFS Data message (other fields are skipped)
+ * @param {Uint8Array} bytes
+ * @returns {{ type: number, data: Uint8Array }}
+ */
+const decodeUnixFsData = (bytes) => {
+  let type = -1;
+  let data = new Uint8Array(0);
+  let offset = 0;
+
+  while (offset < bytes.length) {
+    let key;
+    [key, offset] = readVarint(bytes, offset);
+    const field = Math.floor(key / 8);
+    const wireType = key & 7;
+
+    if (wireType === 0) {
+      let value;
+      [value, offset] = readVarint(bytes, offset);
+      if (field === 1) type = value;
+    } else if (wireType === 2) {
+      let length;
+      [length, offset] = readVarint(bytes, offset);
+      if (field === 2) data = bytes.subarray(offset, offset + length);
+      offset += length;
+    } else {
+      throw new Error(`Unsupported UnixFS wire type ${wireType}`);
+    }
+  }
+
+  return { type, data };
+};
+
+/**
+ * Extract the file behind a CID from a CAR, verifying every block used
+ * Blocks are hashed against the CIDs that link to them, starting from the
+ * requested root, so the result is exactly the uploaded file. Works for raw
+ * roots (a one-block CAR) as well as dag-pb UnixFS files.
+ * @param {string} cid - Requested root CID
+ * @param {Uint8Array} car - CAR bytes (trustless gateway or Kubo dag/export)
+ * @returns {Promise<Uint8Array>} - File content
+ * @throws {Error} If a block is missing, does not match its CID or is not file data
+ */
+export async function readVerifiedCar(cid, car) {
+  const reader = await CarReader.fromBytes(car);
+
+  const read = async (blockCid) => {
+    const block = await reader.get(blockCid);
+    if (!block) throw new Error(`CAR for ${cid} is missing block ${blockCid}`);
+    await verifyBlock(blockCid, block.bytes);
+
+    if (blockCid.code === raw.code) return [block.bytes];
+
+    const node = dagPb.decode(block.bytes);
+    const { type, data } = decodeUnixFsData(node.Data ?? new Uint8Array(0));
+    if (type !== UNIXFS_FILE && type !== UNIXFS_RAW) {
+      throw new Error(`${cid} is not a file (UnixFS type ${type})`);
+    }
+
+    const chunks = data.length > 0 ? [data] : [];
+    for (const link of node.Links) {
+      chunks.push(...(await read(link.Hash)));
+    }
+    return chunks;
+  };
+
+  const chunks = await read(CID.parse(cid));
+  const content = new Uint8Array(chunks.reduce((total, chunk) => total + chunk.length, 0));
+  let offset = 0;
+  for (const chunk of chunks) {
+    content.set(chunk, offset);
+    offset += chunk.length;
+  }
+  return content;
+}
@@ -0,0 +1,1143 @@
+import { FhevmType } from "@fhevm/hardhat-plugin";
+import { time } from "@nomicfoundation/hardhat-network-helpers";
+import { HardhatEthersSigner } from "@nomicfoundation/hardhat-ethers/signers";
+import { expect } from "chai";
+import { randomBytes } from "crypto";
+import { ethers, fhevm } from "hardhat";
+
+import { CipherNotes, CipherNotes__factory } from "../types";
+
+type Signers = {
+  owner: HardhatEthersSigner;
+  recipient: HardhatEthersSigner;
+  other: HardhatEthersSigner;
+  stranger: HardhatEthersSigner;
+};
+
+type KeyChunks = [bigint, bigint, bigint, bigint];
+
+const CID = ethers.toUtf8Bytes("bafkreigh2akiscaildcqabsyg3dfr6chu3fgpregiymsck7e7aqa4s52zy");
+const NEW_CID = ethers.toUtf8Bytes("bafkreidgvpkjawlxz6sffxzwgooowe5yt7i6wsyg236mfoks77nywkptdq");
+
+const READ = 0;
+const EDIT = 1;
+
+async function deployFixture() {
+  const factory = (await ethers.getContractFactory("CipherNotes")) as CipherNotes__factory;
+  const contract = (await factory.deploy()) as CipherNotes;
+  const address = await contract.getAddress();
+  return { contract, address };
+}
+
+// A 256-bit AES key as the 4 x 64-bit chunks the frontend sends
+function randomKey(): KeyChunks {
+  const bytes = randomBytes(32);
+  return [0, 8, 16, 24].map((offset) => bytes.readBigUInt64BE(offset)) as KeyChunks;
+}
+
+describe("CipherNotes", function () {
+  let signers: Signers;
+  let contract: CipherNotes;
+  let address: string;
+
+  async function encryptKey(signer: HardhatEthersSigner, key: KeyChunks) {
+    return fhevm
+      .createEncryptedInput(address, signer.address)
+      .add64(key[0])
+      .add64(key[1])
+      .add64(key[2])
+      .add64(key[3])
+      .encrypt();
+  }
+
+  // One at a time - the mock coprocessor does not support concurrent decrypts
+  async function decryptChunks(handles: string[], signer: HardhatEthersSigner) {
+    const values: bigint[] = [];
+    for (const handle of handles) {
+      values.push(await fhevm.userDecryptEuint(FhevmType.euint64, handle, address, signer));
+    }
+    return values;
+  }
+
+  async function expectNoDecryptAccess(
+    handle: string,
+    signer: HardhatEthersSigner,
+    type: FhevmType.euint8 | FhevmType.euint64 = FhevmType.euint64
+  ) {
+    let decrypted = false;
+    try {
+      await fhevm.userDecryptEuint(type, handle, address, signer);
+      decrypted = true;
+    } catch {
+      // ACL refused the user decryption
+    }
+    expect(decrypted, `${signer.address} should not be able to decrypt ${handle}`).to.equal(false);
+  }
+
+  async function createNote(signer: HardhatEthersSigner, title = "Note", key = randomKey()) {
+    const enc = await encryptKey(signer, key);
+    const tx = await contract
+      .connect(signer)
+      .createNote(title, CID, enc.handles[0], enc.handles[1], enc.handles[2], enc.handles[3], enc.inputProof);
+    await tx.wait();
+    const noteId = Number(await contract.connect(signer).getTotalNotes()) - 1;
+    return { noteId, key };
+  }
+
+  async function shareNote(
+    noteId: number,
+    recipient: HardhatEthersSigner,
+    key: KeyChunks,
+    permission = READ,
+    expiresAt = 0,
+    accept = true
+  ) {
+    const enc = await encryptKey(signers.owner, key);
+    const tx = await contract
+      .connect(signers.owner)
+      .shareNote(
+        noteId,
+        recipient.address,
+        permission,
+        expiresAt,
+        enc.handles[0],
+        enc.handles[1],
+        enc.handles[2],
+        enc.handles[3],
+        enc.inputProof
+      );
+    await tx.wait();
+    // Shares arrive as invitations; most tests want them accepted
+    if (accept) await acceptShare(recipient, noteId);
+  }
+
+  async function acceptShare(recipient: HardhatEthersSigner, noteId: number) {
+    await (await contract.connect(recipient).acceptShare(signers.owner.address, noteId)).wait();
+  }
+
+  async function ownKeyChunks(noteId: number, signer = signers.owner) {
+    const [k1, k2, k3, k4] = await contract.connect(signer).getNoteKeyChunks(noteId);
+    return [k1, k2, k3, k4];
+  }
+
+  before(async function () {
+    const ethSigners = await ethers.getSigners();
+    signers = { owner: ethSigners[0], recipient: ethSigners[1], other: ethSigners[2], stranger: ethSigners[3] };
+  });
+
+  beforeEach(async function () {
+    // Decryption assertions need the mock coprocessor
+    if (!fhevm.isMock) {
+      console.warn("This hardhat test suite cannot run on Sepolia Testnet");
+      this.skip();
+    }
+    ({ contract, address } = await deployFixture());
+  });
+
+  describe("createNote / updateContent", function () {
+    it("round-trips the 4 key chunks for the owner", async function () {
+      const { noteId, key } = await createNote(signers.owner, "Secret");
+
+      expect(await decryptChunks(await ownKeyChunks(noteId), signers.owner)).to.deep.equal(key);
+    });
+
+    it("stores title, CID and counters", async function () {
+      await createNote(signers.owner, "First");
+      await createNote(signers.owner, "Second");
+
+      const metadata = await contract.connect(signers.owner).getMyNotesMetadata();
+      expect(metadata.ids.map(Number)).to.deep.equal([0, 1]);
+      expect([...metadata.titles]).to.deep.equal(["First", "Second"]);
+      expect([...metadata.deletedFlags]).to.deep.equal([false, false]);
+      expect(await contract.connect(signers.owner).getNoteCID(0)).to.equal(ethers.hexlify(CID));
+      expect(await contract.noteCount(signers.owner.address)).to.equal(2n);
+      // Notes are per owner
+      expect(await contract.connect(signers.stranger).getTotalNotes()).to.equal(0n);
+    });
+
+    it("emits NoteCreated", async function () {
+      const enc = await encryptKey(signers.owner, randomKey());
+      await expect(
+        contract
+          .connect(signers.owner)
+          .createNote("Hello", CID, enc.handles[0], enc.handles[1], enc.handles[2], enc.handles[3], enc.inputProof)
+      )
+        .to.emit(contract, "NoteCreated")
+        .withArgs(signers.owner.address, 0, "Hello");
+    });
+
+    it("replaces CID and key chunks on updateContent", async function () {
+      const { noteId } = await createNote(signers.owner);
+      const newKey = randomKey();
+      const enc = await encryptKey(signers.owner, newKey);
+
+      await (
+        await contract
+          .connect(signers.owner)
+          .updateContent(
+            noteId,
+            NEW_CID,
+            enc.handles[0],
+            enc.handles[1],
+            enc.handles[2],
+            enc.handles[3],
+            enc.inputProof
+          )
+      ).wait();
+
+      expect(await contract.connect(signers.owner).getNoteCID(noteId)).to.equal(ethers.hexlify(NEW_CID));
+      expect(await decryptChunks(await ownKeyChunks(noteId), signers.owner)).to.deep.equal(newKey);
+    });
+
+    it("replaces title, CID and key chunks together on updateNote", async function () {
+      const { noteId } = await createNote(signers.owner, "cne:old");
+      const newKey = randomKey();
+      const enc = await encryptKey(signers.owner, newKey);
+
+      await expect(
+        contract
+          .connect(signers.owner)
+          .updateNote(
+            noteId,
+            "cne:new",
+            NEW_CID,
+            enc.handles[0],
+            enc.handles[1],
+            enc.handles[2],
+            enc.handles[3],
+            enc.inputProof
+          )
+      )
+        .to.emit(contract, "NoteUpdated")
+        .withArgs(signers.owner.address, noteId);
+
+      const metadata = await contract.connect(signers.owner).getMyNotesMetadata();
+      expect(metadata.titles[noteId]).to.equal("cne:new");
+      expect(await contract.connect(signers.owner).getNoteCID(noteId)).to.equal(ethers.hexlify(NEW_CID));
+      expect(await decryptChunks(await ownKeyChunks(noteId), signers.owner)).to.deep.equal(newKey);
+    });
+
+    it("rejects input proofs made for another user", async function () {
+      // Proof is bound to the stranger, so the owner cannot submit it
+      const enc = await encryptKey(signers.stranger, randomKey());
+      await expect(
+        contract
+          .connect(signers.owner)
+          .createNote("Stolen", CID, enc.handles[0], enc.handles[1], enc.handles[2], enc.handles[3], enc.inputProof)
+      ).to.be.reverted;
+    });
+
+    it("rejects unknown and deleted notes", async function () {
+      const { noteId } = await createNote(signers.owner);
+      const enc = await encryptKey(signers.owner, randomKey());
+      const update = (id: number) =>
+        contract
+          .connect(signers.owner)
+          .updateContent(id, NEW_CID, enc.handles[0], enc.handles[1], enc.handles[2], enc.handles[3], enc.inputProof);
+
+      await expect(update(noteId + 1)).to.be.revertedWith("Not found");
+      await (await contract.connect(signers.owner).deleteNote(noteId)).wait();
+      await expect(update(noteId)).to.be.revertedWith("Deleted");
+      await expect(contract.connect(signers.owner).updateTitle(noteId, "x")).to.be.revertedWith("Deleted");
+    });
+  });
+
+  describe("ACL on key handles", function () {
+    it("lets only the owner decrypt their key chunks", async function () {
+      const { noteId } = await createNote(signers.owner);
+      const [k1] = await ownKeyChunks(noteId);
+
+      await expectNoDecryptAccess(k1, signers.stranger);
+      await expectNoDecryptAccess(k1, signers.recipient);
+    });
+
+    it("gives a recipient its own handles, not the owner's", async function () {
+      const { noteId, key } = await createNote(signers.owner);
+      await shareNote(noteId, signers.recipient, key);
+
+      const shared = await contract.connect(signers.recipient).getSharedNoteKeyChunks(signers.owner.address, noteId);
+      expect(await decryptChunks([...shared], signers.recipient)).to.deep.equal(key);
+
+      const [ownerK1] = await ownKeyChunks(noteId);
+      await expectNoDecryptAccess(ownerK1, signers.recipient);
+      await expectNoDecryptAccess(shared[0], signers.stranger);
+    });
+  });
+
+  describe("shareNote / unshareNote", function () {
+    it("gates shared getters on access", async function () {
+      const { noteId, key } = await createNote(signers.owner, "Shared");
+      await shareNote(noteId, signers.recipient, key);
+
+      const asRecipient = contract.connect(signers.recipient);
+      expect(await asRecipient.getSharedNoteCID(signers.owner.address, noteId)).to.equal(ethers.hexlify(CID));
+      expect((await asRecipient.getSharedNoteMetadata(signers.owner.address, noteId)).title).to.equal("Shared");
+
+      const asStranger = contract.connect(signers.stranger);
+      await expect(asStranger.getSharedNoteKeyChunks(signers.owner.address, noteId)).to.be.revertedWith("No access");
+      await expect(asStranger.getSharedNoteCID(signers.owner.address, noteId)).to.be.revertedWith("No access");
+      await expect(asStranger.getSharedNoteMetadata(signers.owner.address, noteId)).to.be.revertedWith("No access");
+    });
+
+    it("tracks shares on both sides", async function () {
+      const { noteId, key } = await createNote(signers.owner, "Shared");
+      await shareNote(noteId, signers.recipient, key);
+
+      expect([...(await contract.connect(signers.owner).getSharedWithList(noteId))]).to.deep.equal([
+        signers.recipient.address,
+      ]);
+      expect(await contract.connect(signers.owner).isSharedWith(noteId, signers.recipient.address)).to.equal(true);
+
+      const received = await contract.connect(signers.recipient).getReceivedNotes();
+      expect([...received.owners]).to.deep.equal([signers.owner.address]);
+      expect(received.noteIds.map(Number)).to.deep.equal([noteId]);
+      expect([...received.titles]).to.deep.equal(["Shared"]);
+    });
+
+    it("rejects invalid shares", async function () {
+      const { noteId, key } = await createNote(signers.owner);
+      const enc = await encryptKey(signers.owner, key);
+      const share = (id: number, to: string) =>
+        contract
+          .connect(signers.owner)
+          .shareNote(id, to, READ, 0, enc.handles[0], enc.handles[1], enc.handles[2], enc.handles[3], enc.inputProof);
+
+      await expect(share(noteId + 1, signers.recipient.address)).to.be.revertedWith("Not found");
+      await expect(share(noteId, signers.owner.address)).to.be.revertedWith("Cannot share with self");
+      await expect(share(noteId, ethers.ZeroAddress)).to.be.revertedWith("Invalid recipient");
+
+      await shareNote(noteId, signers.recipient, key);
+      await expect(share(noteId, signers.recipient.address)).to.be.revertedWith("Already shared");
+
+      await (await contract.connect(signers.owner).deleteNote(noteId)).wait();
+      await expect(share(noteId, signers.other.address)).to.be.revertedWith("Deleted");
+    });
+
+    it("rejects unknown permission levels", async function () {
+      const { noteId, key } = await createNote(signers.owner);
+      const enc = await encryptKey(signers.owner, key);
+
+      await expect(
+        contract
+          .connect(signers.owner)
+          .shareNote(
+            noteId,
+            signers.recipient.address,
+            2,
+            0,
+            enc.handles[0],
+            enc.handles[1],
+            enc.handles[2],
+            enc.handles[3],
+            enc.inputProof
+          )
+      ).to.be.revertedWith("Invalid permission");
+    });
+
+    it("revokes access on unshare and allows re-sharing", async function () {
+      const { noteId, key } = await createNote(signers.owner);
+      await shareNote(noteId, signers.recipient, key);
+
+      await expect(contract.connect(signers.owner).unshareNote(noteId, signers.recipient.address))
+        .to.emit(contract, "NoteUnshared")
+        .withArgs(signers.owner.address, noteId, signers.recipient.address);
+
+      await expect(
+        contract.connect(signers.recipient).getSharedNoteKeyChunks(signers.owner.address, noteId)
+      ).to.be.revertedWith("No access");
+      expect([...(await contract.connect(signers.owner).getSharedWithList(noteId))]).to.deep.equal([]);
+      expect([...(await contract.connect(signers.recipient).getReceivedNotes()).owners]).to.deep.equal([]);
+      await expect(contract.connect(signers.owner).unshareNote(noteId, signers.recipient.address)).to.be.revertedWith(
+        "Not shared"
+      );
+
+      await shareNote(noteId, signers.recipient, key);
+      expect([...(await contract.connect(signers.owner).getSharedWithList(noteId))]).to.deep.equal([
+        signers.recipient.address,
+      ]);
+    });
+
+    it("keeps other recipients when one is removed", async function () {
+      const { noteId, key } = await createNote(signers.owner);
+      await shareNote(noteId, signers.recipient, key);
+      await shareNote(noteId, signers.other, key);
+      await shareNote(noteId, signers.stranger, key);
+
+      await (await contract.connect(signers.owner).unshareNote(noteId, signers.recipient.address)).wait();
+
+      const remaining = await contract.connect(signers.owner).getSharedWithList(noteId);
+      expect([...remaining].sort()).to.deep.equal([signers.other.address, signers.stranger.address].sort());
+      expect(await contract.connect(signers.owner).isSharedWith(noteId, signers.other.address)).to.equal(true);
+      expect(await contract.connect(signers.owner).isSharedWith(noteId, signers.recipient.address)).to.equal(false);
+    });
+
+    it("re-issues keys only to existing recipients", async function () {
+      const { noteId, key } = await createNote(signers.owner);
+      await shareNote(noteId, signers.recipient, key);
+
+      const rotated = randomKey();
+      const enc = await encryptKey(signers.owner, rotated);
+      const update = (to: string) =>
+        contract
+          .connect(signers.owner)
+          .updateSharedKeys(noteId, to, enc.handles[0], enc.handles[1], enc.handles[2], enc.handles[3], enc.inputProof);
+
+      await expect(update(signers.stranger.address)).to.be.revertedWith("Not shared");
+      await (await update(signers.recipient.address)).wait();
+
+      const shared = await contract.connect(signers.recipient).getSharedNoteKeyChunks(signers.owner.address, noteId);
+      expect(await decryptChunks([...shared], signers.recipient)).to.deep.equal(rotated);
+    });
+  });
+
+  describe("edit permissions / publishNote", function () {
+    async function publish(signer: HardhatEthersSigner, noteId: number, key: KeyChunks, title = "Edited") {
+      const enc = await encryptKey(signer, key);
+      return contract
+        .connect(signer)
+        .publishNote(
+          signers.owner.address,
+          noteId,
+          title,
+          NEW_CID,
+          enc.handles[0],
+          enc.handles[1],
+          enc.handles[2],
+          enc.handles[3],
+          enc.inputProof
+        );
+    }
+
+    it("stores and changes the permission of each share", async function () {
+      const { noteId, key } = await createNote(signers.owner);
+      await expect(
+        contract.connect(signers.owner).setSharePermission(noteId, signers.recipient.address, EDIT)
+      ).to.be.revertedWith("Not shared");
+
+      await shareNote(noteId, signers.recipient, key, EDIT);
+      await shareNote(noteId, signers.other, key);
+      const asOwner = contract.connect(signers.owner);
+      expect((await asOwner.getSharePermissions(noteId)).map(Number)).to.deep.equal([EDIT, READ]);
+      expect((await contract.connect(signers.recipient).getReceivedNotes()).permissions.map(Number)).to.deep.equal([
+        EDIT,
+      ]);
+
+      await expect(asOwner.setSharePermission(noteId, signers.other.address, EDIT))
+        .to.emit(contract, "SharePermissionSet")
+        .withArgs(signers.owner.address, noteId, signers.other.address, EDIT);
+      expect((await asOwner.getSharePermissions(noteId)).map(Number)).to.deep.equal([EDIT, EDIT]);
+
+      // Revoking and re-sharing starts from the new permission
+      await (await asOwner.unshareNote(noteId, signers.other.address)).wait();
+      expect(await contract.sharePermissions(signers.owner.address, noteId, signers.other.address)).to.equal(READ);
+    });
+
+    it("lets an editor publish a new key to the owner and every recipient", async function () {
+      const { noteId, key } = await createNote(signers.owner);
+      await shareNote(noteId, signers.recipient, key, EDIT);
+      await shareNote(noteId, signers.other, key);
+      const newKey = randomKey();
+
+      await expect(publish(signers.recipient, noteId, newKey))
+        .to.emit(contract, "NoteEdited")
+        .withArgs(signers.owner.address, noteId, signers.recipient.address);
+
+      const asOwner = contract.connect(signers.owner);
+      expect(await asOwner.getNoteCID(noteId)).to.equal(ethers.hexlify(NEW_CID));
+      expect((await asOwner.getMyNotesMetadata()).titles[noteId]).to.equal("Edited");
+      expect(await decryptChunks(await ownKeyChunks(noteId), signers.owner)).to.deep.equal(newKey);
+      for (const reader of [signers.recipient, signers.other]) {
+        const shared = await contract.connect(reader).getSharedNoteKeyChunks(signers.owner.address, noteId);
+        expect(await decryptChunks([...shared], reader)).to.deep.equal(newKey);
+      }
+      expect(await asOwner.getRevisionTimestamps(noteId)).to.have.length(2);
+      await expectNoDecryptAccess((await ownKeyChunks(noteId))[0], signers.stranger);
+    });
+
+    it("lets the owner publish and keeps recipients current", async function () {
+      const { noteId, key } = await createNote(signers.owner);
+      await shareNote(noteId, signers.recipient, key);
+      const newKey = randomKey();
+
+      await (await publish(signers.owner, noteId, newKey)).wait();
+
+      const shared = await contract.connect(signers.recipient).getSharedNoteKeyChunks(signers.owner.address, noteId);
+      expect(await decryptChunks([...shared], signers.recipient)).to.deep.equal(newKey);
+    });
+
+    it("rejects readers, strangers and revoked editors", async function () {
+      const { noteId, key } = await createNote(signers.owner);
+      await shareNote(noteId, signers.recipient, key, EDIT);
+      await shareNote(noteId, signers.other, key);
+
+      await expect(publish(signers.other, noteId, randomKey())).to.be.revertedWith("No edit access");
+      await expect(publish(signers.stranger, noteId, randomKey())).to.be.revertedWith("No edit access");
+
+      await (await contract.connect(signers.owner).unshareNote(noteId, signers.recipient.address)).wait();
+      await expect(publish(signers.recipient, noteId, randomKey())).to.be.revertedWith("No edit access");
+    });
+  });
+
+  describe("share expiry", function () {
+    const DAY = 24 * 60 * 60;
+
+    it("serves a share until it expires, then refuses it", async function () {
+      const { noteId, key } = await createNote(signers.owner, "Temporary");
+      const expiresAt = (await time.latest()) + 3 * DAY;
+      await shareNote(noteId, signers.recipient, key, READ, expiresAt);
+
+      const asRecipient = contract.connect(signers.recipient);
+      const shared = await asRecipient.getSharedNoteKeyChunks(signers.owner.address, noteId);
+      expect(await decryptChunks([...shared], signers.recipient)).to.deep.equal(key);
+      expect((await asRecipient.getReceivedNotes()).expiries.map(Number)).to.deep.equal([expiresAt]);
+      expect((await contract.connect(signers.owner).getShareExpiries(noteId)).map(Number)).to.deep.equal([expiresAt]);
+
+      await time.increaseTo(expiresAt);
+
+      const owner = signers.owner.address;
+      await expect(asRecipient.getSharedNoteKeyChunks(owner, noteId)).to.be.revertedWith("Share expired");
+      await expect(asRecipient.getSharedNoteCID(owner, noteId)).to.be.revertedWith("Share expired");
+      await expect(asRecipient.getSharedNoteMetadata(owner, noteId)).to.be.revertedWith("Share expired");
+
+      // Still listed so the recipient can see what lapsed, but without the title
+      const received = await asRecipient.getReceivedNotes();
+      expect(received.noteIds.map(Number)).to.deep.equal([noteId]);
+      expect([...received.titles]).to.deep.equal([""]);
+    });
+
+    it("lets the owner extend, shorten or clear an expiry", async function () {
+      const { noteId, key } = await createNote(signers.owner);
+      const asOwner = contract.connect(signers.owner);
+      const now = await time.latest();
+      await expect(asOwner.setShareExpiry(noteId, signers.recipient.address, now + DAY)).to.be.revertedWith(
+        "Not shared"
+      );
+
+      await shareNote(noteId, signers.recipient, key, READ, now + DAY);
+      await expect(asOwner.setShareExpiry(noteId, signers.recipient.address, now + 7 * DAY))
+        .to.emit(contract, "ShareExpirySet")
+        .withArgs(signers.owner.address, noteId, signers.recipient.address, now + 7 * DAY);
+      await time.increase(2 * DAY);
+      await contract.connect(signers.recipient).getSharedNoteCID(signers.owner.address, noteId);
+
+      await (await asOwner.setShareExpiry(noteId, signers.recipient.address, (await time.latest()) + 60)).wait();
+      await time.increase(60);
+      await expect(
+        contract.connect(signers.recipient).getSharedNoteCID(signers.owner.address, noteId)
+      ).to.be.revertedWith("Share expired");
+
+      await (await asOwner.setShareExpiry(noteId, signers.recipient.address, 0)).wait();
+      await contract.connect(signers.recipient).getSharedNoteCID(signers.owner.address, noteId);
+
+      // Revoking clears the expiry for the next share
+      await (await asOwner.unshareNote(noteId, signers.recipient.address)).wait();
+      expect(await contract.shareExpiries(signers.owner.address, noteId, signers.recipient.address)).to.equal(0);
+    });
+
+    it("rejects expiries in the past", async function () {
+      const { noteId, key } = await createNote(signers.owner);
+      const past = await time.latest();
+      const enc = await encryptKey(signers.owner, key);
+
+      await expect(
+        contract
+          .connect(signers.owner)
+          .shareNote(
+            noteId,
+            signers.recipient.address,
+            READ,
+            past,
+            enc.handles[0],
+            enc.handles[1],
+            enc.handles[2],
+            enc.handles[3],
+            enc.inputProof
+          )
+      ).to.be.revertedWith("Expiry in past");
+
+      await shareNote(noteId, signers.recipient, key);
+      await expect(
+        contract.connect(signers.owner).setShareExpiry(noteId, signers.recipient.address, past)
+      ).to.be.revertedWith("Expiry in past");
+    });
+
+    it("stops expired editors and leaves expired readers out of new keys", async function () {
+      const { noteId, key } = await createNote(signers.owner);
+      const expiresAt = (await time.latest()) + DAY;
+      await shareNote(noteId, signers.recipient, key, EDIT, expiresAt);
+      await shareNote(noteId, signers.other, key);
+      await time.increaseTo(expiresAt);
+
+      const newKey = randomKey();
+      const publish = (signer: HardhatEthersSigner, chunks: KeyChunks) =>
+        encryptKey(signer, chunks).then((enc) =>
+          contract
+            .connect(signer)
+            .publishNote(
+              signers.owner.address,
+              noteId,
+              "Edited",
+              NEW_CID,
+              enc.handles[0],
+              enc.handles[1],
+              enc.handles[2],
+              enc.handles[3],
+              enc.inputProof
+            )
+        );
+      await expect(publish(signers.recipient, randomKey())).to.be.revertedWith("No edit access");
+
+      await (await publish(signers.owner, newKey)).wait();
+      await expectNoDecryptAccess((await ownKeyChunks(noteId))[0], signers.recipient);
+      const current = await contract.connect(signers.other).getSharedNoteKeyChunks(signers.owner.address, noteId);
+      expect(await decryptChunks([...current], signers.other)).to.deep.equal(newKey);
+    });
+  });
+
+  describe("groups", function () {
+    async function createGroup(name: string, members: HardhatEthersSigner[]) {
+      const asOwner = contract.connect(signers.owner);
+      const addresses = members.map((m) => m.address);
+      const groupId = await asOwner.createGroup.staticCall(name, addresses);
+      await (await asOwner.createGroup(name, addresses)).wait();
+      return Number(groupId);
+    }
+
+    async function shareWithGroup(noteId: number, groupId: number, key: KeyChunks, permission = READ) {
+      const enc = await encryptKey(signers.owner, key);
+      return contract
+        .connect(signers.owner)
+        .shareNoteWithGroup(
+          noteId,
+          groupId,
+          permission,
+          0,
+          enc.handles[0],
+          enc.handles[1],
+          enc.handles[2],
+          enc.handles[3],
+          enc.inputProof
+        );
+    }
+
+    // Group shares arrive as invitations too
+    async function acceptAndCheckKey(reader: HardhatEthersSigner, noteId: number, key: KeyChunks) {
+      await acceptShare(reader, noteId);
+      const shared = await contract.connect(reader).getSharedNoteKeyChunks(signers.owner.address, noteId);
+      expect(await decryptChunks([...shared], reader)).to.deep.equal(key);
+    }
+
+    it("stores named groups per user", async function () {
+      const groupId = await createGroup("Backend team", [signers.recipient, signers.other]);
+      await (await contract.connect(signers.owner).renameGroup(groupId, "Platform team")).wait();
+
+      const [names, members] = await contract.connect(signers.owner).getGroups();
+      expect([...names]).to.deep.equal(["Platform team"]);
+      expect([...members[0]]).to.deep.equal([signers.recipient.address, signers.other.address]);
+      expect([...(await contract.connect(signers.recipient).getGroups()).names]).to.deep.equal([]);
+
+      const asOwner = contract.connect(signers.owner);
+      await expect(asOwner.createGroup("", [])).to.be.revertedWith("Empty name");
+      await expect(asOwner.createGroup("Dup", [signers.other.address, signers.other.address])).to.be.revertedWith(
+        "Already a member"
+      );
+      await expect(asOwner.createGroup("Self", [signers.owner.address])).to.be.revertedWith("Invalid member");
+    });
+
+    it("shares with every member in one transaction", async function () {
+      const { noteId, key } = await createNote(signers.owner);
+      const groupId = await createGroup("Team", [signers.recipient, signers.other]);
+
+      await expect(shareWithGroup(noteId, groupId, key, EDIT))
+        .to.emit(contract, "NoteSharedWithGroup")
+        .withArgs(signers.owner.address, noteId, groupId);
+
+      for (const member of [signers.recipient, signers.other]) {
+        await acceptAndCheckKey(member, noteId, key);
+      }
+      expect((await contract.connect(signers.owner).getSharePermissions(noteId)).map(Number)).to.deep.equal([
+        EDIT,
+        EDIT,
+      ]);
+      expect((await contract.connect(signers.owner).getGroupNotes(groupId)).map(Number)).to.deep.equal([noteId]);
+      await expectNoDecryptAccess(
+        (
+          await contract.connect(signers.recipient).getSharedNoteKeyChunks(signers.owner.address, noteId)
+        )[0],
+        signers.stranger
+      );
+    });
+
+    it("keeps existing individual shares", async function () {
+      const { noteId, key } = await createNote(signers.owner);
+      await shareNote(noteId, signers.recipient, key, EDIT);
+      const groupId = await createGroup("Team", [signers.recipient, signers.other]);
+
+      await (await shareWithGroup(noteId, groupId, key)).wait();
+
+      expect(await contract.sharePermissions(signers.owner.address, noteId, signers.recipient.address)).to.equal(EDIT);
+      expect(await contract.sharePermissions(signers.owner.address, noteId, signers.other.address)).to.equal(READ);
+      expect(await contract.connect(signers.owner).getSharedWithList(noteId)).to.have.length(2);
+    });
+
+    it("shares the group's notes with new members and revokes them from removed ones", async function () {
+      const { noteId, key } = await createNote(signers.owner);
+      const groupId = await createGroup("Team", [signers.recipient]);
+      await (await shareWithGroup(noteId, groupId, key, EDIT)).wait();
+      const asOwner = contract.connect(signers.owner);
+
+      await expect(asOwner.addGroupMember(groupId, signers.other.address))
+        .to.emit(contract, "NoteShared")
+        .withArgs(signers.owner.address, noteId, signers.other.address);
+      await acceptAndCheckKey(signers.other, noteId, key);
+      expect(await contract.sharePermissions(signers.owner.address, noteId, signers.other.address)).to.equal(EDIT);
+
+      await expect(asOwner.removeGroupMember(groupId, signers.recipient.address))
+        .to.emit(contract, "NoteUnshared")
+        .withArgs(signers.owner.address, noteId, signers.recipient.address);
+      await expect(
+        contract.connect(signers.recipient).getSharedNoteCID(signers.owner.address, noteId)
+      ).to.be.revertedWith("No access");
+      expect([...(await asOwner.getGroups()).members[0]]).to.deep.equal([signers.other.address]);
+      await expect(asOwner.removeGroupMember(groupId, signers.recipient.address)).to.be.revertedWith("Not a member");
+    });
+
+    it("only revokes shares made through the group", async function () {
+      const individual = await createNote(signers.owner);
+      const both = await createNote(signers.owner);
+      await shareNote(individual.noteId, signers.recipient, individual.key, EDIT);
+      const team = await createGroup("Team", [signers.recipient]);
+      const leads = await createGroup("Leads", [signers.recipient]);
+      await (await shareWithGroup(individual.noteId, team, individual.key)).wait();
+      await (await shareWithGroup(both.noteId, team, both.key)).wait();
+      await (await shareWithGroup(both.noteId, leads, both.key)).wait();
+      const asOwner = contract.connect(signers.owner);
+      const shared = (noteId: number) => asOwner.isSharedWith(noteId, signers.recipient.address);
+
+      await expect(asOwner.removeGroupMember(team, signers.recipient.address)).to.not.emit(contract, "NoteUnshared");
+      expect(await shared(individual.noteId)).to.equal(true);
+      expect(
+        await contract.sharePermissions(signers.owner.address, individual.noteId, signers.recipient.address)
+      ).to.equal(EDIT);
+      expect(await shared(both.noteId)).to.equal(true);
+
+      await expect(asOwner.removeGroupMember(leads, signers.recipient.address))
+        .to.emit(contract, "NoteUnshared")
+        .withArgs(signers.owner.address, both.noteId, signers.recipient.address);
+      expect(await shared(both.noteId)).to.equal(false);
+      expect(await shared(individual.noteId)).to.equal(true);
+
+      // A share re-made individually after a decline is not held by the old group
+      await (await asOwner.addGroupMember(leads, signers.recipient.address)).wait();
+      await (await contract.connect(signers.recipient).declineShare(signers.owner.address, both.noteId)).wait();
+      await shareNote(both.noteId, signers.recipient, both.key);
+      await (await asOwner.removeGroupMember(leads, signers.recipient.address)).wait();
+      expect(await shared(both.noteId)).to.equal(true);
+    });
+
+    it("caps the notes shared with a group", async function () {
+      const groupId = await createGroup("Team", [signers.recipient]);
+      const max = Number(await contract.MAX_GROUP_NOTES());
+      for (let i = 0; i < max; i++) {
+        const { noteId, key } = await createNote(signers.owner);
+        await (await shareWithGroup(noteId, groupId, key)).wait();
+      }
+      const { noteId, key } = await createNote(signers.owner);
+
+      await expect(shareWithGroup(noteId, groupId, key)).to.be.revertedWith("Too many notes");
+      await (await contract.connect(signers.owner).addGroupMember(groupId, signers.other.address)).wait();
+      expect((await contract.connect(signers.other).getPendingShares()).noteIds).to.have.length(max);
+    });
+
+    it("deletes a group only once its members are removed", async function () {
+      const { noteId, key } = await createNote(signers.owner);
+      await shareNote(noteId, signers.stranger, key, EDIT);
+      const team = await createGroup("Team", [signers.recipient, signers.other, signers.stranger]);
+      const leads = await createGroup("Leads", [signers.other]);
+      await (await shareWithGroup(noteId, team, key)).wait();
+      await (await shareWithGroup(noteId, leads, key)).wait();
+      const asOwner = contract.connect(signers.owner);
+
+      await expect(asOwner.deleteGroup(team)).to.be.revertedWith("Group not empty");
+      for (const member of [signers.recipient, signers.other, signers.stranger]) {
+        await (await asOwner.removeGroupMember(team, member.address)).wait();
+      }
+      await expect(asOwner.deleteGroup(team)).to.emit(contract, "GroupDeleted").withArgs(signers.owner.address, team);
+
+      // Only the share held through the deleted group alone is gone
+      expect(await asOwner.isSharedWith(noteId, signers.recipient.address)).to.equal(false);
+      expect(await asOwner.isSharedWith(noteId, signers.stranger.address)).to.equal(true);
+      expect(await asOwner.isSharedWith(noteId, signers.other.address)).to.equal(true);
+      expect([...(await asOwner.getGroups()).names]).to.deep.equal(["", "Leads"]);
+      await expect(shareWithGroup(noteId, team, key)).to.be.revertedWith("Group deleted");
+      await expect(shareWithGroup(noteId, leads + 1, key)).to.be.revertedWith("Group not found");
+
+      // Nothing is left holding the share through the deleted group
+      await (await asOwner.removeGroupMember(leads, signers.other.address)).wait();
+      expect(await asOwner.isSharedWith(noteId, signers.other.address)).to.equal(false);
+    });
+  });
+
+  describe("share inbox", function () {
+    it("holds new shares as invitations until accepted", async function () {
+      const { noteId, key } = await createNote(signers.owner, "Invite");
+      await shareNote(noteId, signers.recipient, key, EDIT, 0, false);
+      const asRecipient = contract.connect(signers.recipient);
+      const owner = signers.owner.address;
+
+      const pending = await asRecipient.getPendingShares();
+      expect([...pending.owners]).to.deep.equal([owner]);
+      expect([...pending.titles]).to.deep.equal(["Invite"]);
+      expect([...(await asRecipient.getReceivedNotes()).owners]).to.deep.equal([]);
+      expect([...(await contract.connect(signers.owner).getShareAcceptance(noteId))]).to.deep.equal([false]);
+      await expect(asRecipient.getSharedNoteKeyChunks(owner, noteId)).to.be.revertedWith("Not accepted");
+      await expect(asRecipient.getSharedNoteCID(owner, noteId)).to.be.revertedWith("Not accepted");
+      await expect(asRecipient.getSharedNoteMetadata(owner, noteId)).to.be.revertedWith("Not accepted");
+
+      await expect(asRecipient.acceptShare(owner, noteId))
+        .to.emit(contract, "ShareAccepted")
+        .withArgs(owner, noteId, signers.recipient.address);
+
+      expect([...(await asRecipient.getPendingShares()).owners]).to.deep.equal([]);
+      expect((await asRecipient.getReceivedNotes()).noteIds.map(Number)).to.deep.equal([noteId]);
+      expect([...(await contract.connect(signers.owner).getShareAcceptance(noteId))]).to.deep.equal([true]);
+      const shared = await asRecipient.getSharedNoteKeyChunks(owner, noteId);
+      expect(await decryptChunks([...shared], signers.recipient)).to.deep.equal(key);
+      await expect(asRecipient.acceptShare(owner, noteId)).to.be.revertedWith("No invitation");
+    });
+
+    it("keeps pending invitees current on key rotation but does not let them edit", async function () {
+      const { noteId, key } = await createNote(signers.owner);
+      await shareNote(noteId, signers.recipient, key, EDIT, 0, false);
+      const newKey = randomKey();
+      const publish = async (signer: HardhatEthersSigner, chunks: KeyChunks) => {
+        const enc = await encryptKey(signer, chunks);
+        return contract
+          .connect(signer)
+          .publishNote(
+            signers.owner.address,
+            noteId,
+            "Edited",
+            NEW_CID,
+            enc.handles[0],
+            enc.handles[1],
+            enc.handles[2],
+            enc.handles[3],
+            enc.inputProof
+          );
+      };
+
+      await expect(publish(signers.recipient, randomKey())).to.be.revertedWith("No edit access");
+      await (await publish(signers.owner, newKey)).wait();
+
+      await acceptShare(signers.recipient, noteId);
+      const shared = await contract.connect(signers.recipient).getSharedNoteKeyChunks(signers.owner.address, noteId);
+      expect(await decryptChunks([...shared], signers.recipient)).to.deep.equal(newKey);
+    });
+
+    it("drops a declined invitation on both sides", async function () {
+      const { noteId, key } = await createNote(signers.owner);
+      await shareNote(noteId, signers.recipient, key, READ, 0, false);
+      const asRecipient = contract.connect(signers.recipient);
+
+      await expect(asRecipient.declineShare(signers.owner.address, noteId))
+        .to.emit(contract, "ShareDeclined")
+        .withArgs(signers.owner.address, noteId, signers.recipient.address);
+
+      expect([...(await asRecipient.getPendingShares()).owners]).to.deep.equal([]);
+      expect([...(await contract.connect(signers.owner).getSharedWithList(noteId))]).to.deep.equal([]);
+      await expect(asRecipient.getSharedNoteCID(signers.owner.address, noteId)).to.be.revertedWith("No access");
+      await expect(asRecipient.declineShare(signers.owner.address, noteId)).to.be.revertedWith("No invitation");
+
+      // The owner may invite again
+      await shareNote(noteId, signers.recipient, key);
+    });
+
+    it("caps pending invitations per sender", async function () {
+      const max = Number(await contract.MAX_PENDING_PER_SENDER());
+      const notes = [];
+      for (let i = 0; i <= max; i++) notes.push(await createNote(signers.owner));
+      for (const { noteId, key } of notes.slice(0, max)) {
+        await shareNote(noteId, signers.recipient, key, READ, 0, false);
+      }
+      const last = notes[max];
+
+      await expect(shareNote(last.noteId, signers.recipient, last.key, READ, 0, false)).to.be.revertedWith(
+        "Too many pending"
+      );
+
+      // Other senders still reach the inbox
+      const fromOther = await createNote(signers.other);
+      const enc = await encryptKey(signers.other, fromOther.key);
+      await (
+        await contract
+          .connect(signers.other)
+          .shareNote(
+            fromOther.noteId,
+            signers.recipient.address,
+            READ,
+            0,
+            enc.handles[0],
+            enc.handles[1],
+            enc.handles[2],
+            enc.handles[3],
+            enc.inputProof
+          )
+      ).wait();
+      expect((await contract.connect(signers.recipient).getPendingShares()).owners).to.have.length(max + 1);
+
+      // Accepting or declining one frees a slot for that sender
+      await acceptShare(signers.recipient, notes[0].noteId);
+      await (await contract.connect(signers.recipient).declineShare(signers.owner.address, notes[1].noteId)).wait();
+      await shareNote(last.noteId, signers.recipient, last.key, READ, 0, false);
+      await shareNote(notes[1].noteId, signers.recipient, notes[1].key, READ, 0, false);
+      await expect(shareNote(notes[1].noteId, signers.recipient, notes[1].key, READ, 0, false)).to.be.revertedWith(
+        "Already shared"
+      );
+    });
+
+    it("blocks a sender, declining their pending invitations only", async function () {
+      const { noteId, key } = await createNote(signers.owner);
+      const second = await createNote(signers.owner);
+      const fromOther = await createNote(signers.other);
+      await shareNote(noteId, signers.recipient, key, READ, 0, false);
+      await shareNote(second.noteId, signers.recipient, second.key, READ, 0, false);
+      const enc = await encryptKey(signers.other, fromOther.key);
+      await (
+        await contract
+          .connect(signers.other)
+          .shareNote(
+            fromOther.noteId,
+            signers.recipient.address,
+            READ,
+            0,
+            enc.handles[0],
+            enc.handles[1],
+            enc.handles[2],
+            enc.handles[3],
+            enc.inputProof
+          )
+      ).wait();
+      const asRecipient = contract.connect(signers.recipient);
+
+      await expect(asRecipient.blockSender(signers.owner.address))
+        .to.emit(contract, "SenderBlocked")
+        .withArgs(signers.recipient.address, signers.owner.address);
+
+      expect([...(await asRecipient.getPendingShares()).owners]).to.deep.equal([signers.other.address]);
+      expect([...(await asRecipient.getBlockedSenders())]).to.deep.equal([signers.owner.address]);
+      expect(await contract.connect(signers.owner).getSharedWithList(noteId)).to.have.length(0);
+      const reshare = await encryptKey(signers.owner, key);
+      await expect(
+        contract
+          .connect(signers.owner)
+          .shareNote(
+            noteId,
+            signers.recipient.address,
+            READ,
+            0,
+            reshare.handles[0],
+            reshare.handles[1],
+            reshare.handles[2],
+            reshare.handles[3],
+            reshare.inputProof
+          )
+      ).to.be.revertedWith("Blocked");
+
+      // Group shares skip members who blocked the owner instead of failing
+      const groupId = Number(
+        await contract.connect(signers.owner).createGroup.staticCall("Team", [signers.recipient.address])
+      );
+      await (await contract.connect(signers.owner).createGroup("Team", [signers.recipient.address])).wait();
+      await (
+        await contract
+          .connect(signers.owner)
+          .shareNoteWithGroup(
+            noteId,
+            groupId,
+            READ,
+            0,
+            reshare.handles[0],
+            reshare.handles[1],
+            reshare.handles[2],
+            reshare.handles[3],
+            reshare.inputProof
+          )
+      ).wait();
+      expect(await contract.connect(signers.owner).getSharedWithList(noteId)).to.have.length(0);
+
+      await (await asRecipient.unblockSender(signers.owner.address)).wait();
+      expect([...(await asRecipient.getBlockedSenders())]).to.deep.equal([]);
+      await shareNote(noteId, signers.recipient, key);
+      await expect(asRecipient.unblockSender(signers.owner.address)).to.be.revertedWith("Not blocked");
+    });
+  });
+
+  describe("delete / restore / purge", function () {
+    it("keeps the active note counter in sync", async function () {
+      const { noteId } = await createNote(signers.owner);
+      await createNote(signers.owner);
+      const asOwner = contract.connect(signers.owner);
+
+      await (await asOwner.deleteNote(noteId)).wait();
+      expect(await asOwner.getActiveNoteCount()).to.equal(1n);
+      expect(await asOwner.getTotalNotes()).to.equal(2n);
+      await expect(asOwner.deleteNote(noteId)).to.be.revertedWith("Already deleted");
+
+      await expect(asOwner.restoreNote(noteId))
+        .to.emit(contract, "NoteRestored")
+        .withArgs(signers.owner.address, noteId);
+      expect(await asOwner.getActiveNoteCount()).to.equal(2n);
+      await expect(asOwner.restoreNote(noteId)).to.be.revertedWith("Not deleted");
+    });
+
+    it("does not let other users delete or restore", async function () {
+      const { noteId } = await createNote(signers.owner);
+
+      await expect(contract.connect(signers.stranger).deleteNote(noteId)).to.be.revertedWith("Not found");
+      await expect(contract.connect(signers.stranger).restoreNote(noteId)).to.be.revertedWith("Not found");
+    });
+
+    it("purges only deleted notes and revokes every share", async function () {
+      const { noteId, key } = await createNote(signers.owner, "Doomed");
+      await shareNote(noteId, signers.recipient, key);
+      await shareNote(noteId, signers.other, key);
+      const asOwner = contract.connect(signers.owner);
+
+      await expect(asOwner.purgeNote(noteId)).to.be.revertedWith("Not deleted");
+      await (await asOwner.deleteNote(noteId)).wait();
+      await expect(asOwner.purgeNote(noteId)).to.emit(contract, "NotePurged").withArgs(signers.owner.address, noteId);
+
+      const metadata = await asOwner.getMyNotesMetadata();
+      expect(metadata.titles[noteId]).to.equal("");
+      expect(metadata.purgedFlags[noteId]).to.equal(true);
+      expect(await asOwner.getNoteCID(noteId)).to.equal("0x");
+      expect(await ownKeyChunks(noteId)).to.deep.equal(Array(4).fill(ethers.ZeroHash));
+      expect([...(await asOwner.getSharedWithList(noteId))]).to.deep.equal([]);
+      expect([...(await contract.connect(signers.recipient).getReceivedNotes()).owners]).to.deep.equal([]);
+
+      await expect(asOwner.restoreNote(noteId)).to.be.revertedWith("Purged");
+      await expect(asOwner.purgeNote(noteId)).to.be.revertedWith("Already purged");
+      expect(await asOwner.getRevisionTimestamps(noteId)).to.deep.equal([]);
+    });
+  });
+
+  describe("revisions", function () {
+    async function updateContent(noteId: number, cid: Uint8Array, key: KeyChunks) {
+      const enc = await encryptKey(signers.owner, key);
+      await (
+        await contract
+          .connect(signers.owner)
+          .updateContent(noteId, cid, enc.handles[0], enc.handles[1], enc.handles[2], enc.handles[3], enc.inputProof)
+      ).wait();
+    }
+
+    async function revisionKey(noteId: number, index: number) {
+      const revision = await contract.connect(signers.owner).getRevision(noteId, index);
+      return decryptChunks([revision.k1, revision.k2, revision.k3, revision.k4], signers.owner);
+    }
+
+    it("records every content version, oldest first", async function () {
+      const { noteId, key } = await createNote(signers.owner);
+      const newKey = randomKey();
+      await updateContent(noteId, NEW_CID, newKey);
+      const asOwner = contract.connect(signers.owner);
+
+      const timestamps = await asOwner.getRevisionTimestamps(noteId);
+      expect(timestamps).to.have.length(2);
+      expect(timestamps[1] >= timestamps[0]).to.equal(true);
+      expect((await asOwner.getRevision(noteId, 0)).ipfsCid).to.equal(ethers.hexlify(CID));
+      expect((await asOwner.getRevision(noteId, 1)).ipfsCid).to.equal(ethers.hexlify(NEW_CID));
+      // Old key handles stay decryptable after the note moved on
+      expect(await revisionKey(noteId, 0)).to.deep.equal(key);
+      expect(await revisionKey(noteId, 1)).to.deep.equal(newKey);
+    });
+
+    it("does not record title-only updates", async function () {
+      const { noteId } = await createNote(signers.owner);
+      await (await contract.connect(signers.owner).updateTitle(noteId, "Renamed")).wait();
+
+      expect(await contract.connect(signers.owner).getRevisionTimestamps(noteId)).to.have.length(1);
+    });
+
+    it("tells recipients when the current content was published", async function () {
+      const { noteId, key } = await createNote(signers.owner);
+      await shareNote(noteId, signers.recipient, key);
+      const [published] = await contract.connect(signers.owner).getRevisionTimestamps(noteId);
+      await time.increase(24 * 60 * 60);
+      await (await contract.connect(signers.owner).updateTitle(noteId, "Renamed")).wait();
+
+      const metadata = await contract.connect(signers.recipient).getSharedNoteMetadata(signers.owner.address, noteId);
+      expect(metadata.revisedAt).to.equal(published);
+      expect(metadata.updatedAt > published).to.equal(true);
+    });
+
+    it("clears a long history over several purges", async function () {
+      const { noteId, key } = await createNote(signers.owner);
+      const max = Number(await contract.MAX_PURGED_REVISIONS());
+      for (let i = 0; i < max; i++) await updateContent(noteId, NEW_CID, key);
+      const asOwner = contract.connect(signers.owner);
+      await (await asOwner.deleteNote(noteId)).wait();
+
+      await expect(asOwner.purgeNote(noteId)).to.emit(contract, "NotePurged");
+      expect(await asOwner.getRevisionTimestamps(noteId)).to.have.length(1);
+      await expect(asOwner.purgeNote(noteId)).not.to.emit(contract, "NotePurged");
+      expect(await asOwner.getRevisionTimestamps(noteId)).to.deep.equal([]);
+      await expect(asOwner.purgeNote(noteId)).to.be.revertedWith("Already purged");
+    });
+
+    it("keeps history private to the owner", async function () {
+      const { noteId, key } = await createNote(signers.owner);
+      await shareNote(noteId, signers.recipient, key);
+      const revision = await contract.connect(signers.owner).getRevision(noteId, 0);
+
+      await expect(contract.connect(signers.owner).getRevision(noteId, 1)).to.be.revertedWith("No revision");
+      await expect(contract.connect(signers.stranger).getRevision(noteId, 0)).to.be.revertedWith("Not found");
+      await expectNoDecryptAccess(revision.k1, signers.recipient);
+    });
+  });
+
+  describe("categories", function () {
+    it("round-trips an encrypted note category", async function () {
+      const { noteId } = await createNote(signers.owner);
+      const enc = await fhevm.createEncryptedInput(address, signers.owner.address).add8(5).encrypt();
+
+      await (await contract.connect(signers.owner).setNoteCategory(noteId, enc.handles[0], enc.inputProof)).wait();
+
+      const handle = await contract.connect(signers.owner).getNoteCategory(noteId);
+      expect(await fhevm.userDecryptEuint(FhevmType.euint8, handle, address, signers.owner)).to.equal(5n);
+      await expectNoDecryptAccess(handle, signers.stranger, FhevmType.euint8);
+    });
+
+    it("lists category handles by note id, zero when never set", async function () {
+      await createNote(signers.owner);
+      const { noteId } = await createNote(signers.owner);
+      const enc = await fhevm.createEncryptedInput(address, signers.owner.address).add8(2).encrypt();
+      await (await contract.connect(signers.owner).setNoteCategory(noteId, enc.handles[0], enc.inputProof)).wait();
+
+      const handles = await contract.connect(signers.owner).getMyNoteCategories();
+      expect(handles).to.have.length(2);
+      expect(handles[0]).to.equal(ethers.ZeroHash);
+      expect(await fhevm.userDecryptEuint(FhevmType.euint8, handles[1], address, signers.owner)).to.equal(2n);
+    });
+
+    it("stores names, colors and order and validates the order", async function () {
+      const names = ["A", "B", "C", "D", "E", "F", "G", "H"] as const;
+      const colors = [0xff0000, 0, 0, 0, 0, 0, 0, 0x00ff00] as const;
+      const order = [7, 6, 5, 4, 3, 2, 1, 0] as const;
+      const asOwner = contract.connect(signers.owner);
+
+      await expect(asOwner.setCategories([...names], [...colors], [0, 0, 1, 2, 3, 4, 5, 6])).to.be.revertedWith(
+        "Invalid order"
+      );
+      await expect(asOwner.setCategories([...names], [...colors], [...order]))
+        .to.emit(contract, "CategoriesUpdated")
+        .withArgs(signers.owner.address);
+
+      const stored = await contract.getCategories(signers.owner.address);
+      expect([...stored.names]).to.deep.equal([...names]);
+      expect(stored.colors.map(Number)).to.deep.equal([...colors]);
+      expect(stored.order.map(Number)).to.deep.equal([...order]);
+    });
+  });
+});
@@ -0,0 +1,61 @@
+import { expect } from "chai";
+
+import {
+  addRecent,
+  contactLabel,
+  emptyAddressBook,
+  loadAddressBook,
+  saveAddressBook,
+  setContact,
+} from "../src/lib/addressBook";
+
+const ALICE = "0x1111111111111111111111111111111111111111";
+const BOB = "0x2222222222222222222222222222222222222222";
+
+function memoryStorage() {
+  const items = new Map<string, string>();
+  return {
+    getItem: (key: string) => items.get(key) ?? null,
+    setItem: (key: string, value: string) => void items.set(key, value),
+  } as unknown as Storage;
+}
+
+describe("addressBook", function () {
+  it("labels, relabels and removes contacts case-insensitively", function () {
+    let book = setContact(emptyAddressBook(), ALICE, " Alice ");
+    expect(contactLabel(book, ALICE.toUpperCase().replace("0X", "0x"))).to.equal("Alice");
+
+    book = setContact(book, ALICE, "Alice (work)");
+    expect(Object.keys(book.contacts)).to.have.length(1);
+    expect(contactLabel(book, ALICE)).to.equal("Alice (work)");
+
+    book = setContact(book, ALICE, "");
+    expect(contactLabel(book, ALICE)).to.equal(undefined);
+  });
+
+  it("keeps the last five distinct recipients, most recent first", function () {
+    let book = emptyAddressBook();
+    for (let i = 1; i <= 6; i++) book = addRecent(book, `0x${String(i).repeat(40)}`);
+    book = addRecent(book, "0x" + "3".repeat(40));
+
+    expect(book.recent).to.deep.equal(["3", "6", "5", "4", "2"].map((d) => "0x" + d.repeat(40)));
+  });
+
+  it("persists per wallet scope", function () {
+    const storage = memoryStorage();
+    const book = addRecent(setContact(emptyAddressBook(), ALICE, "Alice"), BOB);
+
+    saveAddressBook("11155111:0xaaa", book, storage);
+
+    expect(loadAddressBook("11155111:0xaaa", storage)).to.deep.equal(book);
+    expect(loadAddressBook("11155111:0xbbb", storage)).to.deep.equal(emptyAddressBook());
+    expect(loadAddressBook(null, storage)).to.deep.equal(emptyAddressBook());
+  });
+
+  it("ignores a corrupt stored book", function () {
+    const storage = memoryStorage();
+    storage.setItem("notepad-address-book:scope", "{not json");
+
+    expect(loadAddressBook("scope", storage)).to.deep.equal(emptyAddressBook());
+  });
+});
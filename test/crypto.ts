@@ -0,0 +1,285 @@
+import { expect } from "chai";
+
+import {
+  ENVELOPE_VERSION,
+  aesDecrypt,
+  aesEncrypt,
+  bigIntToKeyChunk,
+  decryptTitle,
+  encodeNoteContext,
+  encryptTitle,
+  generateAESKey,
+  isEncryptedTitle,
+  isEnvelope,
+  joinKey,
+  keyChunkToBigInt,
+  openEnvelope,
+  parseEnvelope,
+  splitKey,
+} from "../src/lib/crypto";
+
+const MAX_UINT64 = (1n << 64n) - 1n;
+
+const OWNER = "0x1111111111111111111111111111111111111111";
+const CONTRACT = "0x2222222222222222222222222222222222222222";
+const CONTEXT = { chainId: 31337, contract: CONTRACT, owner: OWNER, noteId: 3 };
+
+// How notes were written before the envelope: IV(12) || AES-GCM ciphertext
+async function legacyEncrypt(plaintext: string, key: CryptoKey) {
+  const iv = crypto.getRandomValues(new Uint8Array(12));
+  const ciphertext = new Uint8Array(
+    await crypto.subtle.encrypt({ name: "AES-GCM", iv }, key, new TextEncoder().encode(plaintext))
+  );
+  const combined = new Uint8Array(iv.length + ciphertext.length);
+  combined.set(iv);
+  combined.set(ciphertext, iv.length);
+  return combined;
+}
+
+async function expectRejects(promise: Promise<unknown>) {
+  let resolved = false;
+  try {
+    await promise;
+    resolved = true;
+  } catch {
+    // expected
+  }
+  expect(resolved, "expected promise to reject").to.equal(false);
+}
+
+describe("crypto", function () {
+  describe("key chunks", function () {
+    it("splits big-endian and joins back", function () {
+      const key = Uint8Array.from({ length: 32 }, (_, i) => i);
+      const chunks = splitKey(key);
+
+      expect(chunks).to.have.length(4);
+      expect(chunks[0]).to.equal(0x0001020304050607n);
+      expect(chunks[3]).to.equal(0x18191a1b1c1d1e1fn);
+      expect(joinKey(chunks)).to.deep.equal(key);
+    });
+
+    it("handles all-zero and all-0xFF keys", function () {
+      const zero = new Uint8Array(32);
+      expect(splitKey(zero)).to.deep.equal([0n, 0n, 0n, 0n]);
+      expect(joinKey([0n, 0n, 0n, 0n])).to.deep.equal(zero);
+
+      const max = new Uint8Array(32).fill(0xff);
+      expect(splitKey(max)).to.deep.equal([MAX_UINT64, MAX_UINT64, MAX_UINT64, MAX_UINT64]);
+      expect(joinKey(splitKey(max))).to.deep.equal(max);
+    });
+
+    it("keeps leading zero bytes inside a chunk", function () {
+      const key = new Uint8Array(32);
+      key[7] = 1; // chunk 1 = 1
+      key[8 + 7] = 0xff;
+
+      expect(splitKey(key).slice(0, 2)).to.deep.equal([1n, 0xffn]);
+      expect(bigIntToKeyChunk(1n)).to.deep.equal(Uint8Array.from([0, 0, 0, 0, 0, 0, 0, 1]));
+    });
+
+    it("round-trips random keys", function () {
+      for (let i = 0; i < 20; i++) {
+        const key = crypto.getRandomValues(new Uint8Array(32));
+        expect(joinKey(splitKey(key))).to.deep.equal(key);
+      }
+    });
+
+    it("accepts decrypted values as number, string or bigint", function () {
+      expect(joinKey([1, "2", 3n, "0xff"]).slice(0, 8)).to.deep.equal(bigIntToKeyChunk(1n));
+      expect(keyChunkToBigInt(joinKey([1, "2", 3n, "0xff"]), 24)).to.equal(0xffn);
+    });
+
+    it("rejects out-of-range chunks, missing chunks and wrong key sizes", function () {
+      expect(() => bigIntToKeyChunk(MAX_UINT64 + 1n)).to.throw(RangeError);
+      expect(() => bigIntToKeyChunk(-1n)).to.throw(RangeError);
+      expect(() => joinKey([1n, 2n, 3n])).to.throw(RangeError);
+      expect(() => joinKey([1n, null, 3n, 4n] as unknown as bigint[])).to.throw("Key chunk 2 is missing");
+      expect(() => splitKey(new Uint8Array(31))).to.throw(RangeError);
+    });
+  });
+
+  describe("envelope", function () {
+    let key: CryptoKey;
+
+    before(async function () {
+      key = await generateAESKey();
+    });
+
+    it("round-trips plaintext and metadata", async function () {
+      const data = await aesEncrypt("hello 🔐", key, { metadata: { noteId: 3 }, context: CONTEXT });
+
+      expect(isEnvelope(data)).to.equal(true);
+      const opened = await openEnvelope(data, key, { context: CONTEXT });
+      expect(opened).to.deep.equal({
+        plaintext: "hello 🔐",
+        metadata: { noteId: 3 },
+        version: ENVELOPE_VERSION,
+        bound: true,
+      });
+      expect(await aesDecrypt(data, key, { context: CONTEXT })).to.equal("hello 🔐");
+    });
+
+    it("describes itself in the header", async function () {
+      const header = parseEnvelope(await aesEncrypt("", key, { context: CONTEXT }));
+
+      expect(header.version).to.equal(ENVELOPE_VERSION);
+      expect(header.iv).to.have.length(12);
+      expect(header.metadata).to.equal(null);
+    });
+
+    it("still reads legacy IV || ciphertext blobs", async function () {
+      const legacy = await legacyEncrypt("old note", key);
+
+      expect(isEnvelope(legacy)).to.equal(false);
+      expect(await openEnvelope(legacy, key, { context: CONTEXT })).to.deep.equal({
+        plaintext: "old note",
+        metadata: null,
+        version: 0,
+        bound: false,
+      });
+    });
+
+    it("still reads unbound version 1 envelopes", async function () {
+      const data = await aesEncrypt("v1 note", key);
+
+      expect(parseEnvelope(data).version).to.equal(1);
+      const opened = await openEnvelope(data, key, { context: CONTEXT });
+      expect(opened).to.include({ plaintext: "v1 note", version: 1, bound: false });
+    });
+
+    it("detects a flipped ciphertext byte", async function () {
+      const data = await aesEncrypt("secret", key);
+      data[data.length - 1] ^= 0x01;
+
+      await expectRejects(aesDecrypt(data, key));
+    });
+
+    it("detects tampered metadata and header fields", async function () {
+      const data = await aesEncrypt("secret", key, { metadata: { noteId: 3 } });
+      const { iv } = parseEnvelope(data);
+      const metadataOffset = 9 + iv.length;
+
+      const metadata = data.slice();
+      // {"noteId":3} -> {"noteId":4}
+      metadata[metadataOffset + 10] = "4".charCodeAt(0);
+      expect(parseEnvelope(metadata).metadata).to.deep.equal({ noteId: 4 });
+      await expectRejects(aesDecrypt(metadata, key));
+
+      const version = data.slice();
+      version[4] = 2;
+      await expectRejects(aesDecrypt(version, key));
+
+      const ivByte = data.slice();
+      ivByte[9] ^= 0x01;
+      await expectRejects(aesDecrypt(ivByte, key));
+    });
+
+    it("rejects a downgraded version byte", async function () {
+      const data = await aesEncrypt("secret", key, { context: CONTEXT });
+      data[4] = 1;
+
+      await expectRejects(aesDecrypt(data, key, { context: CONTEXT }));
+    });
+
+    it("rejects truncated data and the wrong key", async function () {
+      const data = await aesEncrypt("secret", key);
+
+      await expectRejects(aesDecrypt(data.slice(0, 6), key));
+      await expectRejects(aesDecrypt(data.slice(0, data.length - 4), key));
+      await expectRejects(aesDecrypt(data, await generateAESKey()));
+    });
+  });
+
+  describe("note binding", function () {
+    let key: CryptoKey;
+    let data: Uint8Array;
+
+    before(async function () {
+      key = await generateAESKey();
+      data = await aesEncrypt("bound", key, { context: CONTEXT });
+    });
+
+    it("opens under the same context, whatever the address casing", async function () {
+      const context = { ...CONTEXT, owner: OWNER.toUpperCase().replace("0X", "0x"), noteId: 3n };
+      expect(await aesDecrypt(data, key, { context })).to.equal("bound");
+    });
+
+    it("rejects ciphertext moved to another note", async function () {
+      await expectRejects(aesDecrypt(data, key, { context: { ...CONTEXT, noteId: 4 } }));
+      await expectRejects(
+        aesDecrypt(data, key, { context: { ...CONTEXT, owner: "0x3333333333333333333333333333333333333333" } })
+      );
+      await expectRejects(
+        aesDecrypt(data, key, { context: { ...CONTEXT, contract: "0x4444444444444444444444444444444444444444" } })
+      );
+      await expectRejects(aesDecrypt(data, key, { context: { ...CONTEXT, chainId: 11155111 } }));
+    });
+
+    it("requires a context to open a bound envelope", async function () {
+      await expectRejects(aesDecrypt(data, key));
+    });
+
+    it("refuses version 1 and legacy blobs in strict mode", async function () {
+      const refused = async (blob: Uint8Array) => {
+        let message = "";
+        try {
+          await openEnvelope(blob, key, { context: CONTEXT, strict: true });
+        } catch (err) {
+          message = (err as Error).message;
+        }
+        return message;
+      };
+
+      expect(await refused(await aesEncrypt("v1 note", key))).to.equal(
+        "Unbound ciphertext refused - this note must be bound"
+      );
+      expect(await refused(await legacyEncrypt("old note", key))).to.equal(
+        "Unbound ciphertext refused - this note must be bound"
+      );
+      expect(await openEnvelope(data, key, { context: CONTEXT, strict: true })).to.include({
+        plaintext: "bound",
+        bound: true,
+      });
+    });
+
+    it("rejects an incomplete context", function () {
+      expect(() => encodeNoteContext({ ...CONTEXT, owner: "" })).to.throw("Note context needs");
+      expect(() => encodeNoteContext({ ...CONTEXT, noteId: undefined as unknown as number })).to.throw();
+    });
+  });
+
+  describe("titles", function () {
+    let key: CryptoKey;
+
+    before(async function () {
+      key = await generateAESKey();
+    });
+
+    it("round-trips a title through the on-chain string form", async function () {
+      const stored = await encryptTitle("Salary negotiation ✍️", key, CONTEXT);
+
+      expect(isEncryptedTitle(stored)).to.equal(true);
+      expect(stored).to.not.include("Salary");
+      expect(await decryptTitle(stored, key, CONTEXT)).to.equal("Salary negotiation ✍️");
+    });
+
+    it("leaves plaintext titles alone", function () {
+      expect(isEncryptedTitle("Groceries")).to.equal(false);
+      expect(isEncryptedTitle("")).to.equal(false);
+    });
+
+    it("rejects a title moved to another note", async function () {
+      const stored = await encryptTitle("secret", key, CONTEXT);
+
+      await expectRejects(decryptTitle(stored, key, { ...CONTEXT, noteId: 4 }));
+    });
+
+    it("rejects a content envelope passed off as a title", async function () {
+      const content = await aesEncrypt("body", key, { context: CONTEXT });
+      const forged = "cne:" + btoa(String.fromCharCode(...content));
+
+      await expectRejects(decryptTitle(forged, key, CONTEXT));
+    });
+  });
+});
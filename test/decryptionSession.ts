@@ -0,0 +1,132 @@
+import { expect } from "chai";
+
+import {
+  clearDecryptionSessions,
+  getDecryptionSession,
+  invalidateDecryptionSession,
+  isSessionRejected,
+} from "../src/lib/decryptionSession";
+
+const ALICE = "0x1111111111111111111111111111111111111111";
+const CONTRACT = "0x3333333333333333333333333333333333333333";
+const SEPOLIA = 11155111;
+const DAY = 24 * 60 * 60 * 1000;
+
+// Stands in for the relayer SDK instance and an ethers signer
+function stubWallet() {
+  const calls = { sign: 0 };
+  let hold = false;
+  let release: (() => void) | null = null;
+  const relayer = {
+    generateKeypair: () => ({ publicKey: `public-${calls.sign}`, privateKey: `private-${calls.sign}` }),
+    createEIP712: (publicKey: string) => ({
+      domain: {},
+      types: { UserDecryptRequestVerification: [] },
+      message: { publicKey },
+    }),
+  };
+  const signer = {
+    getAddress: async () => ALICE,
+    signTypedData: async () => {
+      calls.sign++;
+      if (hold) await new Promise<void>((resolve) => (release = resolve));
+      return "0x" + "ab".repeat(65);
+    },
+  };
+  return {
+    calls,
+    params: { relayer, signer, chainId: SEPOLIA, contractAddresses: [CONTRACT] },
+    holdSignature: () => (hold = true),
+    releaseSignature: () => release?.(),
+  };
+}
+
+describe("decryptionSession", function () {
+  const realNow = Date.now;
+
+  beforeEach(async function () {
+    await clearDecryptionSessions();
+  });
+
+  afterEach(function () {
+    Date.now = realNow;
+  });
+
+  it("reuses one signature across decrypts, including concurrent ones", async function () {
+    const wallet = stubWallet();
+
+    const [first, second] = await Promise.all([
+      getDecryptionSession(wallet.params),
+      getDecryptionSession(wallet.params),
+    ]);
+    const third = await getDecryptionSession(wallet.params);
+
+    expect(wallet.calls.sign).to.equal(1);
+    expect(second).to.equal(first);
+    expect(third).to.equal(first);
+    expect(first.userAddress).to.equal(ALICE);
+    expect(first.signature).to.not.match(/^0x/);
+  });
+
+  it("signs again once the session is within an hour of expiry", async function () {
+    const wallet = stubWallet();
+    const start = realNow();
+    await getDecryptionSession(wallet.params);
+
+    Date.now = () => start + 9 * DAY;
+    await getDecryptionSession(wallet.params);
+    expect(wallet.calls.sign).to.equal(1);
+
+    Date.now = () => start + 10 * DAY - DAY / 48;
+    const renewed = await getDecryptionSession(wallet.params);
+    expect(wallet.calls.sign).to.equal(2);
+    expect(renewed.expiresAt).to.equal(Math.floor((Date.now() + 10 * DAY) / 1000));
+  });
+
+  it("signs again after the session is invalidated or cleared", async function () {
+    const wallet = stubWallet();
+    await getDecryptionSession(wallet.params);
+
+    await invalidateDecryptionSession({ chainId: SEPOLIA, userAddress: ALICE, contractAddresses: [CONTRACT] });
+    await getDecryptionSession(wallet.params);
+    expect(wallet.calls.sign).to.equal(2);
+
+    await clearDecryptionSessions();
+    await getDecryptionSession(wallet.params);
+    expect(wallet.calls.sign).to.equal(3);
+  });
+
+  it("does not keep a signature that completes after a clear", async function () {
+    const wallet = stubWallet();
+    wallet.holdSignature();
+    const pending = getDecryptionSession(wallet.params);
+    await new Promise((resolve) => setImmediate(resolve));
+
+    await clearDecryptionSessions();
+    wallet.releaseSignature();
+    await pending;
+
+    const wallet2 = stubWallet();
+    await getDecryptionSession(wallet2.params);
+    expect(wallet2.calls.sign).to.equal(1);
+  });
+
+  it("only treats a refused authorization as rejecting the session", function () {
+    const httpError = (status: number) =>
+      Object.assign(new Error(`User decrypt failed: relayer respond with HTTP code ${status}`), {
+        cause: { code: "RELAYER_FETCH_ERROR", status },
+      });
+
+    expect(isSessionRejected(httpError(400))).to.equal(true);
+    expect(isSessionRejected(httpError(403))).to.equal(true);
+    expect(isSessionRejected(new Error("Invalid EIP-712 signature!"))).to.equal(true);
+    expect(isSessionRejected(new Error("User decrypt request has expired"))).to.equal(true);
+
+    expect(isSessionRejected(httpError(429))).to.equal(false);
+    expect(isSessionRejected(httpError(503))).to.equal(false);
+    expect(isSessionRejected(new Error("User decrypt failed: Relayer didn't respond"))).to.equal(false);
+    const aclError = new Error(`User ${ALICE} is not authorized to user decrypt handle 0x01!`);
+    expect(isSessionRejected(aclError)).to.equal(false);
+    expect(isSessionRejected(undefined)).to.equal(false);
+  });
+});
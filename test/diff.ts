@@ -0,0 +1,36 @@
+import { expect } from "chai";
+
+import { diffLines } from "../src/lib/diff";
+
+const render = (before: string, after: string) =>
+  diffLines(before, after).map(({ type, line }) => `${{ equal: " ", insert: "+", delete: "-" }[type]}${line}`);
+
+describe("diffLines", function () {
+  it("reports identical texts as all equal", function () {
+    expect(render("a\nb", "a\nb")).to.deep.equal([" a", " b"]);
+  });
+
+  it("marks inserted, deleted and changed lines", function () {
+    expect(render("a\nb\nc", "a\nc\nd")).to.deep.equal([" a", "-b", " c", "+d"]);
+    expect(render("title\nold line\nend", "title\nnew line\nend")).to.deep.equal([
+      " title",
+      "-old line",
+      "+new line",
+      " end",
+    ]);
+  });
+
+  it("handles empty texts", function () {
+    expect(render("", "hello")).to.deep.equal(["-", "+hello"]);
+    expect(render("", "")).to.deep.equal([" "]);
+  });
+
+  it("keeps every line of both sides", function () {
+    const before = "1\n2\n3\n4\n5\n6";
+    const after = "0\n2\n3\nx\n5\n6\n7";
+    const diff = diffLines(before, after);
+
+    expect(diff.filter((d) => d.type !== "insert").map((d) => d.line)).to.deep.equal(before.split("\n"));
+    expect(diff.filter((d) => d.type !== "delete").map((d) => d.line)).to.deep.equal(after.split("\n"));
+  });
+});
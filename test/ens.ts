@@ -0,0 +1,85 @@
+import { expect } from "chai";
+
+import { createNameResolver, isAddress, isEnsName } from "../src/lib/ens";
+
+const ALICE = "0x1111111111111111111111111111111111111111";
+const BOB = "0x2222222222222222222222222222222222222222";
+
+// Stands in for an ethers provider with an ENS registry
+function stubResolver(records: Record<string, string>) {
+  const calls = { resolveName: 0, lookupAddress: 0 };
+  const provider = {
+    calls,
+    async resolveName(name: string) {
+      calls.resolveName++;
+      return records[name] ?? null;
+    },
+    async lookupAddress(address: string) {
+      calls.lookupAddress++;
+      return Object.keys(records).find((name) => records[name].toLowerCase() === address.toLowerCase()) ?? null;
+    },
+  };
+  return provider;
+}
+
+describe("ens", function () {
+  it("tells addresses and ENS names apart", function () {
+    expect(isAddress(ALICE)).to.equal(true);
+    expect(isAddress("0x1234")).to.equal(false);
+    expect(isEnsName("alice.eth")).to.equal(true);
+    expect(isEnsName("team.alice.eth")).to.equal(true);
+    expect(isEnsName("alice")).to.equal(false);
+    expect(isEnsName("alice .eth")).to.equal(false);
+    expect(isEnsName(ALICE)).to.equal(false);
+  });
+
+  it("resolves recipients from addresses or names", async function () {
+    const resolver = createNameResolver(stubResolver({ "alice.eth": ALICE }));
+
+    expect(await resolver.resolveRecipient(` ${BOB} `)).to.equal(BOB);
+    expect(await resolver.resolveRecipient("Alice.eth")).to.equal(ALICE);
+  });
+
+  it("explains unusable recipient input", async function () {
+    const resolver = createNameResolver(stubResolver({}));
+
+    for (const [input, message] of [
+      ["nobody.eth", "nobody.eth does not resolve to an address"],
+      ["0x1234", "Enter a 0x address or an ENS name"],
+    ]) {
+      let error: Error | undefined;
+      try {
+        await resolver.resolveRecipient(input);
+      } catch (e) {
+        error = e as Error;
+      }
+      expect(error?.message).to.equal(message);
+    }
+  });
+
+  it("reverse-resolves and caches answers, including misses", async function () {
+    const provider = stubResolver({ "alice.eth": ALICE });
+    const resolver = createNameResolver(provider);
+
+    expect(await resolver.lookupName(ALICE)).to.equal("alice.eth");
+    expect(await resolver.lookupName(ALICE.toUpperCase().replace("0X", "0x"))).to.equal("alice.eth");
+    expect(await resolver.lookupName(BOB)).to.equal(null);
+    expect(await resolver.lookupName(BOB)).to.equal(null);
+    expect(provider.calls.lookupAddress).to.equal(2);
+  });
+
+  it("treats a network without ENS as resolving nothing, without caching the failure", async function () {
+    let calls = 0;
+    const resolver = createNameResolver({
+      resolveName: async () => {
+        calls++;
+        throw new Error("network does not support ENS");
+      },
+      lookupAddress: async () => null,
+    });
+
+    expect(await resolver.resolveName("alice.eth")).to.equal(null);
+    expect(await resolver.resolveName("alice.eth")).to.equal(null);
+    expect(calls).to.equal(2);
+  });
+});
@@ -0,0 +1,76 @@
+import { expect } from "chai";
+
+import { createSessionStore, getWalletScope } from "../src/lib/sessionStore";
+
+const ALICE = "0x1111111111111111111111111111111111111111";
+const BOB = "0x2222222222222222222222222222222222222222";
+const SEPOLIA = 11155111;
+const LOCALHOST = 31337;
+
+describe("sessionStore", function () {
+  const alice = getWalletScope(ALICE, SEPOLIA);
+  const bob = getWalletScope(BOB, SEPOLIA);
+
+  function decryptedAs(scope: string | null) {
+    const store = createSessionStore();
+    const keyBytes = new Uint8Array(32).fill(0xab);
+    store.setScope(scope);
+    store.setContent(scope, "my-0", "alice's secret");
+    store.setKey(scope, "my-0", keyBytes);
+    store.setTitle(scope, "my-0", "alice's secret title");
+    return { store, keyBytes };
+  }
+
+  it("scopes by chain as well as address", function () {
+    expect(getWalletScope(ALICE, SEPOLIA)).to.not.equal(getWalletScope(ALICE, LOCALHOST));
+    expect(getWalletScope(ALICE.toUpperCase().replace("0X", "0x"), SEPOLIA)).to.equal(alice);
+    expect(getWalletScope(undefined, SEPOLIA)).to.equal(null);
+  });
+
+  it("leaves no plaintext or key bytes after an account switch", function () {
+    const { store, keyBytes } = decryptedAs(alice);
+    expect(store.getSnapshot().content["my-0"]).to.equal("alice's secret");
+
+    store.setScope(bob);
+
+    const snapshot = store.getSnapshot();
+    expect(snapshot.scope).to.equal(bob);
+    expect(snapshot.content).to.deep.equal({});
+    expect(snapshot.keys).to.deep.equal({});
+    expect(snapshot.titles).to.deep.equal({});
+    expect(JSON.stringify(snapshot)).to.not.include("secret");
+    // The old key buffer itself is zeroed, not just dereferenced
+    expect(keyBytes.every(b => b === 0)).to.equal(true);
+  });
+
+  it("wipes everything on disconnect", function () {
+    const { store, keyBytes } = decryptedAs(alice);
+
+    store.setScope(getWalletScope(undefined, undefined));
+
+    expect(store.getSnapshot().content).to.deep.equal({});
+    expect(keyBytes.every(b => b === 0)).to.equal(true);
+  });
+
+  it("drops writes from a decryption started under the previous account", function () {
+    const store = createSessionStore();
+    store.setScope(alice);
+    const startedAs = store.getScope();
+
+    store.setScope(bob);
+
+    expect(store.setContent(startedAs, "my-0", "alice's secret")).to.equal(false);
+    expect(store.setKey(startedAs, "my-0", new Uint8Array(32))).to.equal(false);
+    expect(store.setTitle(startedAs, "my-0", "alice's secret title")).to.equal(false);
+    expect(store.getSnapshot().content).to.deep.equal({});
+    expect(store.getSnapshot().keys).to.deep.equal({});
+  });
+
+  it("does not wipe when the scope is unchanged", function () {
+    const { store } = decryptedAs(alice);
+
+    store.setScope(getWalletScope(ALICE, SEPOLIA));
+
+    expect(store.getSnapshot().content["my-0"]).to.equal("alice's secret");
+  });
+});
@@ -0,0 +1,30 @@
+import { expect } from "chai";
+
+import { expiryFromNow, formatExpiry, isShareExpired } from "../src/lib/shareExpiry";
+
+const NOW = Date.UTC(2025, 0, 1) + 500; // ms, deliberately not on a second boundary
+const NOW_S = Math.floor(NOW / 1000);
+const DAY = 24 * 60 * 60;
+
+describe("shareExpiry", function () {
+  it("turns days into an on-chain timestamp, 0 meaning never", function () {
+    expect(expiryFromNow(3, NOW)).to.equal(NOW_S + 3 * DAY);
+    expect(expiryFromNow(0, NOW)).to.equal(0);
+  });
+
+  it("treats the expiry second itself as expired, like the contract", function () {
+    expect(isShareExpired(0, NOW)).to.equal(false);
+    expect(isShareExpired(NOW_S + 1, NOW)).to.equal(false);
+    expect(isShareExpired(NOW_S, NOW)).to.equal(true);
+  });
+
+  it("formats the remaining time in the largest sensible unit", function () {
+    expect(formatExpiry(0, NOW)).to.equal("no expiry");
+    expect(formatExpiry(NOW_S + 3 * DAY, NOW)).to.equal("expires in 3 days");
+    expect(formatExpiry(NOW_S + DAY + 60, NOW)).to.equal("expires in 1 day");
+    expect(formatExpiry(NOW_S + 5 * 60 * 60, NOW)).to.equal("expires in 5 hours");
+    expect(formatExpiry(NOW_S + 90, NOW)).to.equal("expires in 2 minutes");
+    expect(formatExpiry(NOW_S + 1, NOW)).to.equal("expires in 1 minute");
+    expect(formatExpiry(NOW_S, NOW)).to.equal("expired");
+  });
+});
@@ -0,0 +1,156 @@
+import type * as DagPb from "@ipld/dag-pb";
+import { expect } from "chai";
+import type { CID } from "multiformats/cid";
+
+// multiformats and @ipld/* are ESM-only, so the storage layer is imported rather than required
+const load = async () => ({
+  ...(await import("@ipld/car")),
+  dagPb: await import("@ipld/dag-pb"),
+  ...(await import("multiformats/cid")),
+  raw: await import("multiformats/codecs/raw"),
+  ...(await import("multiformats/hashes/sha2")),
+  ...(await import("../src/lib/storage/verify.js")),
+});
+let lib: Awaited<ReturnType<typeof load>>;
+
+type Block = { cid: CID; bytes: Uint8Array };
+
+const rawBlock = async (bytes: Uint8Array): Promise<Block> => ({
+  cid: lib.CID.createV1(lib.raw.code, await lib.sha256.digest(bytes)),
+  bytes,
+});
+
+const dagPbBlock = async (node: DagPb.PBNode): Promise<Block> => {
+  const bytes = lib.dagPb.encode(lib.dagPb.prepare(node));
+  return { cid: lib.CID.createV1(lib.dagPb.code, await lib.sha256.digest(bytes)), bytes };
+};
+
+// UnixFS Data message: Type (1), inline Data (2), filesize (3), blocksizes (4)
+function unixfs(type: number, data: Uint8Array, blockSizes: number[] = []) {
+  const varint = (n: number) => {
+    const out = [];
+    for (; n >= 0x80; n = Math.floor(n / 128)) out.push((n & 0x7f) | 0x80);
+    return [...out, n];
+  };
+  const fileSize = data.length + blockSizes.reduce((a, b) => a + b, 0);
+  return new Uint8Array([
+    0x08,
+    type,
+    ...(data.length ? [0x12, ...varint(data.length), ...data] : []),
+    0x18,
+    ...varint(fileSize),
+    ...blockSizes.flatMap((size) => [0x20, ...varint(size)]),
+  ]);
+}
+
+async function car(root: CID, blocks: Block[]) {
+  const { writer, out } = lib.CarWriter.create([root]);
+  const chunks: Uint8Array[] = [];
+  const collected = (async () => {
+    for await (const chunk of out) chunks.push(chunk);
+  })();
+  for (const block of blocks) await writer.put(block);
+  await writer.close();
+  await collected;
+  return Buffer.concat(chunks);
+}
+
+const bytesOf = (text: string) => new TextEncoder().encode(text);
+
+describe("storage verify", function () {
+  before(async function () {
+    lib = await load();
+  });
+
+  // Kubo with raw leaves: a dag-pb file node linking raw chunks
+  async function twoChunkFile() {
+    const first = await rawBlock(bytesOf("first chunk of ciphertext, "));
+    const second = await rawBlock(bytesOf("second chunk"));
+    const root = await dagPbBlock({
+      Data: unixfs(2, new Uint8Array(0), [first.bytes.length, second.bytes.length]),
+      Links: [
+        { Hash: first.cid, Tsize: first.bytes.length },
+        { Hash: second.cid, Tsize: second.bytes.length },
+      ],
+    });
+    return { root, first, second };
+  }
+
+  it("reassembles a dag-pb file from a CAR, in link order", async function () {
+    const { root, first, second } = await twoChunkFile();
+
+    const content = await lib.readVerifiedCar(root.cid.toString(), await car(root.cid, [second, root, first]));
+
+    expect(new TextDecoder().decode(content)).to.equal("first chunk of ciphertext, second chunk");
+  });
+
+  it("reads nested dag-pb nodes and inline data", async function () {
+    const leaf = await dagPbBlock({ Data: unixfs(2, bytesOf("inline leaf")), Links: [] });
+    const root = await dagPbBlock({
+      Data: unixfs(2, bytesOf("root data, "), [11]),
+      Links: [{ Hash: leaf.cid, Tsize: leaf.bytes.length }],
+    });
+
+    const content = await lib.readVerifiedCar(root.cid.toString(), await car(root.cid, [root, leaf]));
+
+    expect(new TextDecoder().decode(content)).to.equal("root data, inline leaf");
+  });
+
+  it("reads a raw CID from a one-block CAR", async function () {
+    const block = await rawBlock(bytesOf("small note"));
+
+    const content = await lib.readVerifiedCar(block.cid.toString(), await car(block.cid, [block]));
+
+    expect(content).to.deep.equal(block.bytes);
+    await lib.verifyCid(block.cid.toString(), content);
+  });
+
+  it("rejects a CAR with a tampered, missing or foreign block", async function () {
+    const { root, first, second } = await twoChunkFile();
+    const tampered = { cid: second.cid, bytes: bytesOf("second chunX") };
+    const cid = root.cid.toString();
+
+    for (const [blocks, message] of [
+      [[root, first, tampered], `CID mismatch: content does not hash to ${second.cid}`],
+      [[root, first], `CAR for ${cid} is missing block ${second.cid}`],
+    ] as [Block[], string][]) {
+      let error: Error | undefined;
+      try {
+        await lib.readVerifiedCar(cid, await car(root.cid, blocks));
+      } catch (e) {
+        error = e as Error;
+      }
+      expect(error?.message).to.equal(message);
+    }
+
+    // A valid CAR for some other root proves nothing about the requested CID
+    const other = await rawBlock(bytesOf("something else"));
+    let error: Error | undefined;
+    try {
+      await lib.readVerifiedCar(cid, await car(other.cid, [other]));
+    } catch (e) {
+      error = e as Error;
+    }
+    expect(error?.message).to.equal(`CAR for ${cid} is missing block ${cid}`);
+  });
+
+  it("refuses directories and unverifiable assembled content", async function () {
+    const dir = await dagPbBlock({ Data: unixfs(1, new Uint8Array(0)), Links: [] });
+    let error: Error | undefined;
+    try {
+      await lib.readVerifiedCar(dir.cid.toString(), await car(dir.cid, [dir]));
+    } catch (e) {
+      error = e as Error;
+    }
+    expect(error?.message).to.equal(`${dir.cid} is not a file (UnixFS type 1)`);
+
+    const { root } = await twoChunkFile();
+    error = undefined;
+    try {
+      await lib.verifyCid(root.cid.toString(), bytesOf("first chunk of ciphertext, second chunk"));
+    } catch (e) {
+      error = e as Error;
+    }
+    expect(error?.message).to.equal(`Cannot verify CID ${root.cid}: codec 0x70 is not raw`);
+  });
+});